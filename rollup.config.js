@@ -36,6 +36,13 @@ const VALIDATION = _.assign({}, BASE, {
     ],
 });
 
+const CASTS = _.assign({}, BASE, {
+    input: 'src/Casts/index.ts',
+    output: [
+        {file: 'casts/index.js', format: 'cjs'},
+    ],
+});
+
 const LOCALES = _.assign({}, BASE, {
     input: './src/Validation/locale.ts',
     output: [
@@ -47,4 +54,5 @@ export default [
     MAIN,
     VALIDATION,
     LOCALES,
+    CASTS,
 ];
@@ -0,0 +1,271 @@
+import castArray from 'lodash/castArray';
+import find from 'lodash/find';
+import has from 'lodash/has';
+import includes from 'lodash/includes';
+import isDate from 'lodash/isDate';
+import isFinite from 'lodash/isFinite';
+import isFunction from 'lodash/isFunction';
+import isNil from 'lodash/isNil';
+import isNumber from 'lodash/isNumber';
+import isPlainObject from 'lodash/isPlainObject';
+import isString from 'lodash/isString';
+import map from 'lodash/map';
+import split from 'lodash/split';
+import toLower from 'lodash/toLower';
+import toNumber from 'lodash/toNumber';
+import trim from 'lodash/trim';
+import {
+    format as formatDate,
+    isValid as isValidDate,
+    parseISO,
+    toDate,
+} from 'date-fns';
+
+// Values that can't be cast to anything meaningful, eg. an empty form input.
+const isBlank = (value: any): boolean => isNil(value) || value === '';
+
+// Parses a date from an ISO 8601 string, timestamp or existing date.
+const parseDate = (value: any): Date | null => {
+    if (isBlank(value)) {
+        return null;
+    }
+
+    let date: Date = isString(value) ? parseISO(value) : toDate(value);
+
+    return isValidDate(date) ? date : value;
+};
+
+// Parses a finite number, or returns the value as is so that validation
+// rules are still able to reject it.
+const parseNumber = (value: any): number | null => {
+    if (isBlank(value)) {
+        return null;
+    }
+
+    let number: number = toNumber(value);
+
+    return isFinite(number) ? number : value;
+};
+
+/**
+ * Casts attributes to integers.
+ */
+export const integer = (): Cast => ({
+    cast(value: any): number | null {
+        let number: any = parseNumber(value);
+        return isNumber(number) ? Math.trunc(number) : number;
+    },
+    serialize(value: any): number | null {
+        return this.cast(value);
+    },
+});
+
+/**
+ * Casts attributes to floating point numbers.
+ */
+export const float = (): Cast => ({
+    cast: parseNumber,
+    serialize: parseNumber,
+});
+
+/**
+ * Casts attributes to booleans, accepting the common string representations
+ * that are produced by form inputs and query strings.
+ */
+export const boolean = (): Cast => ({
+    cast(value: any): boolean | null {
+        if (isNil(value)) {
+            return null;
+        }
+
+        if (isString(value)) {
+            return ! includes(['', '0', 'false', 'off', 'no'], toLower(trim(value)));
+        }
+
+        return Boolean(value);
+    },
+    serialize(value: any): boolean | null {
+        return this.cast(value);
+    },
+});
+
+/**
+ * Casts attributes to dates, serialized as "yyyy-MM-dd".
+ */
+export const date = (): Cast => ({
+    cast: parseDate,
+    serialize(value: any): string | null {
+        let date: any = parseDate(value);
+        return isDate(date) ? formatDate(date, 'yyyy-MM-dd') : date;
+    },
+});
+
+/**
+ * Casts attributes to dates, serialized as ISO 8601 date-time strings.
+ */
+export const datetime = (): Cast => ({
+    cast: parseDate,
+    serialize(value: any): string | null {
+        let date: any = parseDate(value);
+        return isDate(date) ? date.toISOString() : date;
+    },
+});
+
+/**
+ * Casts attributes to decimal strings with a fixed number of decimal places,
+ * to avoid floating point errors when representing currency, etc.
+ *
+ * @param {number} precision The number of decimal places.
+ */
+export const decimal = (precision = 2): Cast => ({
+    cast(value: any): string | null {
+        let number: any = parseNumber(value);
+        return isNumber(number) ? number.toFixed(precision) : number;
+    },
+    serialize(value: any): string | null {
+        return this.cast(value);
+    },
+});
+
+/**
+ * Casts JSON strings to their decoded values, and encodes them again when
+ * they are serialized.
+ */
+export const json = (): Cast => ({
+    cast(value: any): any {
+        if ( ! isString(value)) {
+            return value;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    },
+    serialize(value: any): string | null {
+        return isNil(value) ? null : JSON.stringify(value);
+    },
+});
+
+/**
+ * Casts attributes to one of a set of allowed values. Values are matched by
+ * their string representation, so "1" would be cast to 1 if 1 is allowed.
+ *
+ * @param {Array} values The allowed values.
+ */
+export const enumeration = (values: any[]): Cast => ({
+    cast(value: any): any {
+        let match: any = find(values, (allowed): boolean => String(allowed) === String(value));
+        return isNil(match) ? value : match;
+    },
+    serialize(value: any): any {
+        return this.cast(value);
+    },
+});
+
+/**
+ * Cast factories keyed by type name, used to resolve cast definitions.
+ * Each factory receives the options of the definition.
+ */
+const types: Record<string, CastFactory> = {
+    integer,
+    float,
+    boolean,
+    date,
+    datetime,
+    json,
+    decimal: (options): Cast => decimal(isNil(options.precision) ? undefined : toNumber(options.precision)),
+    enum:    (options): Cast => enumeration(options.values),
+};
+
+/**
+ * Registers a custom cast type, which can then be referenced by name.
+ *
+ * @param {string}   type
+ * @param {function} factory Receives the options of the cast definition.
+ */
+export const registerCast = (type: string, factory: CastFactory): void => {
+    types[type] = factory;
+};
+
+/**
+ * Parses a string definition like "decimal:2", "array:integer" or "enum:a,b".
+ */
+const parseCastDefinition = (definition: string): CastOptions => {
+    let [type, argument] = split(definition, /:(.+)/);
+
+    switch (type) {
+        case 'decimal':
+            return {type, precision: argument};
+        case 'array':
+            return {type, of: argument};
+        case 'enum':
+            return {type, values: split(argument, ',')};
+        default:
+            return {type};
+    }
+};
+
+/**
+ * Resolves a cast definition, which can either be a type name, a type name
+ * with an argument, an object of options, or a custom cast.
+ *
+ * @param {*} definition
+ *
+ * @returns {Object} The resolved cast.
+ */
+export const resolveCast = (definition: CastDefinition): Cast => {
+    if (isPlainObject(definition) && isFunction((definition as Cast).cast)) {
+        return definition as Cast;
+    }
+
+    let options: CastOptions = isString(definition) ? parseCastDefinition(definition) : definition as CastOptions;
+
+    if ( ! has(types, options.type)) {
+        throw new Error(`Unknown cast type '${options.type}'`);
+    }
+
+    return types[options.type](options);
+};
+
+/**
+ * Casts attributes to arrays, casting each element using another cast.
+ *
+ * @param {*} of The cast definition to use for each element.
+ */
+export const arrayOf = (of: CastDefinition): Cast => {
+    let element: Cast = resolveCast(of);
+
+    return {
+        cast(value: any): any[] | null {
+            return isNil(value) ? null : map(castArray(value), (item): any => element.cast(item));
+        },
+        serialize(value: any): any[] | null {
+            return isNil(value) ? null : map(castArray(value), (item): any => element.serialize(item));
+        },
+    };
+};
+
+// Array casts resolve the casts of their elements, so they're registered last.
+registerCast('array', (options): Cast => arrayOf(options.of));
+
+export interface Cast {
+    /**
+     * Converts a value into its attribute representation.
+     */
+    cast(value: any): any;
+
+    /**
+     * Converts an attribute value into its representation for the server.
+     */
+    serialize(value: any): any;
+}
+
+export interface CastOptions {
+    [key: string]: any;
+    type: string;
+}
+
+export type CastDefinition = string | CastOptions | Cast;
+export type CastFactory = (options: CastOptions) => Cast;
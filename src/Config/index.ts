@@ -0,0 +1,126 @@
+import assign from 'lodash/assign';
+import defaults from 'lodash/defaults';
+import get from 'lodash/get';
+import isEmpty from 'lodash/isEmpty';
+import isNil from 'lodash/isNil';
+import omit from 'lodash/omit';
+import replace from 'lodash/replace';
+
+import {messages} from '../Validation';
+import {Options} from '../Structures/Base';
+
+// The global configuration, before the active environment is applied.
+let config: Config = {};
+
+// The name of the active environment, if any.
+let environment: string | null = null;
+
+// The locale of validation messages before one was configured.
+let initialLocale: string | null = null;
+
+/**
+ * @returns {Object} The global configuration, resolved for the active environment.
+ */
+export const getConfig = (): Config => {
+    let base: Config = omit(config, 'environments');
+    let overrides: Config = environment ? get(config, ['environments', environment], {}) : {};
+
+    // Headers are merged so that an environment only has to set what's different.
+    return defaults({headers: {...base.headers, ...overrides.headers}}, overrides, base);
+};
+
+// Sets the validation locale if the active configuration has one.
+const applyLocale = (): void => {
+    let locale: string | undefined = getConfig().locale;
+
+    if (locale) {
+        if (isNil(initialLocale)) {
+            initialLocale = messages.$locale;
+        }
+
+        messages.locale(locale);
+    }
+};
+
+/**
+ * Sets global configuration that all models and collections use as their
+ * default options. Values replace those that were configured before, and
+ * only apply to instances that are created after this is called.
+ *
+ * @example
+ *
+ * configure({
+ *     baseURL: '/api',
+ *     headers: {'X-Requested-With': 'XMLHttpRequest'},
+ *     environments: {
+ *         production: {baseURL: 'https://api.example.com'},
+ *     },
+ * });
+ *
+ * @param {Object} values
+ */
+export const configure = (values: Config): void => {
+    assign(config, values);
+    applyLocale();
+};
+
+/**
+ * Sets the active environment, of which the configuration in `environments`
+ * takes precedence over the rest of the configuration.
+ *
+ * @param {string|null} name
+ */
+export const setEnvironment = (name: string | null): void => {
+    environment = name;
+    applyLocale();
+};
+
+/**
+ * @returns {string|null} The name of the active environment.
+ */
+export const getEnvironment = (): string | null => environment;
+
+/**
+ * Removes all global configuration and the active environment, and restores
+ * the locale of validation messages if one was configured.
+ */
+export const resetConfig = (): void => {
+    config = {};
+    environment = null;
+
+    if ( ! isNil(initialLocale)) {
+        messages.locale(initialLocale);
+        initialLocale = null;
+    }
+};
+
+/**
+ * Joins a URL onto a base URL, unless the URL is absolute, eg. "https://..."
+ * or "//...", in which case it's returned as is.
+ *
+ * @param {string|null} baseURL
+ * @param {string}      url
+ *
+ * @returns {string}
+ */
+export const joinURL = (baseURL: string | null | undefined, url: string): string => {
+    if (isNil(baseURL) || isEmpty(baseURL) || /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) {
+        return url;
+    }
+
+    if (isEmpty(url)) {
+        return baseURL;
+    }
+
+    return replace(baseURL, /\/+$/, '') + '/' + replace(url, /^\/+/, '');
+};
+
+/**
+ * Options that are used by all models and collections by default, as well
+ * as the locale of validation messages and per-environment overrides.
+ */
+export interface Config extends Options {
+    validationErrorStatus?: number;
+    locale?: string;
+    environments?: Record<string, Config>;
+}
@@ -0,0 +1,18 @@
+/**
+ * Rejects a request that was cancelled, either before it was sent or while
+ * waiting for its response, so that it can be ignored rather than handled as
+ * a failure.
+ */
+export default class CancelledError {
+    message: string;
+    stack?: string;
+
+    constructor(message = 'Request was cancelled') {
+        this.message = message;
+        this.stack   = (new Error()).stack;
+    }
+
+    toString(): string {
+        return this.message;
+    }
+}
@@ -0,0 +1,8 @@
+import RequestError from './RequestError';
+
+/**
+ * A request error that indicates that the resource was changed on the server
+ * since it was last fetched or saved, eg. "409 Conflict".
+ */
+export default class ConflictError extends RequestError {
+}
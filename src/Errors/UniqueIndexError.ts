@@ -0,0 +1,41 @@
+import Model from '../Structures/Model';
+
+/**
+ * Thrown when a model can't be added to a collection, because another model
+ * in the collection has the same value for an attribute with a unique index.
+ */
+export default class UniqueIndexError {
+    message: string;
+    attribute: string;
+    value: any;
+    model: Model;
+    existing: Model;
+    stack?: string;
+
+    constructor(attribute: string, value: any, model: Model, existing: Model, message = `Attribute '${attribute}' must be unique`) {
+        this.message   = message;
+        this.attribute = attribute;
+        this.value     = value;
+        this.model     = model;
+        this.existing  = existing;
+        this.stack     = (new Error()).stack;
+    }
+
+    toString(): string {
+        return this.message;
+    }
+
+    /**
+     * @returns {Model} The model that could not be added.
+     */
+    getModel(): Model {
+        return this.model;
+    }
+
+    /**
+     * @returns {Model} The model that already has the value.
+     */
+    getExisting(): Model {
+        return this.existing;
+    }
+}
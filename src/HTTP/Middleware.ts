@@ -0,0 +1,70 @@
+import indexOf from 'lodash/indexOf';
+
+import Response from './Response';
+import {TransportConfig} from './Transport';
+
+/**
+ * Middleware that is used by all models and collections, before their own.
+ */
+const globalMiddleware: Middleware[] = [];
+
+/**
+ * Adds middleware that is used by all models and collections.
+ *
+ * @param {Function} middleware
+ */
+export const registerMiddleware = (middleware: Middleware): void => {
+    globalMiddleware.push(middleware);
+};
+
+/**
+ * Removes middleware that was added using `registerMiddleware`.
+ *
+ * @param {Function} middleware
+ */
+export const unregisterMiddleware = (middleware: Middleware): void => {
+    let index: number = indexOf(globalMiddleware, middleware);
+
+    if (index >= 0) {
+        globalMiddleware.splice(index, 1);
+    }
+};
+
+/**
+ * @returns {Function[]} The middleware that is used by all models and collections.
+ */
+export const getGlobalMiddleware = (): Middleware[] => [...globalMiddleware];
+
+/**
+ * Calls each middleware in order, where each one decides whether and how to
+ * call the next, and the last one calls the transport.
+ *
+ * @param {Function[]} middleware
+ * @param {Function}   send       Sends the request when all middleware was called.
+ *
+ * @returns {Function} Sends a request through all middleware.
+ */
+export const compose = (middleware: Middleware[], send: Next): Next => {
+    let dispatch = (index: number, config: TransportConfig): Promise<Response> => {
+        if (index >= middleware.length) {
+            return send(config);
+        }
+
+        return middleware[index](config, (config): Promise<Response> => dispatch(index + 1, config));
+    };
+
+    return (config: TransportConfig): Promise<Response> => dispatch(0, config);
+};
+
+/**
+ * Sends the request to the next middleware, or the transport if there is
+ * none, and resolves with its response or rejects with its error.
+ */
+export type Next = (config: TransportConfig) => Promise<Response>;
+
+/**
+ * Receives the configuration of a request and the next middleware, and may
+ * change the configuration before calling `next`, resolve with a response
+ * without calling it, change the response, or handle its errors.
+ */
+export type Middleware = (config: TransportConfig, next: Next) => Promise<Response>;
@@ -0,0 +1,100 @@
+import each from 'lodash/each';
+import has from 'lodash/has';
+import isEmpty from 'lodash/isEmpty';
+import isEqual from 'lodash/isEqual';
+import isPlainObject from 'lodash/isPlainObject';
+import keys from 'lodash/keys';
+import replace from 'lodash/replace';
+
+export enum PatchFormat {
+    ATTRIBUTES  = 'attributes',
+    JSON_PATCH  = 'json-patch',
+    MERGE_PATCH = 'merge-patch',
+}
+
+/**
+ * Content types that should be used for each patch format.
+ */
+export const PATCH_CONTENT_TYPES: Record<string, string> = {
+    [PatchFormat.JSON_PATCH]:  'application/json-patch+json',
+    [PatchFormat.MERGE_PATCH]: 'application/merge-patch+json',
+};
+
+// Escapes a key for use in a JSON Pointer, see RFC 6901.
+const escapePointer = (key: string): string => replace(replace(key, /~/g, '~0'), /\//g, '~1');
+
+/**
+ * Creates an RFC 6902 JSON Patch document that transforms `source` into
+ * `target`. Plain objects are compared by key, anything else is replaced.
+ *
+ * @param {Object} source
+ * @param {Object} target
+ * @param {string} [path] JSON Pointer of the values being compared.
+ *
+ * @returns {Array} The operations to apply.
+ */
+export const createJsonPatch = (source: Record<string, any>, target: Record<string, any>, path = ''): JsonPatchOperation[] => {
+    let operations: JsonPatchOperation[] = [];
+
+    each(keys(source), (key): void => {
+        if ( ! has(target, key)) {
+            operations.push({op: 'remove', path: `${path}/${escapePointer(key)}`});
+        }
+    });
+
+    each(keys(target), (key): void => {
+        let pointer = `${path}/${escapePointer(key)}`;
+
+        if ( ! has(source, key)) {
+            operations.push({op: 'add', path: pointer, value: target[key]});
+
+        } else if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+            operations.push(...createJsonPatch(source[key], target[key], pointer));
+
+        } else if ( ! isEqual(source[key], target[key])) {
+            operations.push({op: 'replace', path: pointer, value: target[key]});
+        }
+    });
+
+    return operations;
+};
+
+/**
+ * Creates an RFC 7386 JSON Merge Patch document that transforms `source`
+ * into `target`. Removed keys are represented as `null`.
+ *
+ * @param {Object} source
+ * @param {Object} target
+ *
+ * @returns {Object} The merge patch document.
+ */
+export const createMergePatch = (source: Record<string, any>, target: Record<string, any>): Record<string, any> => {
+    let patch: Record<string, any> = {};
+
+    each(keys(source), (key): void => {
+        if ( ! has(target, key)) {
+            patch[key] = null;
+        }
+    });
+
+    each(keys(target), (key): void => {
+        if (has(source, key) && isPlainObject(source[key]) && isPlainObject(target[key])) {
+            let nested: Record<string, any> = createMergePatch(source[key], target[key]);
+
+            if ( ! isEmpty(nested)) {
+                patch[key] = nested;
+            }
+
+        } else if ( ! has(source, key) || ! isEqual(source[key], target[key])) {
+            patch[key] = target[key];
+        }
+    });
+
+    return patch;
+};
+
+export interface JsonPatchOperation {
+    op: 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test';
+    path: string;
+    value?: any;
+}
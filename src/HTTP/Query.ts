@@ -0,0 +1,306 @@
+import Vue from 'vue';
+
+import each from 'lodash/each';
+import has from 'lodash/has';
+import isArray from 'lodash/isArray';
+import isEmpty from 'lodash/isEmpty';
+import isFunction from 'lodash/isFunction';
+import isNil from 'lodash/isNil';
+import isPlainObject from 'lodash/isPlainObject';
+import join from 'lodash/join';
+import map from 'lodash/map';
+import reject from 'lodash/reject';
+import toLower from 'lodash/toLower';
+import uniq from 'lodash/uniq';
+
+export enum QueryFormat {
+    FLAT     = 'flat',
+    BRACKETS = 'brackets',
+    JSON_API = 'json-api',
+}
+
+export enum SortDirection {
+    ASC  = 'asc',
+    DESC = 'desc',
+}
+
+/**
+ * Creates a query without any criteria.
+ */
+export const createQuery = (): Query => ({
+    where: {},
+    orderBy: [],
+    search: null,
+    include: [],
+    limit: null,
+});
+
+// Joins arrays with commas, leaving any other value as it is.
+const commas = (value: any): any => isArray(value) ? join(value, ',') : value;
+
+// Sort parameter value where descending attributes are prefixed with "-".
+const sortParameter = (query: Query): string => {
+    return join(map(query.orderBy, ({attribute, direction}): string => {
+        return direction === SortDirection.DESC ? `-${attribute}` : attribute;
+    }), ',');
+};
+
+/**
+ * Serializes a query to flat parameters, eg. `?status=open&sort=-created_at`.
+ */
+export const flat = (query: Query): Record<string, any> => {
+    let params: Record<string, any> = {};
+
+    each(query.where, (value, attribute): void => {
+        params[attribute] = commas(value);
+    });
+
+    if ( ! isEmpty(query.orderBy)) {
+        params.sort = sortParameter(query);
+    }
+
+    if ( ! isNil(query.search)) {
+        params.q = query.search;
+    }
+
+    if ( ! isEmpty(query.include)) {
+        params.include = join(query.include, ',');
+    }
+
+    if ( ! isNil(query.limit)) {
+        params.limit = query.limit;
+    }
+
+    return params;
+};
+
+/**
+ * Serializes a query to bracketed parameters in the style of Rails and
+ * Laravel, eg. `?filter[status]=open&sort[created_at]=desc&include[]=user`.
+ */
+export const brackets = (query: Query): Record<string, any> => {
+    let params: Record<string, any> = {};
+
+    each(query.where, (value, attribute): void => {
+        params[`filter[${attribute}]`] = value;
+    });
+
+    each(query.orderBy, ({attribute, direction}): void => {
+        params[`sort[${attribute}]`] = direction;
+    });
+
+    if ( ! isNil(query.search)) {
+        params.q = query.search;
+    }
+
+    if ( ! isEmpty(query.include)) {
+        params.include = query.include;
+    }
+
+    if ( ! isNil(query.limit)) {
+        params.limit = query.limit;
+    }
+
+    return params;
+};
+
+/**
+ * Serializes a query to JSON:API parameters, eg. `?filter[status]=open&sort=-created_at`.
+ *
+ * @see https://jsonapi.org/format/#fetching
+ */
+export const jsonApi = (query: Query): Record<string, any> => {
+    let params: Record<string, any> = {};
+
+    each(query.where, (value, attribute): void => {
+        params[`filter[${attribute}]`] = commas(value);
+    });
+
+    if ( ! isNil(query.search)) {
+        params['filter[search]'] = query.search;
+    }
+
+    if ( ! isEmpty(query.orderBy)) {
+        params.sort = sortParameter(query);
+    }
+
+    if ( ! isEmpty(query.include)) {
+        params.include = join(query.include, ',');
+    }
+
+    if ( ! isNil(query.limit)) {
+        params['page[size]'] = query.limit;
+    }
+
+    return params;
+};
+
+/**
+ * Query serializers keyed by format.
+ */
+const serializers: Record<string, QuerySerializer> = {
+    [QueryFormat.FLAT]:     flat,
+    [QueryFormat.BRACKETS]: brackets,
+    [QueryFormat.JSON_API]: jsonApi,
+};
+
+/**
+ * Serializes a query to request parameters.
+ *
+ * @param {Object}          query
+ * @param {string|Function} format A query format or a custom serializer.
+ *
+ * @returns {Object} The query parameters.
+ */
+export const serializeQuery = (query: Query, format: QueryFormat | string | QuerySerializer): Record<string, any> => {
+    if (isFunction(format)) {
+        return format(query);
+    }
+
+    if ( ! has(serializers, format)) {
+        throw new Error(`Unknown query format '${format}'`);
+    }
+
+    return serializers[format](query);
+};
+
+/**
+ * Fluent builder that changes the criteria of a query in place, so that a
+ * reactive query stays reactive, and reports each change to a callback.
+ */
+export class QueryBuilder {
+    private readonly query: Query;
+    private readonly onChange: () => void;
+
+    constructor(query: Query, onChange: () => void) {
+        this.query    = query;
+        this.onChange = onChange;
+    }
+
+    /**
+     * Filters by the value of an attribute, or removes the filter if the
+     * value is `null` or `undefined`.
+     *
+     * @param {string|Object} attribute Attribute, or filters keyed by attribute.
+     * @param {*}             [value]
+     *
+     * @returns {QueryBuilder}
+     */
+    where(attribute: string | Record<string, any>, value?: any): this {
+        if (isPlainObject(attribute)) {
+            each(attribute as Record<string, any>, (value, attribute): void => {
+                this.setWhere(attribute, value);
+            });
+        } else {
+            this.setWhere(attribute as string, value);
+        }
+
+        this.onChange();
+        return this;
+    }
+
+    /**
+     * Sorts by an attribute, after any attributes that are already sorted by.
+     *
+     * @param {string} attribute
+     * @param {string} [direction] Either "asc" or "desc".
+     *
+     * @returns {QueryBuilder}
+     */
+    orderBy(attribute: string, direction: SortDirection | string = SortDirection.ASC): this {
+        let order: QueryOrder = {
+            attribute,
+            direction: toLower(direction) === SortDirection.DESC ? SortDirection.DESC : SortDirection.ASC,
+        };
+
+        Vue.set(this.query, 'orderBy', [
+            ...reject(this.query.orderBy, {attribute}),
+            order,
+        ]);
+
+        this.onChange();
+        return this;
+    }
+
+    /**
+     * Searches for a term, or removes the search if the term is empty.
+     *
+     * @param {string|null} term
+     *
+     * @returns {QueryBuilder}
+     */
+    search(term: string | null): this {
+        Vue.set(this.query, 'search', isNil(term) || term === '' ? null : term);
+
+        this.onChange();
+        return this;
+    }
+
+    /**
+     * Includes related resources in the response.
+     *
+     * @param {...string} relations
+     *
+     * @returns {QueryBuilder}
+     */
+    include(...relations: string[]): this {
+        Vue.set(this.query, 'include', uniq([...this.query.include, ...relations]));
+
+        this.onChange();
+        return this;
+    }
+
+    /**
+     * Limits the number of results, or removes the limit if `null`.
+     *
+     * @param {number|null} limit
+     *
+     * @returns {QueryBuilder}
+     */
+    limit(limit: number | null): this {
+        Vue.set(this.query, 'limit', isNil(limit) ? null : limit);
+
+        this.onChange();
+        return this;
+    }
+
+    /**
+     * Removes all criteria.
+     *
+     * @returns {QueryBuilder}
+     */
+    clear(): this {
+        each(createQuery(), (value, key): void => {
+            Vue.set(this.query, key, value);
+        });
+
+        this.onChange();
+        return this;
+    }
+
+    /**
+     * Sets the filter of an attribute, or removes it if the value is nil.
+     */
+    private setWhere(attribute: string, value: any): void {
+        if (isNil(value)) {
+            Vue.delete(this.query.where, attribute);
+        } else {
+            Vue.set(this.query.where, attribute, value);
+        }
+    }
+}
+
+export interface QueryOrder {
+    attribute: string;
+    direction: SortDirection;
+}
+
+export interface Query {
+    where: Record<string, any>;
+    orderBy: QueryOrder[];
+    search: string | null;
+    include: string[];
+    limit: number | null;
+}
+
+export type QuerySerializer = (query: Query) => Record<string, any>;
@@ -1,37 +1,50 @@
 import Response                    from './Response';
 import RequestError                from '../Errors/RequestError';
-import axios, {AxiosRequestConfig, AxiosResponse, AxiosError} from 'axios';
+import {Transport, TransportConfig, TransportError, TransportResponse, getDefaultTransport} from './Transport';
+import {Middleware, compose} from './Middleware';
 
 export default class Request {
-    config: AxiosRequestConfig;
+    config: TransportConfig;
+    transport: Transport;
+    middleware: Middleware[];
 
-    constructor(config: AxiosRequestConfig) {
-        this.config = config;
+    /**
+     * @param {Object}     config
+     * @param {Function}   [transport]  Sends the request, defaults to the
+     *                                  default transport.
+     * @param {Function[]} [middleware] Called in order before the transport.
+     */
+    constructor(config: TransportConfig, transport: Transport = getDefaultTransport(), middleware: Middleware[] = []) {
+        this.config     = config;
+        this.transport  = transport;
+        this.middleware = middleware;
     }
 
     /**
-     * Creates a custom response using a given Axios response.
+     * Creates a custom response using a given transport response.
      */
-    createResponse(axiosResponse?: AxiosResponse): Response {
-        return new Response(axiosResponse);
+    createResponse(transportResponse?: TransportResponse): Response {
+        return new Response(transportResponse);
     }
 
     /**
-     * Creates a custom response error using a given Axios response error.
+     * Creates a custom response error using a given transport error.
      */
-    createError(axiosError: AxiosError): RequestError {
-        return new RequestError(axiosError, this.createResponse(axiosError.response));
+    createError(transportError: TransportError): RequestError {
+        return new RequestError(transportError, this.createResponse(transportError.response));
     }
 
     /**
      * @returns {Promise}
      */
     send(): Promise<Response> {
-        return axios
-            .request(this.config)
-            .then(this.createResponse)
-            .catch((error: AxiosError): never => {
-                throw this.createError(error);
-            });
+        return compose(this.middleware, (config): Promise<Response> => {
+            return this
+                .transport(config)
+                .then(this.createResponse)
+                .catch((error: TransportError): never => {
+                    throw this.createError(error);
+                });
+        })(this.config);
     }
 }
@@ -1,10 +1,10 @@
 import get from 'lodash/get'
-import { AxiosResponse } from 'axios';
+import {TransportResponse} from './Transport';
 
 class Response {
-    response?: AxiosResponse;
+    response?: TransportResponse;
 
-    constructor(response?: AxiosResponse) {
+    constructor(response?: TransportResponse) {
         this.response = response;
     }
 
@@ -0,0 +1,259 @@
+import axios, {AxiosInstance, AxiosRequestConfig, CancelTokenSource} from 'axios';
+
+import each from 'lodash/each';
+import includes from 'lodash/includes';
+import isArray from 'lodash/isArray';
+import isDate from 'lodash/isDate';
+import isEmpty from 'lodash/isEmpty';
+import isNil from 'lodash/isNil';
+import isPlainObject from 'lodash/isPlainObject';
+import isString from 'lodash/isString';
+import join from 'lodash/join';
+import noop from 'lodash/noop';
+import some from 'lodash/some';
+import toLower from 'lodash/toLower';
+import toUpper from 'lodash/toUpper';
+
+/**
+ * Creates a transport that sends requests using axios.
+ *
+ * @param {AxiosInstance} [instance] A preconfigured axios instance.
+ */
+export const axiosTransport = (instance: AxiosInstance = axios): Transport => {
+    return ({signal, ...config}: TransportConfig): Promise<TransportResponse> => {
+
+        // This version of axios can only be cancelled using a cancel token.
+        if (signal) {
+            let source: CancelTokenSource = axios.CancelToken.source();
+
+            signal.addEventListener('abort', (): void => source.cancel());
+            config.cancelToken = source.token;
+        }
+
+        return instance.request(config);
+    };
+};
+
+// Encodes a query parameter value, eg. `filter[status]=open`.
+const encode = (key: string, value: any): string => {
+    if (isDate(value)) {
+        value = value.toISOString();
+    } else if (isPlainObject(value) || isArray(value)) {
+        value = JSON.stringify(value);
+    }
+
+    return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+};
+
+/**
+ * Serializes query parameters in the same way as axios, where arrays are
+ * sent as `key[]=a&key[]=b` and `null` or `undefined` values are skipped.
+ */
+export const serializeParams = (params: Record<string, any>): string => {
+    let parts: string[] = [];
+
+    each(params, (value, key): void => {
+        if (isNil(value)) {
+            return;
+        }
+
+        if (isArray(value)) {
+            each(value, (value): void => {
+                parts.push(encode(`${key}[]`, value));
+            });
+        } else {
+            parts.push(encode(key, value));
+        }
+    });
+
+    return join(parts, '&');
+};
+
+// Appends serialized query parameters to a URL.
+const withParams = (url: string, params?: Record<string, any>): string => {
+    let query: string = serializeParams(params || {});
+
+    if (isEmpty(query)) {
+        return url;
+    }
+
+    return url + (includes(url, '?') ? '&' : '?') + query;
+};
+
+// Headers keyed by lowercase name, as they are in axios responses.
+const headersToObject = (headers: Headers): Record<string, string> => {
+    let result: Record<string, string> = {};
+
+    headers.forEach((value, name): void => {
+        result[toLower(name)] = value;
+    });
+
+    return result;
+};
+
+// Whether a header is set, regardless of the case of its name.
+const hasHeader = (headers: Record<string, any>, name: string): boolean => {
+    return some(headers, (value, key): boolean => toLower(key) === toLower(name));
+};
+
+// Creates an error like those of axios, with the response if there is one.
+const createError = (message: string, config: AxiosRequestConfig, response?: TransportResponse): TransportError => {
+    return Object.assign(new Error(message), {config, response});
+};
+
+// Creates a signal that is aborted after a timeout or when the given signal
+// is aborted, and a function that stops the timer.
+const withTimeout = (timeout: number, onTimeout: () => void, signal?: AbortSignal): [AbortSignal, () => void] => {
+    let controller: AbortController = new AbortController();
+    let timer: any = setTimeout((): void => {
+        onTimeout();
+        controller.abort();
+    }, timeout);
+
+    if (signal) {
+        if (signal.aborted) {
+            controller.abort();
+        } else {
+            signal.addEventListener('abort', (): void => controller.abort());
+        }
+    }
+
+    return [controller.signal, (): void => clearTimeout(timer)];
+};
+
+/**
+ * Creates a transport that sends requests using `fetch`. Data is sent and
+ * received as JSON, and the response and errors are shaped like those of
+ * axios so that they can be handled in the same way.
+ *
+ * `withCredentials` sends credentials to other origins, and `timeout` aborts
+ * the request, which requires `AbortController`. Other axios options such as
+ * `responseType`, `auth`, `transformRequest` and `onUploadProgress` are not
+ * supported: responses are parsed as JSON when possible, or text otherwise.
+ *
+ * @param {Function} [send] Defaults to the global `fetch`.
+ */
+export const fetchTransport = (send?: typeof fetch): Transport => {
+    return (config: TransportConfig): Promise<TransportResponse> => {
+        let request: typeof fetch = send || fetch;
+        let headers: Record<string, any> = {...config.headers};
+        let body: any = config.data;
+
+        if (isPlainObject(body) || isArray(body)) {
+            body = JSON.stringify(body);
+
+            if ( ! hasHeader(headers, 'Content-Type')) {
+                headers['Content-Type'] = 'application/json;charset=utf-8';
+            }
+        }
+
+        let url: string = withParams(config.url || '', config.params);
+        let signal: AbortSignal | undefined = config.signal;
+        let timedOut = false;
+        let stop: () => void = noop;
+
+        if (config.timeout && typeof AbortController !== 'undefined') {
+            [signal, stop] = withTimeout(config.timeout, (): void => {
+                timedOut = true;
+            }, config.signal);
+        }
+
+        // Timeouts are reported with the same message as axios.
+        let fail = (error: Error): never => {
+            stop();
+            throw createError(timedOut ? `timeout of ${config.timeout}ms exceeded` : error.message, config);
+        };
+
+        return request(url, {
+            method: toUpper(config.method || 'GET'),
+            headers,
+            body: isNil(body) ? undefined : body,
+            credentials: config.withCredentials ? 'include' : undefined,
+            signal,
+        })
+            .then((response): Promise<TransportResponse> => {
+                return response.text().then((text): TransportResponse => {
+                    let data: any = text;
+
+                    stop();
+
+                    // Parse JSON when possible, as axios does by default.
+                    if (isString(text) && text !== '') {
+                        try {
+                            data = JSON.parse(text);
+                        } catch (e) {
+                            data = text;
+                        }
+                    }
+
+                    return {
+                        data,
+                        status: response.status,
+                        statusText: response.statusText,
+                        headers: headersToObject(response.headers),
+                        config,
+                    };
+                });
+            })
+            .catch(fail)
+            .then((response): TransportResponse => {
+                if (response.status < 200 || response.status >= 300) {
+                    throw createError(`Request failed with status code ${response.status}`, config, response);
+                }
+
+                return response;
+            });
+    };
+};
+
+let defaultTransport: Transport = axiosTransport();
+
+/**
+ * Sets the transport that is used when a model or collection doesn't set
+ * one using the `transport` option.
+ *
+ * @param {Function} transport
+ */
+export const setDefaultTransport = (transport: Transport): void => {
+    defaultTransport = transport;
+};
+
+/**
+ * @returns {Function} The transport that is used by default.
+ */
+export const getDefaultTransport = (): Transport => defaultTransport;
+
+/**
+ * The configuration of a request, with a signal to abort it.
+ */
+export interface TransportConfig extends AxiosRequestConfig {
+    signal?: AbortSignal;
+}
+
+/**
+ * The normalized response of a transport, which is the subset of an axios
+ * response that `Response` relies on.
+ */
+export interface TransportResponse {
+    data: any;
+    status: number;
+    statusText?: string;
+    headers: Record<string, any>;
+    config?: AxiosRequestConfig;
+}
+
+/**
+ * The error that a transport rejects with, which must have a `response`
+ * if a response was received, eg. for a validation error.
+ */
+export interface TransportError {
+    message: string;
+    config?: AxiosRequestConfig;
+    response?: TransportResponse;
+}
+
+/**
+ * Sends a request and resolves with a normalized response, or rejects with
+ * a `TransportError`. The request should be aborted when its signal is.
+ */
+export type Transport = (config: TransportConfig) => Promise<TransportResponse>;
@@ -3,6 +3,8 @@ import {autobind} from '../utils';
 import Request from '../HTTP/Request';
 import Response from '../HTTP/Response';
 import RequestError from '../Errors/RequestError';
+import CancelledError from '../Errors/CancelledError';
+import ConflictError from '../Errors/ConflictError';
 import ResponseError from '../Errors/ResponseError';
 import ValidationError, {Errors} from '../Errors/ValidationError';
 
@@ -12,19 +14,33 @@ import defaultsDeep from 'lodash/defaultsDeep';
 import defaultTo from 'lodash/defaultTo';
 import each from 'lodash/each';
 import get from 'lodash/get';
+import includes from 'lodash/includes';
 import invoke from 'lodash/invoke';
+import isEmpty from 'lodash/isEmpty';
 import isFunction from 'lodash/isFunction';
+import isNil from 'lodash/isNil';
 import map from 'lodash/map';
+import noop from 'lodash/noop';
+import omit from 'lodash/omit';
+import random from 'lodash/random';
 import reduce from 'lodash/reduce';
 import replace from 'lodash/replace';
 import set from 'lodash/set';
 import split from 'lodash/split';
+import toNumber from 'lodash/toNumber';
+import toSafeInteger from 'lodash/toSafeInteger';
+import toUpper from 'lodash/toUpper';
 import trim from 'lodash/trim';
 import uniqueId from 'lodash/uniqueId';
+import without from 'lodash/without';
 
-import {AxiosRequestConfig, Method} from 'axios';
+import axios, {CancelTokenSource, Method} from 'axios';
 import Model from './Model';
+import Store from './Store';
 import {BaseResponse} from '../HTTP/BaseResponse';
+import {Transport, TransportConfig, getDefaultTransport} from '../HTTP/Transport';
+import {Middleware, getGlobalMiddleware} from '../HTTP/Middleware';
+import {getConfig, joinURL} from '../Config';
 
 export enum RequestOperation {
     REQUEST_CONTINUE  = 0,
@@ -43,6 +59,8 @@ abstract class Base {
     readonly _uid!: string;
     private readonly _listeners!: Record<string, Listener[]>;
     private readonly _options!: Record<string, any>;
+    private readonly _history!: History;
+    private readonly _fetching!: CancellablePromise<Response | null> | null;
 
     protected constructor(options: Options) {
         autobind(this);
@@ -58,7 +76,10 @@ abstract class Base {
 
         Vue.set(this, '_listeners', {});  // Event listeners
         Vue.set(this, '_options',   {});  // Internal option store
+        Vue.set(this, '_history',   {});  // Undo and redo stacks
+        Vue.set(this, '_fetching',  null); // Fetch request in flight
 
+        this.clearHistory();
         this.setOptions(options);
         this.boot();
     }
@@ -70,6 +91,20 @@ abstract class Base {
         return (Object.getPrototypeOf(this)).constructor.name;
     }
 
+    /**
+     * @returns {boolean} Whether there is a step in the history to undo.
+     */
+    get canUndo(): boolean {
+        return ! isEmpty(this._history.undo);
+    }
+
+    /**
+     * @returns {boolean} Whether there is an undone step in the history to redo.
+     */
+    get canRedo(): boolean {
+        return ! isEmpty(this._history.redo);
+    }
+
     /**
      * Called after construction, this hook allows you to add some extra setup
      * logic without having to override the constructor.
@@ -146,6 +181,175 @@ abstract class Base {
         });
     }
 
+    /**
+     * Removes an event listener for a given event, or all listeners of that
+     * event if a listener is not given.
+     *
+     * Event names can be comma-separated to remove from multiple events.
+     *
+     * @param {string}   event      The name of the event.
+     * @param {function} [listener] The event listener to remove.
+     */
+    off(event: string, listener?: Listener): void {
+        let events: string[] = map(split(event, ','), trim);
+
+        each(events, (event: string): void => {
+            if (listener) {
+                this._listeners[event] = without(this._listeners[event], listener);
+            } else {
+                delete this._listeners[event];
+            }
+        });
+    }
+
+    /**
+     * Removes all steps from the undo and redo history.
+     */
+    clearHistory(): void {
+        Vue.set(this, '_history', {
+            undo:      [],      // Steps that can be undone, most recent last.
+            redo:      [],      // Steps that were undone, most recent last.
+            batch:     null,    // Entries of the current batch, if batching.
+            depth:     0,       // The number of nested batches.
+            replaying: false,   // Whether a step is being undone or redone.
+        });
+    }
+
+    /**
+     * Records a change so that it can be undone. Changes that are made while
+     * batching are grouped together so that they are undone as one step.
+     *
+     * @param {Object} entry
+     */
+    recordHistory(entry: HistoryEntry): void {
+        if ( ! this.getOption('history') || this._history.replaying) {
+            return;
+        }
+
+        if (this._history.batch) {
+            this._history.batch.push(entry);
+            return;
+        }
+
+        this.pushHistoryStep([entry]);
+    }
+
+    /**
+     * Adds a step to the undo history, discarding the oldest step if the
+     * history is full. This also discards all steps that could be redone.
+     *
+     * @param {Array} step
+     */
+    pushHistoryStep(step: HistoryEntry[]): void {
+        let limit: number = toSafeInteger(this.getOption('historyLimit'));
+
+        this._history.undo.push(step);
+        this._history.redo.splice(0);
+
+        if (limit > 0 && this._history.undo.length > limit) {
+            this._history.undo.splice(0, this._history.undo.length - limit);
+        }
+    }
+
+    /**
+     * Calls the given callback, recording all changes that it makes as a
+     * single step in the history.
+     *
+     * @param {function} callback
+     *
+     * @returns {*} The value returned by the callback.
+     */
+    batch<T>(callback: () => T): T {
+        if (this._history.depth++ === 0) {
+            this._history.batch = [];
+        }
+
+        try {
+            return callback();
+
+        } finally {
+            if (--this._history.depth === 0) {
+                let step: HistoryEntry[] = this._history.batch as HistoryEntry[];
+
+                this._history.batch = null;
+
+                if ( ! isEmpty(step)) {
+                    this.pushHistoryStep(step);
+                }
+            }
+        }
+    }
+
+    /**
+     * Calls the given callback without recording the changes that it makes.
+     *
+     * @param {function} callback
+     *
+     * @returns {*} The value returned by the callback.
+     */
+    withoutHistory<T>(callback: () => T): T {
+        let replaying: boolean = this._history.replaying;
+
+        this._history.replaying = true;
+
+        try {
+            return callback();
+        } finally {
+            this._history.replaying = replaying;
+        }
+    }
+
+    /**
+     * Replays a step using the given function, without recording the effects.
+     */
+    replayHistoryStep(step: HistoryEntry[], replay: (entry: HistoryEntry) => void): void {
+        this.withoutHistory((): void => {
+            each(step, replay);
+        });
+    }
+
+    /**
+     * Reverts the most recent step in the history.
+     *
+     * @returns {boolean} `true` if a step was undone, `false` otherwise.
+     */
+    undo(): boolean {
+        let step: HistoryEntry[] | undefined = this._history.undo.pop();
+
+        if ( ! step) {
+            return false;
+        }
+
+        // Entries are reverted in reverse order to restore the original state.
+        this.replayHistoryStep([...step].reverse(), this.revertHistoryEntry);
+        this._history.redo.push(step);
+
+        this.emit('undo', {step});
+        return true;
+    }
+
+    /**
+     * Applies the most recently undone step in the history again.
+     *
+     * @returns {boolean} `true` if a step was redone, `false` otherwise.
+     */
+    redo(): boolean {
+        let step: HistoryEntry[] | undefined = this._history.redo.pop();
+
+        if ( ! step) {
+            return false;
+        }
+
+        this.replayHistoryStep(step, this.applyHistoryEntry);
+        this._history.undo.push(step);
+
+        this.emit('redo', {step});
+        return true;
+    }
+
+    abstract applyHistoryEntry(entry: HistoryEntry): void;
+    abstract revertHistoryEntry(entry: HistoryEntry): void;
+
     /**
      * @returns {Object} Parameters to use for replacement in route patterns.
      */
@@ -173,6 +377,12 @@ abstract class Base {
     getDefaultOptions(): Options {
         return {
 
+            // The URL that relative routes are joined onto, eg. "/api".
+            baseURL: null,
+
+            // Headers to send with every request.
+            headers: {},
+
             // Default HTTP methods for requests.
             methods: this.getDefaultMethods(),
 
@@ -181,9 +391,48 @@ abstract class Base {
 
             // The HTTP status code to use for indicating a validation error.
             validationErrorStatus: 422,
+
+            // The HTTP status codes that indicate a conflict with the
+            // current state of the resource on the server.
+            conflictErrorStatus: [409, 412],
+
+            // Whether changes should be recorded so that they can be undone.
+            history: false,
+
+            // The maximum number of steps to keep in the history.
+            historyLimit: 100,
+
+            // Whether collections should reflect a save or delete before the
+            // request is made, rolling back if the request fails.
+            optimistic: false,
+
+            // The identity map to use so that a record is represented by a
+            // single model instance, or `null` if instances are not shared.
+            store: null,
+
+            // How requests that failed because of a network error or a
+            // temporary server error should be retried, which is merged with
+            // the default retry options. Requests are only made once unless
+            // `attempts` is more than 1.
+            retry: null,
+
+            // Whether a fetch should cancel the previous fetch if it's still
+            // in flight, so that an older response can't replace a newer one.
+            cancelPrevious: false,
+
+            // The transport to send requests with, eg. `fetchTransport()`, or
+            // `null` to use the default transport.
+            transport: null,
         };
     }
 
+    /**
+     * @returns {Object} Options that are configured globally using `configure`.
+     */
+    getGlobalOptions(): Options {
+        return omit(getConfig(), ['locale', 'environments']);
+    }
+
     /**
      * @param {Array|string} path     Option path resolved by `get`
      * @param {*}            fallback Fallback value if the option is not set.
@@ -222,6 +471,7 @@ abstract class Base {
             {},
             ...options,                 // Given options
             this.options(),             // Instance defaults
+            this.getGlobalOptions(),    // Global defaults
             this.getDefaultOptions()    // Class defaults
         ));
     }
@@ -329,7 +579,7 @@ abstract class Base {
      * @returns {Object} Headers to use when making any request.
      */
     getDefaultHeaders(): Record<string, any> {
-        return {};
+        return {...this.getOption('headers', {})};
     }
 
     /**
@@ -409,6 +659,34 @@ abstract class Base {
         return this.getOption('methods.delete');
     }
 
+    /**
+     * @returns {Store|null} The identity map of models, if there is one.
+     */
+    getStore(): Store | null {
+        return this.getOption('store');
+    }
+
+    /**
+     * @returns {boolean} Whether saves and deletes should be applied optimistically.
+     */
+    isOptimistic(): boolean {
+        return Boolean(this.getOption('optimistic'));
+    }
+
+    /**
+     * Wraps a callback that is called before a request is made so that the
+     * change can be applied optimistically if the request will be made.
+     */
+    createOptimisticRequestCallback(onRequest: OnRequestCallback, apply: () => void): OnRequestCallback {
+        return (): Promise<number | boolean> => onRequest().then((status): number | boolean => {
+            if (status === RequestOperation.REQUEST_CONTINUE && this.isOptimistic()) {
+                apply();
+            }
+
+            return status;
+        });
+    }
+
     /**
      * @returns {number} The HTTP status code that indicates a validation error.
      */
@@ -432,6 +710,141 @@ abstract class Base {
         return status === invalid;
     }
 
+    /**
+     * @returns {number[]} The HTTP status codes that indicate a conflict.
+     */
+    getConflictErrorStatus(): number[] {
+        return defaultTo(this.getOption('conflictErrorStatus'), [409, 412]);
+    }
+
+    /**
+     * @returns {boolean} `true` if the response indicates a conflict.
+     */
+    isConflictError(error: RequestError | any): boolean {
+
+        // Only failed requests can be conflicts, and they must have a response.
+        if ( ! (error instanceof RequestError) || ! error.getResponse()) {
+            return false;
+        }
+
+        return includes(this.getConflictErrorStatus(), error.getResponse().getStatus());
+    }
+
+    /**
+     * @returns {Object} The default retry options.
+     */
+    getDefaultRetryOptions(): RetryOptions {
+        return {
+            attempts: 1,            // Maximum number of attempts.
+            delay: 1000,            // Delay before the first retry, in ms.
+            maxDelay: 30000,        // Maximum delay between attempts, in ms.
+            jitter: true,           // Whether to randomize the delay.
+            methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+            statuses: [408, 429, 500, 502, 503, 504],
+        };
+    }
+
+    /**
+     * @returns {Object} How failed requests should be retried.
+     */
+    getRetryOptions(): RetryOptions {
+        return defaults({}, this.getOption('retry'), this.getDefaultRetryOptions());
+    }
+
+    /**
+     * @param {Error}  error   The error of the failed attempt.
+     * @param {Object} config  The configuration of the request.
+     * @param {number} attempt The number of the failed attempt, from 1.
+     *
+     * @returns {boolean} Whether a failed request should be attempted again.
+     */
+    shouldRetry(error: any, config: TransportConfig, attempt: number): boolean {
+        let options: RetryOptions = this.getRetryOptions();
+
+        if (attempt >= defaultTo(options.attempts, 1)) {
+            return false;
+        }
+
+        if ( ! (error instanceof RequestError)) {
+            return false;
+        }
+
+        if ( ! includes(options.methods, toUpper(defaultTo(config.method, 'GET')))) {
+            return false;
+        }
+
+        let status: number | undefined = error.getResponse().getStatus();
+
+        // Requests that didn't receive a response failed because of the
+        // network, so they can always be retried.
+        if ( ! isNil(status) && ! includes(options.statuses, status)) {
+            return false;
+        }
+
+        // Fail rather than wait for longer than the maximum delay when the
+        // server asks to retry much later, eg. after a day.
+        let retryAfter: number | null = this.getRetryAfter(error);
+
+        return isNil(retryAfter) || retryAfter <= defaultTo(options.maxDelay, Infinity);
+    }
+
+    /**
+     * @returns {number|null} The delay in ms that a "Retry-After" header of a
+     *                        "429 Too Many Requests" or "503 Service
+     *                        Unavailable" response asks for, if any.
+     */
+    getRetryAfter(error: RequestError): number | null {
+        let response: Response = error.getResponse();
+
+        if ( ! includes([429, 503], response.getStatus())) {
+            return null;
+        }
+
+        let value: any = get(response.getHeaders(), 'retry-after');
+
+        if (isNil(value) || value === '') {
+            return null;
+        }
+
+        // Either a number of seconds, or the date after which to retry.
+        if (isFinite(value)) {
+            return Math.max(0, toNumber(value) * 1000);
+        }
+
+        let date: number = Date.parse(value);
+
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * @param {Error}  error   The error of the failed attempt.
+     * @param {number} attempt The number of the failed attempt, from 1.
+     *
+     * @returns {number} The delay in ms before the next attempt, which doubles
+     *                   with each attempt unless the server asks for another.
+     */
+    getRetryDelay(error: RequestError, attempt: number): number {
+        let options: RetryOptions = this.getRetryOptions();
+        let retryAfter: number | null = this.getRetryAfter(error);
+
+        if ( ! isNil(retryAfter)) {
+            return retryAfter;
+        }
+
+        let delay: number = Math.min(
+            defaultTo(options.maxDelay, Infinity),
+            defaultTo(options.delay, 0) * Math.pow(2, attempt - 1)
+        );
+
+        // Randomize the second half of the delay, so that clients that failed
+        // at the same time don't all retry at the same time.
+        if (options.jitter) {
+            return delay / 2 + random(0, delay / 2, true);
+        }
+
+        return delay;
+    }
+
     /**
      * @return {string|undefined} Route value by key.
      */
@@ -473,14 +886,43 @@ abstract class Base {
      * @returns {string} A URL that was generated using the given route key.
      */
     getURL(route: string, parameters: Record<string, any> = {}): string {
-        return this.getRouteResolver()(route, parameters);
+        return joinURL(this.getBaseURL(), this.getRouteResolver()(route, parameters));
+    }
+
+    /**
+     * @returns {string|null} The URL that relative routes are joined onto.
+     */
+    getBaseURL(): string | null {
+        return this.getOption('baseURL');
+    }
+
+    /**
+     * @returns {Function} The transport to send requests with.
+     */
+    getTransport(): Transport {
+        return defaultTo(this.getOption('transport'), getDefaultTransport());
+    }
+
+    /**
+     * @returns {Function[]} This class' middleware, which is called in order
+     *                       for each request after the global middleware.
+     */
+    middleware(): Middleware[] {
+        return [];
+    }
+
+    /**
+     * @returns {Function[]} All middleware to call for each request.
+     */
+    getMiddleware(): Middleware[] {
+        return [...getGlobalMiddleware(), ...this.middleware()];
     }
 
     /**
      * @returns {Request} A new `Request` using the given configuration.
      */
-    createRequest(config: AxiosRequestConfig): Request {
-        return new Request(config);
+    createRequest(config: TransportConfig): Request {
+        return new Request(config, this.getTransport(), this.getMiddleware());
     }
 
     /**
@@ -497,6 +939,20 @@ abstract class Base {
         return new ResponseError(error, response);
     }
 
+    /**
+     * Creates a conflict error based on a given request error.
+     */
+    createConflictError(error: RequestError): ConflictError {
+        return new ConflictError(error.getError(), error.getResponse());
+    }
+
+    /**
+     * Creates an error to reject a cancelled request with.
+     */
+    createCancelledError(): CancelledError {
+        return new CancelledError();
+    }
+
     /**
      * Creates a validation error using given errors and an optional message.
      */
@@ -511,17 +967,67 @@ abstract class Base {
      * @param  {function}   onRequest   Called before the request is made.
      * @param  {function}   onSuccess   Called when the request was successful.
      * @param  {function}   onFailure   Called when the request failed.
+     * @param  {function}   [onCancel]  Called when the request is cancelled,
+     *                                  before its promise is rejected.
+     *
+     * @returns {Promise} A promise that can be cancelled using `cancel()`.
      */
-    request(config: AxiosRequestConfig | (() => AxiosRequestConfig), onRequest: OnRequestCallback,
-            onSuccess: RequestSuccessCallback, onFailure: RequestFailureCallback): Promise<Response | null> {
-        return new Promise((resolve, reject): Promise<void> => {
+    request(config: TransportConfig | (() => TransportConfig), onRequest: OnRequestCallback,
+        onSuccess: RequestSuccessCallback, onFailure: RequestFailureCallback, onCancel: RequestCancelCallback = noop): CancellablePromise<Response | null> {
+        let settled = false;
+        let cancelled = false;
+        let aborts: (() => void)[] = [];   // Called when the request is cancelled.
+        let rejectCancelled: () => void = noop;
+
+        // The transport is aborted using a signal where `AbortController` is
+        // supported, and otherwise using an axios cancel token.
+        let controller: AbortController | null = typeof AbortController === 'undefined' ? null : new AbortController();
+        let source: CancelTokenSource | null = controller ? null : axios.CancelToken.source();
+
+        // The promise is rejected as soon as the request is cancelled, and
+        // state is restored right away so that another request can be made,
+        // eg. when `cancelPrevious` is enabled. The response is ignored.
+        let cancel = (): void => {
+            if (settled || cancelled) {
+                return;
+            }
+
+            cancelled = true;
+
+            if (controller) {
+                controller.abort();
+            } else {
+                source!.cancel();
+            }
+
+            each(aborts, (abort): void => abort());
+            onCancel();
+            rejectCancelled();
+        };
+
+        let promise: Promise<Response | null> = new Promise((resolve, reject): Promise<void> => {
+            rejectCancelled = (): void => reject(this.createCancelledError());
+
             return onRequest().then((status: RequestOperation | boolean): void | Promise<void> => {
+
+                // The request was cancelled while "onRequest" was pending, so
+                // undo anything it applied since, eg. an optimistic change.
+                if (cancelled) {
+                    if (status === RequestOperation.REQUEST_CONTINUE) {
+                        onCancel();
+                    }
+
+                    return;
+                }
+
                 switch (status) {
                     case RequestOperation.REQUEST_CONTINUE:
                         break;
                     case RequestOperation.REQUEST_SKIP:
+                        settled = true;
                         return;
                     case RequestOperation.REQUEST_REDUNDANT: // Skip, but consider it a success.
+                        settled = true;
                         onSuccess(null);
                         resolve(null);
                         return;
@@ -534,24 +1040,90 @@ abstract class Base {
                     config = config();
                 }
 
+                // Cancel this request when the given signal is aborted.
+                if (config.signal) {
+                    if (config.signal.aborted) {
+                        cancel();
+                    } else {
+                        config.signal.addEventListener('abort', cancel);
+                    }
+                }
+
+                // Don't make the request if it was cancelled in the meantime.
+                if (cancelled) {
+                    return;
+                }
+
+                let request: TransportConfig = controller
+                    ? {...config, signal: controller.signal}
+                    : {...config, signal: undefined, cancelToken: source!.token};
+
+                // Makes an attempt, and another after a delay if it failed and
+                // should be retried, until it succeeds or the attempts run out.
+                let attempt = (number: number): Promise<Response> => {
+                    return this.createRequest(request).send().catch((error): Promise<Response> => {
+                        if (cancelled || ! this.shouldRetry(error, request, number)) {
+                            throw error;
+                        }
+
+                        let delay: number = this.getRetryDelay(error, number);
+
+                        this.emit('retry', {
+                            error,
+                            attempt: number + 1,
+                            attempts: this.getRetryOptions().attempts,
+                            delay,
+                        });
+
+                        // The request might have been cancelled by a listener.
+                        if (cancelled) {
+                            throw error;
+                        }
+
+                        return new Promise((resolve): void => {
+                            let timeout: any = setTimeout(resolve, delay);
+
+                            // Stop waiting if the request is cancelled.
+                            aborts.push((): void => clearTimeout(timeout));
+                        }).then((): Promise<Response> => attempt(number + 1));
+                    });
+                };
+
                 // Make the request.
-                return this
-                    .createRequest(config)
-                    .send()
+                return attempt(1)
                     .then((response): void => {
+                        if (cancelled) {
+                            return;
+                        }
+
+                        settled = true;
                         onSuccess(response);
                         resolve(response);
                     })
-                    .catch((error: ResponseError): void => {
+                    .catch((error: ResponseError | RequestError): void => {
+                        if (cancelled) {
+                            return;
+                        }
+
+                        // Conflicts are rejected using a distinct error so that
+                        // they can be handled separately from other failures.
+                        if (this.isConflictError(error)) {
+                            error = this.createConflictError(error as RequestError);
+                        }
+
+                        settled = true;
                         onFailure(error, error.response);
                         reject(error);
                     })
                     .catch(reject); // For errors that occur in `onFailure`.
             }).catch(reject);
         });
+
+        return Object.assign(promise, {cancel});
     }
 
     abstract onFetch(): Promise<RequestOperation>;
+    abstract onFetchCancel(): void;
     abstract onFetchFailure(error: any, response: Response | undefined): void;
     abstract onFetchSuccess(response: Response | null): void;
 
@@ -563,29 +1135,44 @@ abstract class Base {
      * @param {options.url}         Fetch URL
      * @param {options.params}      Query params
      * @param {options.headers}     Query headers
+     * @param {options.signal}      Signal to cancel the request
      *
-     * @returns {Promise}
+     * @returns {Promise} A promise that can be cancelled using `cancel()`.
      */
-    fetch(options: RequestOptions = {}): Promise<Response | null> {
-        let config = (): AxiosRequestConfig => {
+    fetch(options: RequestOptions = {}): CancellablePromise<Response | null> {
+        let config = (): TransportConfig => {
             return {
                 url: defaultTo(options.url, this.getFetchURL()),
                 method: defaultTo(options.method, this.getFetchMethod()),
                 params: defaults(options.params, this.getFetchQuery()),
                 headers: defaults(options.headers, this.getFetchHeaders()),
+                signal: options.signal,
             }
         };
 
-        return this.request(
+        // Only the response of the latest fetch should be used, eg. when
+        // fetching the results of a search as it is being typed.
+        if (this.getOption('cancelPrevious') && this._fetching) {
+            this._fetching.cancel();
+        }
+
+        let request: CancellablePromise<Response | null> = this.request(
             config,
             this.onFetch,
             this.onFetchSuccess,
-            this.onFetchFailure
+            this.onFetchFailure,
+            this.onFetchCancel
         );
+
+        Vue.set(this, '_fetching', request);
+
+        return request;
     }
 
     abstract getSaveData(): Record<any, any>;
+    abstract applyOptimisticSave(): void;
     abstract onSave(): Promise<RequestOperation>;
+    abstract onSaveCancel(): void;
     abstract onSaveFailure(error: any, response: Response | undefined): void;
     abstract onSaveSuccess(response: BaseResponse | null): void;
 
@@ -598,25 +1185,28 @@ abstract class Base {
      * @param {options.data}        Save data
      * @param {options.params}      Query params
      * @param {options.headers}     Query headers
+     * @param {options.signal}      Signal to cancel the request
      *
-     * @returns {Promise}
+     * @returns {Promise} A promise that can be cancelled using `cancel()`.
      */
-    save(options: RequestOptions = {}): Promise<Response | null> {
-        let config = (): AxiosRequestConfig => {
+    save(options: RequestOptions = {}): CancellablePromise<Response | null> {
+        let config = (): TransportConfig => {
             return {
                 url: defaultTo(options.url, this.getSaveURL()),
                 method: defaultTo(options.method, this.getSaveMethod()),
                 data: defaultTo(options.data, this.getSaveData()),
                 params: defaultTo(options.params, this.getSaveQuery()),
                 headers: defaultTo(options.headers, this.getSaveHeaders()),
+                signal: options.signal,
             }
         };
 
         return this.request(
             config,
-            this.onSave,
+            this.createOptimisticRequestCallback(this.onSave, this.applyOptimisticSave),
             this.onSaveSuccess,
-            this.onSaveFailure
+            this.onSaveFailure,
+            this.onSaveCancel
         );
     }
 
@@ -645,9 +1235,9 @@ abstract class Base {
      * @param {options.params}      Query params
      * @param {options.headers}     Query headers
      *
-     * @returns {Promise}
+     * @returns {Promise} A promise that can be cancelled using `cancel()`.
      */
-    upload(options: Record<any, any> = {}): Promise<Response | null> {
+    upload(options: Record<any, any> = {}): CancellablePromise<Response | null> {
         let data: any = defaultTo(options.data, this.getSaveData());
 
         let config: object = (): object => assign(options, {
@@ -657,7 +1247,9 @@ abstract class Base {
         return this.save(config);
     }
 
+    abstract applyOptimisticDelete(): void;
     abstract onDelete(): Promise<RequestOperation>;
+    abstract onDeleteCancel(): void;
     abstract onDeleteFailure(error: any, response: Response | undefined): void;
     abstract onDeleteSuccess(response: Response | null): void;
 
@@ -669,25 +1261,28 @@ abstract class Base {
      * @param {options.url}         Delete URL
      * @param {options.params}      Query params
      * @param {options.headers}     Query headers
+     * @param {options.signal}      Signal to cancel the request
      *
-     * @returns {Promise}
+     * @returns {Promise} A promise that can be cancelled using `cancel()`.
      */
-    delete(options: RequestOptions = {}): Promise<Response | null> {
-        let config = (): AxiosRequestConfig => {
+    delete(options: RequestOptions = {}): CancellablePromise<Response | null> {
+        let config = (): TransportConfig => {
             return {
                 url: defaultTo(options.url, this.getDeleteURL()),
                 method: defaultTo(options.method, this.getDeleteMethod()),
                 data: defaultTo(options.data, this.getDeleteBody()),
                 params: defaultTo(options.params, this.getDeleteQuery()),
                 headers: defaultTo(options.headers, this.getDeleteHeaders()),
+                signal: options.signal,
             }
         };
 
         return this.request(
             config,
-            this.onDelete,
+            this.createOptimisticRequestCallback(this.onDelete, this.applyOptimisticDelete),
             this.onDeleteSuccess,
-            this.onDeleteFailure
+            this.onDeleteFailure,
+            this.onDeleteCancel
         );
     }
 }
@@ -697,10 +1292,26 @@ export default Base;
 export interface Options {
     [key: string]: any;
     model?: typeof Model;
+    store?: Store | null;
     methods?: Partial<Record<RequestType, HttpMethods>>;
     routeParameterPattern?: RegExp;
+    baseURL?: string | null;
+    headers?: Record<string, any>;
     // validationErrorStatus?: number;
     useDeleteBody?: boolean;
+    transport?: Transport | null;
+    retry?: RetryOptions | null;
+    cancelPrevious?: boolean;
+}
+
+export type HistoryEntry = Record<string, any>;
+
+export interface History {
+    undo: HistoryEntry[][];
+    redo: HistoryEntry[][];
+    batch: HistoryEntry[] | null;
+    depth: number;
+    replaying: boolean;
 }
 
 export type Routes = Record<'fetch' | 'save' | 'delete' | string, string>;
@@ -708,6 +1319,7 @@ export type Listener = (context: Record<string, any>) => void;
 export type RouteResolver = (route: string, parameters: Record<string, string>) => string;
 export type RequestFailureCallback = (error: any, response: Response | undefined) => void;
 export type RequestSuccessCallback = (response: Response | null) => void;
+export type RequestCancelCallback = () => void;
 export type OnRequestCallback = () => Promise<number | boolean>;
 export type HttpMethods = 'GET' | 'POST' | 'PATCH' | 'PUT' | 'DELETE' | string;
 export type RequestType = 'fetch' | 'save' | 'update' | 'create' | 'patch' | 'delete' | string;
@@ -718,4 +1330,18 @@ export interface RequestOptions {
     data?: any;
     params?: Record<string, any>;
     headers?: Record<string, any>;
+    signal?: AbortSignal;
+}
+
+export interface RetryOptions {
+    attempts?: number;
+    delay?: number;
+    maxDelay?: number;
+    jitter?: boolean;
+    methods?: string[];
+    statuses?: number[];
+}
+
+export interface CancellablePromise<T> extends Promise<T> {
+    cancel(): void;
 }
@@ -1,7 +1,12 @@
 import Vue from 'vue';
 
+import clamp from 'lodash/clamp';
+import clone from 'lodash/clone';
 import countBy from 'lodash/countBy';
+import debounce from 'lodash/debounce';
+import defaultTo from 'lodash/defaultTo';
 import defaultsDeep from 'lodash/defaultsDeep';
+import difference from 'lodash/difference';
 import each from 'lodash/each';
 import every from 'lodash/every';
 import filter from 'lodash/filter';
@@ -10,8 +15,11 @@ import findIndex from 'lodash/findIndex';
 import first from 'lodash/first';
 import get from 'lodash/get';
 import has from 'lodash/has';
+import includes from 'lodash/includes';
+import indexOf from 'lodash/indexOf';
 import isArray from 'lodash/isArray';
 import isEmpty from 'lodash/isEmpty';
+import isEqual from 'lodash/isEqual';
 import isFunction from 'lodash/isFunction';
 import isNil from 'lodash/isNil';
 import isObject from 'lodash/isObject';
@@ -23,21 +31,36 @@ import map from 'lodash/map';
 import max from 'lodash/max';
 import merge from 'lodash/merge';
 import method from 'lodash/method';
+import noop from 'lodash/noop';
+import omit from 'lodash/omit';
+import pull from 'lodash/pull';
 import reduce from 'lodash/reduce';
+import reject from 'lodash/reject';
 import set from 'lodash/set';
 import size from 'lodash/size';
+import some from 'lodash/some';
 import sortBy from 'lodash/sortBy';
 import sumBy from 'lodash/sumBy';
 import toSafeInteger from 'lodash/toSafeInteger';
 import unset from 'lodash/unset';
 import values from 'lodash/values';
 
-import Base, {Options, RequestOperation} from './Base';
+import Base, {CancellablePromise, HistoryEntry, Options, RequestOperation, RequestOptions} from './Base';
 import Model, {ValidationResultErrorFinalResult} from './Model';
+import Grouping, {GroupingOptions} from './Grouping';
+import Index from './Index';
+import Store from './Store';
+import View, {ViewOptions} from './View';
+import {PaginationDetails, PaginationStrategy, PaginationType, resolvePaginationStrategy} from './Pagination';
+import CancelledError from '../Errors/CancelledError';
 import ResponseError from '../Errors/ResponseError';
+import UniqueIndexError from '../Errors/UniqueIndexError';
 import ValidationError from '../Errors/ValidationError';
 import ProxyResponse from '../HTTP/ProxyResponse';
+import {Query, QueryBuilder, QueryFormat, QuerySerializer, createQuery, serializeQuery} from '../HTTP/Query';
 import Response from '../HTTP/Response';
+import {TransportConfig} from '../HTTP/Transport';
+import {Method} from 'axios';
 
 /**
  * Used as a marker to indicate that pagination is not enabled.
@@ -49,6 +72,31 @@ const NO_PAGE = null;
  */
 const LAST_PAGE = 0;
 
+/**
+ * Creates the pagination state of a collection that has not fetched a page.
+ */
+const createPaginationState = (): PaginationState => ({
+    total: null,
+    lastPage: null,
+    hasMore: true,
+    next: null,
+    prev: null,
+    current: null,
+    token: null,
+    replace: false,
+});
+
+export enum ChangesetFormat {
+    SEPARATE = 'separate',
+    COMBINED = 'combined',
+}
+
+export enum FetchStrategy {
+    REPLACE = 'replace',
+    MERGE   = 'merge',
+    SYNC    = 'sync',
+}
+
 /**
  * Base collection class.
  */
@@ -58,11 +106,19 @@ class Collection extends Base {
     readonly loading!: boolean;
     readonly saving!: boolean;
     readonly deleting!: boolean;
+    readonly reordering!: boolean;
     readonly fatal!: boolean;
 
     private readonly _attributes!: Record<string, any>;
     private readonly _page!: number | null;
+    private readonly _pagination!: PaginationState;
+    private readonly _query!: Query;
+    private _debouncedFetch?: () => void;
     private readonly _registry!: Record<string, string>;
+    private readonly _indexes!: Record<string, Index>;
+    private readonly _optimistic!: Model[] | null;
+    private readonly _order!: Order | null;
+    private readonly _pendingDeletes!: Model[];
 
     /**
      * Accessor to support Array.length semantics.
@@ -71,6 +127,21 @@ class Collection extends Base {
         return this.size();
     }
 
+    /**
+     * @returns {number|null} The total number of models across all pages, if
+     *                        known from the last paginated fetch response.
+     */
+    get total(): number | null {
+        return this._pagination.total;
+    }
+
+    /**
+     * @returns {boolean} Whether there are more pages after the current one.
+     */
+    get hasMore(): boolean {
+        return this._pagination.hasMore;
+    }
+
     /**
      * Creates a new instance, called when using 'new'.
      *
@@ -83,7 +154,13 @@ class Collection extends Base {
         Vue.set(this, 'models', []);      // Model store.
         Vue.set(this, '_attributes', {}); // Property store.
         Vue.set(this, '_registry', {});   // Model registry.
+        Vue.set(this, '_indexes', {});    // Indexes by attribute.
         Vue.set(this, '_page', NO_PAGE);
+        Vue.set(this, '_pagination', createPaginationState());
+        Vue.set(this, '_query', createQuery()); // Server-side query criteria.
+        Vue.set(this, '_optimistic', null); // Models with optimistic changes.
+        Vue.set(this, '_order', null);      // Order to restore if a reorder fails.
+        Vue.set(this, '_pendingDeletes', []); // Models to delete with the changeset.
 
         this.clearState();
 
@@ -95,6 +172,9 @@ class Collection extends Base {
         if (models) {
             this.add(values(models));
         }
+
+        // Models given on construction should not be part of the history.
+        this.clearHistory();
     }
 
     /**
@@ -176,9 +256,47 @@ class Collection extends Base {
             // Whether this collection should send model identifiers as JSON
             // in the body of a delete request, instead of a query parameter.
             useDeleteBody: true,
+
+            // How fetched models should be applied to this collection, either
+            // "replace" to replace all models, "merge" to update existing
+            // models and add new ones, or "sync" to also remove the rest.
+            fetchStrategy: FetchStrategy.REPLACE,
+
+            // How this collection should paginate, either "page", "offset",
+            // "cursor", "link", or a custom pagination strategy object.
+            pagination: PaginationType.PAGE,
+
+            // The number of models per page, used by offset pagination.
+            pageSize: 15,
+
+            // How query criteria should be sent, either "flat", "brackets",
+            // "json-api", or a function that receives the query.
+            queryFormat: QueryFormat.FLAT,
+
+            // Whether this collection should fetch again when the query
+            // criteria change, and how many milliseconds to wait for more
+            // changes before doing so.
+            fetchOnQueryChange: false,
+            queryDebounce: 300,
+
+            // The attribute that holds the position of each model, which is
+            // updated when models are inserted or moved.
+            positionAttribute: null,
+
+            // How `saveChanges` should send changes, either "separate" to send
+            // creates, updates and deletes to their own routes, or "combined"
+            // to send them together to the save route.
+            changesetFormat: ChangesetFormat.SEPARATE,
         });
     }
 
+    /**
+     * @returns {Object} Default HTTP methods.
+     */
+    getDefaultMethods(): object {
+        return {...super.getDefaultMethods(), reorder: 'PUT'};
+    }
+
     /**
      * @returns {Object} Parameters to use for replacement in route patterns.
      */
@@ -202,6 +320,7 @@ class Collection extends Base {
         Vue.set(this, 'loading', false);
         Vue.set(this, 'saving', false);
         Vue.set(this, 'deleting', false);
+        Vue.set(this, 'reordering', false);
         Vue.set(this, 'fatal', false);
     }
 
@@ -226,6 +345,7 @@ class Collection extends Base {
     clear(): void {
         this.clearModels();
         this.clearState();
+        this.clearOrder();
     }
 
     /**
@@ -234,6 +354,8 @@ class Collection extends Base {
      */
     sync(): void {
         each(this.models, method('sync'));
+        this.clearHistory();
+        this.clearOrder();
     }
 
     /**
@@ -289,7 +411,15 @@ class Collection extends Base {
      * @returns {Model} A new instance of this collection's model.
      */
     createModel(attributes: Record<string, any>): Record<string, any> {
-        return new (this.model())(attributes);
+        let model: Model = new (this.model())(attributes);
+        let store: Store | null = this.getStore();
+
+        // Use the existing instance of the record if there is one.
+        if (store) {
+            return store.resolve(model, attributes);
+        }
+
+        return model;
     }
 
     /**
@@ -323,8 +453,19 @@ class Collection extends Base {
      * @param {Model} model
      */
     onAdd(model: Model): void {
+        let store: Store | null = this.getStore();
+
+        if (store) {
+            store.retain(model);
+        }
+
         model.registerCollection(this);
         this.addModelToRegistry(model);
+
+        each(this._indexes, (index): void => {
+            index.add(model);
+        });
+
         this.emit('add', {model});
     }
 
@@ -350,9 +491,23 @@ class Collection extends Base {
             return filter(map(model as Model[], this.add));
         }
 
+        return this._addModelAtIndex(this.models.length, model);
+    }
+
+    /**
+     * Adds a model to this collection at a given index.
+     *
+     * @param {number}       index
+     * @param {Model|Object} model
+     *
+     * @returns {Model|undefined} The added model, or `undefined` if the model
+     *                            is already in this collection.
+     */
+    _addModelAtIndex(index: number, model?: Model | Partial<Model> | Record<string, any>): Model | undefined {
+
         // Objects should be converted to model instances first, then added.
         if (isPlainObject(model)) {
-            return this.add(this.createModel(model as Partial<Model> | Record<string, any>));
+            model = this.createModel(model as Partial<Model> | Record<string, any>);
         }
 
         // This is also just to catch a potential bug. All models should have
@@ -361,29 +516,351 @@ class Collection extends Base {
             throw new Error('Expected a model, plain object, or array of either');
         }
 
+        // Use the existing instance of the record if there is one.
+        let store: Store | null = this.getStore();
+
+        if (store) {
+            model = store.resolve(model as Model);
+        }
+
         // Make sure we don't add the same model twice.
         if (this.hasModelInRegistry(model as Model)) {
             return;
         }
 
+        // Make sure that unique indexes would not be violated.
+        this.assertUnique(model as Model);
+
         // Add the model instance to this collection.
-        this.models.push(model as Model);
-        this.onAdd(model as Model);
+        this._insertModelAtIndex(index, model as Model);
+
+        this.recordHistory({type: 'add', model, index});
 
         // We're assuming that the collection is not loading once a model is added.
         Vue.set(this, 'loading', false);
 
+        return model as Model;
+    }
+
+    /**
+     * Inserts a model, or an array of models, at a given index. The position
+     * attribute of all models is updated if there is one.
+     *
+     * @param {number}             index
+     * @param {Model|Array|Object} model
+     *
+     * @returns {Model|Array} The inserted model or array of inserted models.
+     */
+    insertAt(index: number, model: Model[]): Model[];
+    insertAt(index: number, model: Model | Partial<Model> | Record<string, any>): Model | undefined;
+    insertAt(index: number, model: Model | Model[] | Partial<Model> | Record<string, any>): Model | Model[] | undefined {
+        index = clamp(toSafeInteger(index), 0, this.models.length);
+
+        this.captureOrder();
+
+        let inserted: Model | Model[] | undefined;
+
+        // Models of an array are inserted one after the other.
+        if (isArray(model)) {
+            inserted = [];
+
+            each(model, (model): void => {
+                let added: Model | undefined = this._addModelAtIndex(index + (inserted as Model[]).length, model);
+
+                if (added) {
+                    (inserted as Model[]).push(added);
+                }
+            });
+        } else {
+            inserted = this._addModelAtIndex(index, model);
+        }
+
+        this.updatePositions();
+        return inserted;
+    }
+
+    /**
+     * Moves a model to another index. The position attribute of all models is
+     * updated if there is one.
+     *
+     * @param {number|Model} from The current index of the model, or the model.
+     * @param {number}       to
+     *
+     * @returns {Model|undefined} The model that was moved, or `undefined` if
+     *                            there is no model to move.
+     */
+    move(from: number | Model, to: number): Model | undefined {
+        let index: number = this.isModel(from) ? this.indexOf(from as Model) : (from as number);
+        let model: Model | undefined = get(this.models, index);
+
+        if ( ! model) {
+            return;
+        }
+
+        to = clamp(toSafeInteger(to), 0, this.models.length - 1);
+
+        if (index !== to) {
+            let previous: Model[] = this.models;
+            let models: Model[] = [...previous];
+
+            this.captureOrder();
+
+            models.splice(index, 1);
+            models.splice(to, 0, model);
+
+            Vue.set(this, 'models', models);
+            this.recordHistory({type: 'sort', previous, value: models});
+
+            this.emit('sort');
+            this.updatePositions();
+        }
+
         return model;
     }
 
+    /**
+     * @returns {string|null} The attribute that holds the position of a model.
+     */
+    getPositionAttribute(): string | null {
+        return this.getOption('positionAttribute');
+    }
+
+    /**
+     * Sets the position attribute of each model to its index, if there is a
+     * position attribute.
+     */
+    updatePositions(): void {
+        let attribute: string | null = this.getPositionAttribute();
+
+        if ( ! attribute) {
+            return;
+        }
+
+        each(this.models, (model, index): void => {
+            if (model.get(attribute as string) !== index) {
+                model.set(attribute as string, index);
+            }
+        });
+    }
+
+    /**
+     * Keeps the current order so that it can be restored if the next reorder
+     * request fails. The order is only kept if it isn't already.
+     */
+    captureOrder(): void {
+        if (this._order) {
+            return;
+        }
+
+        let attribute: string | null = this.getPositionAttribute();
+        let positions: Record<string, any> = {};
+
+        if (attribute) {
+            each(this.models, (model): void => {
+                positions[model._uid] = model.get(attribute as string);
+            });
+        }
+
+        Vue.set(this, '_order', {models: [...this.models], positions});
+    }
+
+    /**
+     * Restores the order that was kept before models were inserted or moved.
+     * Models that were added since are kept after the others.
+     */
+    rollbackOrder(): void {
+        let order: Order | null = this._order;
+
+        if ( ! order) {
+            return;
+        }
+
+        let attribute: string | null = this.getPositionAttribute();
+
+        Vue.set(this, 'models', sortBy(this.models, (model): number => {
+            let index: number = indexOf(order!.models, model);
+            return index < 0 ? order!.models.length : index;
+        }));
+
+        this.emit('sort');
+
+        // Models that were added since are positioned after the others.
+        if (attribute) {
+            each(this.models, (model, index): void => {
+                model.set(attribute as string, get(order!.positions, model._uid, index));
+            });
+        }
+
+        this.clearOrder();
+    }
+
+    /**
+     * Forgets the order that was kept before models were inserted or moved,
+     * eg. when the current order is known to be the saved order.
+     */
+    clearOrder(): void {
+        Vue.set(this, '_order', null);
+    }
+
+    /**
+     * @returns {Object[]} The identifier and position of each saved model.
+     */
+    getReorderData(): Record<string, any>[] {
+        let identifier: string = this.getModelIdentifierAttribute();
+        let position: string = defaultTo(this.getPositionAttribute(), 'position');
+
+        return reduce(this.models, (data: Record<string, any>[], model, index): Record<string, any>[] => {
+            if ( ! model.isNew()) {
+                data.push({[identifier]: model.identifier(), [position]: index});
+            }
+
+            return data;
+        }, []);
+    }
+
+    /**
+     * @returns {string} The route to use when saving the order of the models.
+     */
+    getReorderRoute(): string {
+        return this.getRoute('reorder');
+    }
+
+    /**
+     * @returns {string} The full URL to use when making a reorder request.
+     */
+    getReorderURL(): string {
+        return this.getURL(this.getReorderRoute(), this.getRouteParameters());
+    }
+
+    /**
+     * @returns {string} HTTP method to use when saving the order of the models.
+     */
+    getReorderMethod(): Method {
+        return this.getOption('methods.reorder');
+    }
+
+    /**
+     * @returns {Object} Headers to use when making a reorder request.
+     */
+    getReorderHeaders(): Record<string, any> {
+        return this.getDefaultHeaders();
+    }
+
+    /**
+     * Called before a reorder request is made.
+     *
+     * @returns {boolean} `false` if the request should not be made.
+     */
+    onReorder(): Promise<RequestOperation> {
+        if (this.reordering) {
+            return Promise.resolve(Base.REQUEST_SKIP);
+        }
+
+        // There's nothing to reorder if none of the models have been saved.
+        if (isEmpty(this.getReorderData())) {
+            return Promise.resolve(Base.REQUEST_REDUNDANT);
+        }
+
+        Vue.set(this, 'reordering', true);
+        return Promise.resolve(Base.REQUEST_CONTINUE);
+    }
+
+    /**
+     * Called when a reorder request was successful.
+     */
+    onReorderSuccess(): void {
+        let attribute: string | null = this.getPositionAttribute();
+
+        // The positions are now saved, so they are no longer changes.
+        if (attribute) {
+            each(this.models, (model): void => {
+                model.sync(attribute as string);
+            });
+        }
+
+        this.clearOrder();
+        Vue.set(this, 'reordering', false);
+        Vue.set(this, 'fatal', false);
+
+        this.emit('reorder', {error: null});
+    }
+
+    /**
+     * Called when a reorder request failed, which restores the order that
+     * the models were in before they were inserted or moved.
+     *
+     * @param {Error} error
+     */
+    onReorderFailure(error: any): void {
+        this.rollbackOrder();
+
+        Vue.set(this, 'reordering', false);
+        Vue.set(this, 'fatal', true);
+
+        this.emit('reorder', {error});
+    }
+
+    /**
+     * Called when a reorder request was cancelled. The order is kept, because
+     * the request might have been received.
+     */
+    onReorderCancel(): void {
+        Vue.set(this, 'reordering', false);
+    }
+
+    /**
+     * Saves the order of the models, sending only the identifier and position
+     * of each model that has been saved.
+     *
+     * @param {options}             Reorder options
+     * @param {options.method}      Reorder HTTP method
+     * @param {options.url}         Reorder URL
+     * @param {options.params}      Query params
+     * @param {options.headers}     Query headers
+     * @param {options.signal}      Signal to cancel the request
+     *
+     * @returns {Promise} A promise that can be cancelled using `cancel()`.
+     */
+    saveOrder(options: RequestOptions = {}): CancellablePromise<Response | null> {
+        let config = (): TransportConfig => {
+            return {
+                url: defaultTo(options.url, this.getReorderURL()),
+                method: defaultTo(options.method, this.getReorderMethod()),
+                data: defaultTo(options.data, this.getReorderData()),
+                params: defaultTo(options.params, {}),
+                headers: defaultTo(options.headers, this.getReorderHeaders()),
+                signal: options.signal,
+            }
+        };
+
+        return this.request(
+            config,
+            this.onReorder,
+            this.onReorderSuccess,
+            this.onReorderFailure,
+            this.onReorderCancel
+        );
+    }
+
     /**
      * Called when a model has been removed from this collection.
      *
      * @param {Model} model
      */
     onRemove(model: Model): void {
+        let store: Store | null = this.getStore();
+
+        if (store) {
+            store.release(model);
+        }
+
         model.unregisterCollection(this);
         this.removeModelFromRegistry(model);
+
+        each(this._indexes, (index): void => {
+            index.remove(model);
+        });
+
         this.emit('remove', {model});
     }
 
@@ -404,9 +881,47 @@ class Collection extends Base {
         Vue.delete(this.models, index);
         this.onRemove(model);
 
+        this.recordHistory({type: 'remove', model, index});
+
         return model;
     }
 
+    /**
+     * Inserts a model at a given index.
+     *
+     * @param {number} index
+     * @param {Model}  model
+     */
+    _insertModelAtIndex(index: number, model: Model): void {
+        this.models.splice(index, 0, model);
+        this.onAdd(model);
+    }
+
+    /**
+     * Moves a model back to a previous position in this collection, or removes
+     * it if it wasn't in this collection. This is not recorded in the history.
+     *
+     * @param {Model}  model
+     * @param {number} index The previous index, or -1 if it wasn't included.
+     */
+    restorePosition(model: Model, index: number): void {
+        this.withoutHistory((): void => {
+            let current: number = this.indexOf(model);
+
+            if (current === index) {
+                return;
+            }
+
+            if (current >= 0) {
+                this._removeModelAtIndex(current);
+            }
+
+            if (index >= 0) {
+                this._insertModelAtIndex(Math.min(index, this.models.length), model);
+            }
+        });
+    }
+
     /**
      * Removes a `Model` from this collection.
      *
@@ -545,6 +1060,27 @@ class Collection extends Base {
         return filter<Model>(this.models, predicate);
     }
 
+    /**
+     * @returns {Model[]} All models, including those that have been soft deleted.
+     */
+    withTrashed(): Model[] {
+        return this.models;
+    }
+
+    /**
+     * @returns {Model[]} Models that have been soft deleted.
+     */
+    onlyTrashed(): Model[] {
+        return this.where(method('isTrashed'));
+    }
+
+    /**
+     * @returns {Model[]} Models that have not been soft deleted.
+     */
+    withoutTrashed(): Model[] {
+        return this.where((model: Model): boolean => ! model.isTrashed());
+    }
+
     /**
      * Returns an array that contains the returned result after applying a
      * function to each model in this collection.
@@ -621,6 +1157,22 @@ class Collection extends Base {
         return countBy(this.models, iteratee);
     }
 
+    /**
+     * Groups the models of this collection into reactive views by the value
+     * of an attribute. Models move between groups when the attribute changes.
+     * The grouping should be destroyed when no longer needed so that it stops
+     * listening to this collection.
+     *
+     * @param {string|function} attribute Receives `model` if a function.
+     * @param {Object}          [options] `groups` to always include, and the
+     *                                    `sort` of each group.
+     *
+     * @returns {Grouping}
+     */
+    groupBy(attribute: string | ((model: Model) => any), options: GroupingOptions = {}): Grouping {
+        return new Grouping(this, attribute, options);
+    }
+
     /**
      * Sorts this collection's models using a comparator. This method performs
      * a stable sort (it preserves the original sort order of equal elements).
@@ -631,31 +1183,212 @@ class Collection extends Base {
      *                                     invoked with a single arg `model`.
      */
     sort(comparator: ((model: Model) => any) | string): void {
-        Vue.set(this, 'models', sortBy(this.models, comparator));
+        let previous: Model[] = this.models;
+        let sorted: Model[] = sortBy(this.models, comparator);
+
+        Vue.set(this, 'models', sorted);
+        this.recordHistory({type: 'sort', previous, value: sorted});
+
+        this.emit('sort');
     }
 
     /**
-     * @param {Model|Object} model
+     * Returns a read-only view of the models of this collection that match a
+     * filter, in the order of a sort. The view stays up to date when models
+     * are added, removed or changed, and should be destroyed when no longer
+     * needed so that it stops listening to this collection.
      *
-     * @returns {boolean} `true` if this collection contains the given model,
-     *                    `false` otherwise.
+     * @param {Object} [options] `filter` and `sort`, as accepted by `filter`
+     *                           and `sort`.
+     *
+     * @returns {View}
      */
-    has(model: Model): boolean {
-        return this.indexOf(model) >= 0;
+    view(options: ViewOptions = {}): View {
+        return new View(this, options);
     }
 
     /**
-     * @returns {Model|undefined} The first model of this collection.
+     * Called when an attribute of a model in this collection has changed.
+     *
+     * @param {Model}  model
+     * @param {string} attribute
+     * @param {*}      previous
+     * @param {*}      value
      */
-    first(): Model | undefined {
-        return first(this.models);
+    onModelChange(model: Model, attribute: string, previous: any, value: any): void {
+        let index: Index | undefined = this._indexes[attribute];
+
+        if (index) {
+            this.reindex(model, index);
+        }
+
+        this.emit('change', {model, attribute, previous, value});
     }
 
     /**
-     * @returns {Model|undefined} The last model of this collection.
+     * Updates the indexes of a model after its attributes were replaced without
+     * a change event, eg. when the model was reset or cleared, and emits a
+     * `replace` event so that views and groups can update as well.
+     *
+     * @param {Model} model
      */
-    last(): Model | undefined {
-        return last(this.models);
+    onModelReplace(model: Model): void {
+        each(this._indexes, (index): void => {
+            this.reindex(model, index);
+        });
+
+        this.emit('replace', {model});
+    }
+
+    /**
+     * Indexes a model by the current value of the index's attribute.
+     *
+     * @param {Model} model
+     * @param {Index} index
+     */
+    reindex(model: Model, index: Index): void {
+        let attribute: string = index.attribute;
+        let value: any = model.get(attribute);
+
+        index.add(model, value);
+
+        // The change can't be prevented at this point, so a violation of a
+        // unique index is reported instead.
+        let existing: Model | undefined = index.conflict(model, value);
+
+        if (existing) {
+            this.emit('violation', {model, existing, attribute, value});
+        }
+    }
+
+    /**
+     * Declares an index on an attribute, so that models can be found by the
+     * value of that attribute in constant time using `findBy`.
+     *
+     * @param {string} attribute
+     * @param {Object} [options] `unique` to require distinct values.
+     *
+     * @returns {Collection} This collection.
+     *
+     * @throws {UniqueIndexError} If the index is unique but two models have
+     *                            the same value.
+     */
+    index(attribute: string, options: IndexOptions = {}): this {
+        let index: Index = new Index(attribute, !! options.unique);
+
+        each(this.models, (model): void => {
+            let existing: Model | undefined = index.conflict(model);
+
+            if (existing) {
+                throw new UniqueIndexError(attribute, model.get(attribute), model, existing);
+            }
+
+            index.add(model);
+        });
+
+        Vue.set(this._indexes, attribute, index);
+        return this;
+    }
+
+    /**
+     * @returns {Index|undefined} The index on an attribute, if there is one.
+     */
+    getIndex(attribute: string): Index | undefined {
+        return this._indexes[attribute];
+    }
+
+    /**
+     * @throws {UniqueIndexError} If adding the given model would violate a
+     *                            unique index.
+     */
+    assertUnique(model: Model): void {
+        each(this._indexes, (index): void => {
+            let existing: Model | undefined = index.conflict(model);
+
+            if (existing) {
+                throw new UniqueIndexError(index.attribute, model.get(index.attribute), model, existing);
+            }
+        });
+    }
+
+    /**
+     * Returns the models that have the given value for an attribute, which
+     * takes constant time if the attribute is indexed.
+     *
+     * @param {string} attribute
+     * @param {*}      value
+     *
+     * @returns {Model[]}
+     */
+    findAllBy(attribute: string, value: any): Model[] {
+        let index: Index | undefined = this.getIndex(attribute);
+
+        if (index) {
+            return [...index.find(value)];
+        }
+
+        return this.where({[attribute]: value});
+    }
+
+    /**
+     * Returns the first model that has the given value for an attribute,
+     * which takes constant time if the attribute is indexed.
+     *
+     * @param {string} attribute
+     * @param {*}      value
+     *
+     * @returns {Model|undefined}
+     */
+    findBy(attribute: string, value: any): Model | undefined {
+        let index: Index | undefined = this.getIndex(attribute);
+
+        if (index) {
+            return first(index.find(value));
+        }
+
+        return this.find({[attribute]: value});
+    }
+
+    /**
+     * Returns the model that has the given identifier in constant time. The
+     * identifier attribute is indexed the first time this is called.
+     *
+     * @param {*} identifier
+     *
+     * @returns {Model|undefined}
+     */
+    getById(identifier: any): Model | undefined {
+        let attribute: string = this.getModelIdentifierAttribute();
+
+        if ( ! this.getIndex(attribute)) {
+            this.index(attribute);
+        }
+
+        return this.findBy(attribute, identifier);
+    }
+
+    /**
+     * @param {Model|Object} model
+     *
+     * @returns {boolean} `true` if this collection contains the given model,
+     *                    `false` otherwise.
+     */
+    has(model: Model): boolean {
+        return this.indexOf(model) >= 0;
+    }
+
+    /**
+     * @returns {Model|undefined} The first model of this collection.
+     */
+    first(): Model | undefined {
+        return first(this.models);
+    }
+
+    /**
+     * @returns {Model|undefined} The last model of this collection.
+     */
+    last(): Model | undefined {
+        return last(this.models);
     }
 
     /**
@@ -690,6 +1423,133 @@ class Collection extends Base {
     replace(models: Model | Model[]): void {
         this.clearModels();
         this.add(values(models));
+
+        // Replacing all models is not something that can be undone.
+        this.clearHistory();
+    }
+
+    /**
+     * @returns {string} The attribute that identifies models of this collection.
+     */
+    getModelIdentifierAttribute(): string {
+        return new (this.model())().getOption('identifier');
+    }
+
+    /**
+     * Merges models into this collection. Existing models are matched by their
+     * identifiers and updated in place, so that their instances are preserved,
+     * while models that can't be matched are added.
+     *
+     * Emits "add" and "remove" for each model that was added or removed, and
+     * "update" for each existing model that was changed.
+     *
+     * @param {Array}   models        Models or plain objects.
+     * @param {boolean} removeMissing Whether models that were not given should
+     *                                be removed from this collection.
+     */
+    merge(models: (Model | Record<string, any>)[], removeMissing = false): void {
+        let attribute: string = this.getModelIdentifierAttribute();
+        let existing: Model[] = reject(this.models, (model): boolean => model.isNew());
+        let lookup: Record<string, Model> = keyBy(existing, (model): string => model.identifier());
+        let matched: Model[] = [];
+
+        each(models, (data): void => {
+            let identifier: any = this.isModel(data) ? (data as Model).identifier() : get(data, attribute);
+            let model: Model | undefined = isNil(identifier) ? undefined : get(lookup, identifier);
+
+            // Models that are already in this collection are not added again,
+            // which includes models that appeared earlier in the given models.
+            if ( ! model) {
+                let added: Model = this.add(data) || data as Model;
+
+                if ( ! isNil(identifier)) {
+                    lookup[identifier] = added;
+                }
+
+                matched.push(added);
+                return;
+            }
+
+            let before: Record<string, any> = clone(model.attributes);
+
+            if (model !== data) {
+                model.merge(this.isModel(data) ? (data as Model).attributes : data);
+            }
+
+            matched.push(model);
+
+            if ( ! isEqual(model.attributes, before)) {
+                this.emit('update', {model});
+            }
+        });
+
+        if (removeMissing) {
+            this.remove(difference(this.models, matched));
+        }
+
+        // Merging models is not something that can be undone.
+        this.clearHistory();
+    }
+
+    /**
+     * @returns {string} How fetched models should be applied to this collection.
+     */
+    getFetchStrategy(): FetchStrategy {
+        return defaultTo(this.getOption('fetchStrategy'), FetchStrategy.REPLACE);
+    }
+
+    /**
+     * Applies fetched models to this collection using the fetch strategy.
+     *
+     * @param {Array} models
+     */
+    applyFetchedModels(models: Record<string, any>[]): void {
+        switch (this.getFetchStrategy()) {
+            case FetchStrategy.MERGE:
+                this.merge(models);
+                break;
+            case FetchStrategy.SYNC:
+                this.merge(models, true);
+                break;
+            default:
+                this.replace(models as Model[]);
+        }
+    }
+
+    /**
+     * Applies an add, remove or sort again after it has been undone.
+     */
+    applyHistoryEntry(entry: HistoryEntry): void {
+        switch (entry.type) {
+            case 'add':
+                this._insertModelAtIndex(entry.index, entry.model);
+                break;
+            case 'remove':
+                this._removeModel(entry.model);
+                break;
+            case 'sort':
+                Vue.set(this, 'models', entry.value);
+                this.emit('sort');
+                break;
+        }
+    }
+
+    /**
+     * Reverts an add, remove or sort, restoring the position of the model.
+     */
+    revertHistoryEntry(entry: HistoryEntry): void {
+        switch (entry.type) {
+            case 'add':
+                this._removeModel(entry.model);
+                break;
+            case 'remove':
+                this._insertModelAtIndex(entry.index, entry.model);
+                break;
+            case 'sort':
+                Vue.set(this, 'models', entry.previous);
+                this.emit('sort');
+                break;
+        }
     }
 
     /**
@@ -697,21 +1557,103 @@ class Collection extends Base {
      *
      * @return {Object}
      */
-    getPaginationQuery(): { page: number | null } {
-        return {
-            page: this._page,
-        };
+    getPaginationQuery(): Record<string, any> {
+        return this.getPaginationStrategy().getQuery(
+            this._page as number,
+            this._pagination.token,
+            this.getPageSize()
+        );
+    }
+
+    /**
+     * @inheritDoc
+     */
+    getFetchURL(): string {
+        let strategy: PaginationStrategy = this.getPaginationStrategy();
+
+        // Some strategies fetch pages from a URL given by the previous page.
+        if (this.isPaginated() && strategy.getURL) {
+            let url: string | undefined = strategy.getURL(this._pagination.token);
+
+            if (url) {
+                return url;
+            }
+        }
+
+        return super.getFetchURL();
     }
 
     /**
      * @inheritDoc
      */
     getFetchQuery(): Record<string, any> {
-        if (this.isPaginated()) {
-            return this.getPaginationQuery();
+        let query: Record<string, any> = this.isPaginated()
+            ? this.getPaginationQuery()
+            : super.getFetchQuery();
+
+        return {...this.getQueryParameters(), ...query};
+    }
+
+    /**
+     * Returns a builder to change the criteria of the server-side query, eg.
+     * `collection.query().where('status', 'open').orderBy('created_at', 'desc')`.
+     *
+     * @returns {QueryBuilder}
+     */
+    query(): QueryBuilder {
+        return new QueryBuilder(this._query, this.onQueryChange);
+    }
+
+    /**
+     * @returns {Object} The criteria of the server-side query.
+     */
+    getQuery(): Query {
+        return this._query;
+    }
+
+    /**
+     * @returns {string|Function} The format or serializer of query criteria.
+     */
+    getQueryFormat(): QueryFormat | QuerySerializer {
+        return this.getOption('queryFormat');
+    }
+
+    /**
+     * @returns {Object} Query parameters for the criteria of the query.
+     */
+    getQueryParameters(): Record<string, any> {
+        return serializeQuery(this._query, this.getQueryFormat());
+    }
+
+    /**
+     * Called when the criteria of the query have changed. Pagination starts
+     * over because the current pages no longer apply.
+     */
+    onQueryChange(): void {
+        this.resetPagination();
+        this.emit('query', {query: this._query});
+
+        if (this.getOption('fetchOnQueryChange')) {
+            this.debouncedFetch();
         }
+    }
 
-        return super.getFetchQuery();
+    /**
+     * Fetches after the query debounce delay, so that a burst of changes to
+     * the query results in a single request.
+     */
+    debouncedFetch(): void {
+        if ( ! this._debouncedFetch) {
+            this._debouncedFetch = debounce((): void => {
+
+                // There's no caller to handle a failure here, but it's still
+                // reflected by the state and the "fetch" event.
+                this.fetch().catch(noop);
+
+            }, this.getOption('queryDebounce'));
+        }
+
+        this._debouncedFetch();
     }
 
     /**
@@ -730,9 +1672,9 @@ class Collection extends Base {
         }
 
         // We're making an assumption here that paginated models are returned
-        // within the "data" field of the response.
+        // within the "data" field of the response, or "results" for DRF.
         if (this.isPaginated()) {
-            return get(models, 'data', models);
+            return get(models, 'data', get(models, 'results', models));
         }
 
         return models;
@@ -765,22 +1707,18 @@ class Collection extends Base {
             }
 
             // Check that the number of models returned in the response matches
-            // the number of models that were saved. If these are not equal, it's
-            // not possible to map saved data to the saving models.
-            if (saved.length !== saving.length) {
+            // the number of models that were saved. If these are not equal and
+            // there are no client ids, it's not possible to map saved data to
+            // the saving models.
+            if (saved.length !== saving.length && ! this.hasClientIds(saved, saving)) {
                 throw this.createResponseError('Expected the same number of models in the response', response);
             }
 
-            // Update every model with its respective response data.
-            // A strict requirement and assumption is that the models returned
-            // in the response are in the same order as they are in the collection.
-            each(saved, (data, index): void => {
-                saving[index].onSaveSuccess(new ProxyResponse(
-                    200, data, response.getHeaders()
-                ));
-            });
+            this.applySavedModels(saving, saved, response);
         }
 
+        this.clearOptimistic();
+
         Vue.set(this, 'saving', false);
         Vue.set(this, 'fatal', false);
 
@@ -791,39 +1729,94 @@ class Collection extends Base {
      * @returns {Model[]} Models in this collection that are in a "saving" state.
      */
     getSavingModels(): Model[] {
-        return filter(this.models, 'saving');
+        return filter(defaultTo(this._optimistic, this.models), 'saving');
     }
 
     /**
      * @returns {Model[]} Models in this collection that are in a "deleting" state.
      */
     getDeletingModels(): Model[] {
-        return filter(this.models, 'deleting');
+
+        // Models that were deleted optimistically are no longer in this
+        // collection, but they are still being deleted.
+        return filter(defaultTo(this._optimistic, this.models), 'deleting');
+    }
+
+    /**
+     * Applies an optimistic save to each model that is being saved.
+     */
+    applyOptimisticSave(): void {
+        let models: Model[] = this.getSavingModels();
+
+        Vue.set(this, '_optimistic', models);
+        each(models, method('applyOptimisticSave'));
+    }
+
+    /**
+     * Applies an optimistic delete to each model that is being deleted.
+     */
+    applyOptimisticDelete(): void {
+        let models: Model[] = this.getDeletingModels();
+
+        Vue.set(this, '_optimistic', models);
+        each(models, method('applyOptimisticDelete'));
+    }
+
+    /**
+     * Rolls back the optimistic changes that were applied to models.
+     */
+    rollbackOptimistic(): void {
+        if ( ! this._optimistic) {
+            return;
+        }
+
+        // Each model's positions were captured after the changes to the models
+        // before it were applied, so they have to be restored in reverse.
+        each([...this._optimistic].reverse(), method('rollbackOptimistic'));
+        this.clearOptimistic();
+    }
+
+    /**
+     * Discards the state that would be restored by `rollbackOptimistic`.
+     */
+    clearOptimistic(): void {
+        each(this._optimistic, method('clearOptimistic'));
+        Vue.set(this, '_optimistic', null);
     }
 
     /**
      * Applies an array of validation errors to this collection's models.
      *
      * @param  {Array}   errors
-     * @param  {integer} status Response status
+     * @param  {Model[]} [models] The models that were saved.
      */
-    applyValidationErrorArray(errors: any[]): void {
-        let models: Model[] = this.getSavingModels();
+    applyValidationErrorArray(errors: any[], models: Model[] = this.getSavingModels()): void {
 
-        // To allow matching errors with models, it's a strict requirement and
-        // assumption that the array of errors returned in the response must have
-        // the same number of elements as there are models being saved.
-        if (errors.length !== models.length) {
+        // To allow matching errors with models without client ids, it's a
+        // strict requirement and assumption that the array of errors returned
+        // in the response must have the same number of elements as there are
+        // models being saved.
+        if (errors.length !== models.length && ! this.hasClientIds(errors, models)) {
             throw this.createResponseError('Array of errors must equal the number of models');
         }
 
+        let matched: (Model | undefined)[] = this.matchModels(errors, models, this.getModelByClientId);
+
         // Set every model's errors in a way that emulates how saving a model
         // would fail in the same way.
         //
-        // A strict requirement and assumption is that the models returned
-        // in the response are in the same order as they are in the collection.
-        each(models, (model, index): void => {
-            model.setErrors(errors[index]);
+        // Errors that include the client id of a model belong to that model,
+        // otherwise they must be in the same order as the models were sent.
+        // Models that no errors were returned for are considered valid.
+        each(models, (model): void => {
+            let index: number = indexOf(matched, model);
+            let clientIdKey: string | null = model.getClientIdKey();
+            let modelErrors: any = index < 0 ? {} : errors[index];
+
+            model.setErrors(isPlainObject(modelErrors) && ! isNil(clientIdKey) ? omit(modelErrors, clientIdKey) : modelErrors);
+        });
+
+        each(models, (model): void => {
             Vue.set(model, 'saving', false);
             Vue.set(model, 'fatal', false);
         });
@@ -915,6 +1908,8 @@ class Collection extends Base {
      * @param {Object} response
      */
     onSaveFailure(error: any): void {
+        this.rollbackOptimistic();
+
         if (this.isBackendValidationError(error)) {
             this.onSaveValidationFailure(error);
 
@@ -926,6 +1921,21 @@ class Collection extends Base {
         this.emit('save', {error});
     }
 
+    /**
+     * Called when a save request was cancelled.
+     */
+    onSaveCancel(): void {
+        let models: Model[] = this.getSavingModels();
+
+        this.rollbackOptimistic();
+
+        each(models, (model): void => {
+            Vue.set(model, 'saving', false);
+        });
+
+        Vue.set(this, 'saving', false);
+    }
+
     /**
      * @returns {Array} The data to use for saving.
      */
@@ -933,6 +1943,403 @@ class Collection extends Base {
         return map(this.getSavingModels(), method('getSaveData'));
     }
 
+    /**
+     * Removes a model from this collection, and deletes it when changes are
+     * saved using `saveChanges`. New models are only removed.
+     *
+     * @param {Model} model
+     */
+    markForDeletion(model: Model): void {
+        this.remove(model);
+
+        if ( ! model.isNew() && indexOf(this._pendingDeletes, model) < 0) {
+            this._pendingDeletes.push(model);
+        }
+    }
+
+    /**
+     * @returns {Model[]} Models that will be deleted when changes are saved.
+     */
+    getPendingDeletes(): Model[] {
+        return this._pendingDeletes;
+    }
+
+    /**
+     * @returns {string} How `saveChanges` should send changes.
+     */
+    getChangesetFormat(): ChangesetFormat {
+        return this.getOption('changesetFormat');
+    }
+
+    /**
+     * Partitions the models that are being saved into those that should be
+     * created and updated, and those that should be deleted.
+     *
+     * @returns {Object}
+     */
+    getChangeset(): Changeset {
+        let saving: Model[] = this.getSavingModels();
+
+        return {
+            create: filter(saving, (model): boolean => model.isNew()),
+            update: filter(saving, (model): boolean => ! model.isNew() && !! model.changed()),
+            delete: [...this._pendingDeletes],
+        };
+    }
+
+    /**
+     * @returns {Object} The data to send for each part of a changeset.
+     */
+    getChangesetData(changeset: Changeset): Record<string, any[]> {
+        return {
+            create: map(changeset.create, method('getSaveData')),
+            update: map(changeset.update, method('getSaveData')),
+            delete: this.getIdentifiers(changeset.delete),
+        };
+    }
+
+    /**
+     * @param {Object}  data   Data returned for a model, or its errors.
+     * @param {Model[]} models
+     *
+     * @returns {Model|undefined} The model with the client id in the data,
+     *                            if the data has one.
+     */
+    getModelByClientId(data: any, models: Model[]): Model | undefined {
+        return find(models, (model): boolean => {
+            let clientIdKey: string | null = model.getClientIdKey();
+
+            return ! isNil(clientIdKey)
+                && has(data, clientIdKey)
+                && String(get(data, clientIdKey)) === model.getClientId();
+        });
+    }
+
+    /**
+     * @param {Object[]} items  Data returned for models, or their errors.
+     * @param {Model[]}  models
+     *
+     * @returns {boolean} Whether any of the items has the client id of a model.
+     */
+    hasClientIds(items: any[], models: Model[]): boolean {
+        return some(items, (item): boolean => !! this.getModelByClientId(item, models));
+    }
+
+    /**
+     * @param {Object}  data   Data returned for a model.
+     * @param {Model[]} models
+     *
+     * @returns {Model|undefined} The saved model with the identifier in the
+     *                            data, if the data has one.
+     */
+    getModelByIdentifier(data: any, models: Model[]): Model | undefined {
+        let identifier: any = get(data, this.getModelIdentifierAttribute());
+
+        if (isNil(identifier)) {
+            return;
+        }
+
+        return find(models, (model): boolean => {
+            return ! model.isNew() && String(model.identifier()) === String(identifier);
+        });
+    }
+
+    /**
+     * @param {Object}  data   Data returned for a model.
+     * @param {Model[]} models
+     *
+     * @returns {Model|undefined} The model that saved data belongs to, by
+     *                            client id or by identifier.
+     */
+    getSavedModel(data: any, models: Model[]): Model | undefined {
+        return defaultTo(this.getModelByClientId(data, models), this.getModelByIdentifier(data, models));
+    }
+
+    /**
+     * Matches each item to one of the given models, first using `match`, and
+     * only then by the position of the item. Each model is matched at most
+     * once, so an item is only matched by position to a model that no other
+     * item was matched to.
+     *
+     * @param {Object[]} items  Data returned for models, or their errors.
+     * @param {Model[]}  models The models that were saved.
+     * @param {Function} match  Finds the model of an item among the given models.
+     *
+     * @returns {Array} The model of each item, if one could be matched.
+     */
+    matchModels(items: any[], models: Model[], match: (item: any, models: Model[]) => Model | undefined): (Model | undefined)[] {
+        let unmatched: Model[] = [...models];
+
+        let take = (model?: Model): Model | undefined => {
+            if (model) {
+                pull(unmatched, model);
+            }
+
+            return model;
+        };
+
+        let matched: (Model | undefined)[] = map(items, (item): Model | undefined => take(match(item, unmatched)));
+
+        return map(matched, (model, index): Model | undefined => {
+            if (model) {
+                return model;
+            }
+
+            return take(includes(unmatched, models[index]) ? models[index] : first(unmatched));
+        });
+    }
+
+    /**
+     * Updates saved models with the data that was returned for them.
+     *
+     * @param {Model[]}     models
+     * @param {*}           saved    The data returned for the models.
+     * @param {Object}      response
+     */
+    applySavedModels(models: Model[], saved: any, response: Response): void {
+        let headers: any = omit(response.getHeaders(), 'etag');
+
+        saved = get(saved, 'data', saved);
+
+        if ( ! isNil(saved) && saved !== '' && ! isArray(saved)) {
+            throw this.createResponseError('Response data must be an array or empty', response);
+        }
+
+        let matched: (Model | undefined)[] = this.matchModels(isArray(saved) ? saved : [], models, this.getSavedModel);
+
+        each(matched, (model, index): void => {
+            if (model) {
+                model.onSaveSuccess(new ProxyResponse(200, saved[index], headers));
+            }
+        });
+
+        // Models without returned data are considered saved as they are.
+        each(filter(models, 'saving'), (model): void => {
+            model.onSaveSuccess(new ProxyResponse(200, {}, headers));
+        });
+    }
+
+    /**
+     * Called when a part of a changeset was deleted.
+     *
+     * @param {Model[]} models
+     * @param {Object}  response
+     */
+    applyDeletedModels(models: Model[], response: Response): void {
+        each(models, (model): void => {
+            model.onDeleteSuccess(response);
+        });
+
+        Vue.set(this, '_pendingDeletes', difference(this._pendingDeletes, models));
+    }
+
+    /**
+     * Called when a part of a changeset could not be saved.
+     *
+     * @param {Model[]} models
+     * @param {Error}   error
+     * @param {boolean} deleting Whether the models were being deleted.
+     */
+    applyChangesetFailure(models: Model[], error: any, deleting = false): void {
+        if (deleting) {
+            each(models, (model): void => {
+                model.onDeleteFailure(error);
+            });
+            return;
+        }
+
+        if (this.isBackendValidationError(error)) {
+            let errors: any = error.getResponse().getValidationErrors();
+
+            if (isArray(errors)) {
+                this.applyValidationErrorArray(errors, models);
+                return;
+            }
+
+            each(models, (model): void => {
+                model.setErrors(get(errors, model.isNew() ? model.getClientId() : model.identifier()));
+
+                Vue.set(model, 'saving', false);
+                Vue.set(model, 'fatal', false);
+            });
+            return;
+        }
+
+        each(models, (model): void => {
+            model.onFatalSaveFailure(error, error.response);
+        });
+    }
+
+    /**
+     * Called before changes are saved.
+     *
+     * @returns {Promise}
+     */
+    onSaveChanges(): Promise<RequestOperation> {
+        return this.onSave().then((status): RequestOperation => {
+            if (status !== Base.REQUEST_CONTINUE) {
+                return status;
+            }
+
+            let changeset: Changeset = this.getChangeset();
+
+            // Unchanged models are not sent, so they are not being saved.
+            each(this.getSavingModels(), (model): void => {
+                if ( ! model.isNew() && ! model.changed()) {
+                    Vue.set(model, 'saving', false);
+                }
+            });
+
+            // There might be nothing left to do.
+            if (isEmpty(changeset.create) && isEmpty(changeset.update) && isEmpty(changeset.delete)) {
+                Vue.set(this, 'saving', false);
+                return Base.REQUEST_REDUNDANT;
+            }
+
+            each(changeset.delete, (model): void => {
+                Vue.set(model, 'deleting', true);
+            });
+
+            return Base.REQUEST_CONTINUE;
+        });
+    }
+
+    /**
+     * Creates the requests to send for a changeset, each paired with the
+     * callbacks to call when it succeeds or fails.
+     *
+     * @returns {Array}
+     */
+    getChangesetRequests(changeset: Changeset, options: RequestOptions): ChangesetRequest[] {
+        let data: Record<string, any[]> = this.getChangesetData(changeset);
+        let requests: ChangesetRequest[] = [];
+
+        let config = (route: string, method: Method, data: any): TransportConfig => ({
+            url: this.getURL(route, this.getRouteParameters()),
+            method,
+            data,
+            params: defaultTo(options.params, {}),
+            headers: defaultTo(options.headers, this.getSaveHeaders()),
+            signal: options.signal,
+        });
+
+        // Restores the state of models when their request is cancelled.
+        let cancel = (models: Model[], state: string): (() => void) => (): void => {
+            each(models, (model): void => {
+                Vue.set(model, state, false);
+            });
+        };
+
+        // All changes are sent together, and are returned together.
+        if (this.getChangesetFormat() === ChangesetFormat.COMBINED) {
+            return [{
+                config: config(this.getSaveRoute(), this.getOption('methods.save'), data),
+                onSuccess: (response): void => {
+                    let saved: any = response.getData();
+
+                    this.applySavedModels(changeset.create, get(saved, 'create'), response);
+                    this.applySavedModels(changeset.update, get(saved, 'update'), response);
+                    this.applyDeletedModels(changeset.delete, response);
+                },
+                onFailure: (error): void => {
+                    this.applyChangesetFailure([...changeset.create, ...changeset.update], error);
+                    this.applyChangesetFailure(changeset.delete, error, true);
+                },
+                onCancel: (): void => {
+                    cancel([...changeset.create, ...changeset.update], 'saving')();
+                    cancel(changeset.delete, 'deleting')();
+                },
+            }];
+        }
+
+        if ( ! isEmpty(changeset.create)) {
+            requests.push({
+                config: config(this.getRoute('create', 'save'), this.getOption('methods.create'), data.create),
+                onSuccess: (response): void => this.applySavedModels(changeset.create, response.getData(), response),
+                onFailure: (error): void => this.applyChangesetFailure(changeset.create, error),
+                onCancel: cancel(changeset.create, 'saving'),
+            });
+        }
+
+        if ( ! isEmpty(changeset.update)) {
+            requests.push({
+                config: config(this.getRoute('update', 'save'), this.getOption('methods.update'), data.update),
+                onSuccess: (response): void => this.applySavedModels(changeset.update, response.getData(), response),
+                onFailure: (error): void => this.applyChangesetFailure(changeset.update, error),
+                onCancel: cancel(changeset.update, 'saving'),
+            });
+        }
+
+        if ( ! isEmpty(changeset.delete)) {
+            requests.push({
+                config: {...config(this.getDeleteRoute(), this.getOption('methods.delete'), data.delete), headers: this.getDeleteHeaders()},
+                onSuccess: (response): void => this.applyDeletedModels(changeset.delete, response),
+                onFailure: (error): void => this.applyChangesetFailure(changeset.delete, error, true),
+                onCancel: cancel(changeset.delete, 'deleting'),
+            });
+        }
+
+        return requests;
+    }
+
+    /**
+     * Saves only what has changed: new models are created, changed models
+     * are updated, and models marked for deletion are deleted. Returned
+     * records are matched to models by identifier or client id.
+     *
+     * @param {options}             Save options
+     * @param {options.params}      Query params
+     * @param {options.headers}     Query headers
+     * @param {options.signal}      Signal to cancel the requests
+     *
+     * @returns {Promise} Resolves with the response of each request.
+     */
+    saveChanges(options: RequestOptions = {}): Promise<Response[]> {
+        return this.onSaveChanges().then((status): Response[] | Promise<Response[]> => {
+            if (status === Base.REQUEST_SKIP) {
+                return [];
+            }
+
+            if (status === Base.REQUEST_REDUNDANT) {
+                this.emit('save', {error: null});
+                return [];
+            }
+
+            let errors: any[] = [];
+
+            let requests: Promise<Response | null>[] = map(this.getChangesetRequests(this.getChangeset(), options), (request): Promise<Response | null> => {
+                return this.request(
+                    request.config,
+                    (): Promise<RequestOperation> => Promise.resolve(Base.REQUEST_CONTINUE),
+                    (response): void => request.onSuccess(response as Response),
+                    request.onFailure,
+                    request.onCancel
+                ).catch((error): null => {
+                    errors.push(error);
+                    return null;
+                });
+            });
+
+            // Wait for every request, so that all parts are applied either way.
+            return Promise.all(requests).then((responses): Response[] => {
+                let error: any = first(errors);
+
+                Vue.set(this, 'saving', false);
+                Vue.set(this, 'fatal', !! error
+                    && ! this.isBackendValidationError(error)
+                    && ! (error instanceof CancelledError));
+
+                this.emit('save', {error: defaultTo(error, null)});
+
+                if (error) {
+                    throw error;
+                }
+
+                return responses as Response[];
+            });
+        });
+    }
+
     /**
      * Sets the page on this collection, enabling pagination. To disable
      * pagination on this collection, pass page as `null` or `undefined`.
@@ -942,6 +2349,8 @@ class Collection extends Base {
      * @returns {Collection} This collection.
      */
     page(page: number | boolean): this {
+        Vue.set(this, '_pagination', createPaginationState());
+
         // Disable pagination if a valid page wasn't provided.
         if (isNil(page)) {
             Vue.set(this, '_page', NO_PAGE);
@@ -955,6 +2364,120 @@ class Collection extends Base {
         return this;
     }
 
+    /**
+     * Starts pagination over on the first page. Pages that are appended are
+     * removed, while pages that replace the models are replaced when the
+     * first page is fetched.
+     */
+    resetPagination(): void {
+        if ( ! this.isPaginated()) {
+            return;
+        }
+
+        let replace: boolean = this._pagination.replace;
+
+        this.page(1);
+
+        if (replace) {
+            Vue.set(this._pagination, 'replace', true);
+        } else {
+            this.clearModels();
+        }
+    }
+
+    /**
+     * @returns {Object} The pagination strategy of this collection.
+     */
+    getPaginationStrategy(): PaginationStrategy {
+        return resolvePaginationStrategy(this.getOption('pagination'));
+    }
+
+    /**
+     * @returns {number} The number of models per page.
+     */
+    getPageSize(): number {
+        return this.getOption('pageSize');
+    }
+
+    /**
+     * @returns {number|null} The last page, if known from the last paginated
+     *                        fetch response.
+     */
+    getLastPage(): number | null {
+        return this._pagination.lastPage;
+    }
+
+    /**
+     * @returns {number|null} The page that was fetched last.
+     */
+    getCurrentPage(): number | null {
+        return this._pagination.current;
+    }
+
+    /**
+     * Fetches a page and replaces the models of this collection with the
+     * models of that page, rather than appending them.
+     *
+     * @param {number} page
+     * @param {*}      [token] Points to the page, eg. a cursor or URL.
+     *
+     * @returns {Promise}
+     */
+    fetchPage(page: number, token: any = null): Promise<Response | null> {
+        Vue.set(this, '_page', page);
+        Vue.set(this._pagination, 'token', token);
+        Vue.set(this._pagination, 'replace', true);
+
+        return this.fetch();
+    }
+
+    /**
+     * Replaces the models of this collection with those of the next page.
+     *
+     * @returns {Promise} Resolves with `null` if there is no next page.
+     */
+    nextPage(): Promise<Response | null> {
+        if ( ! this.hasMore) {
+            return Promise.resolve(null);
+        }
+
+        let current: number = defaultTo(this.getCurrentPage(), 0);
+
+        return this.fetchPage(current + 1, current ? this._pagination.next : null);
+    }
+
+    /**
+     * Replaces the models of this collection with those of the previous page.
+     *
+     * @returns {Promise} Resolves with `null` if there is no previous page.
+     */
+    prevPage(): Promise<Response | null> {
+        let current: number = defaultTo(this.getCurrentPage(), 0);
+
+        if (current <= 1 || isNil(this._pagination.prev)) {
+            return Promise.resolve(null);
+        }
+
+        return this.fetchPage(current - 1, this._pagination.prev);
+    }
+
+    /**
+     * Replaces the models of this collection with those of the given page.
+     *
+     * @param {number} page
+     *
+     * @returns {Promise}
+     *
+     * @throws {Error} If the pagination strategy can't seek to a page.
+     */
+    goToPage(page: number): Promise<Response | null> {
+        if ( ! this.getPaginationStrategy().seekable) {
+            throw new Error('Pagination strategy does not support going to a page');
+        }
+
+        return this.fetchPage(max([1, toSafeInteger(page)]) as number);
+    }
+
     /**
      * @returns {integer|null} The page that this collection is on.
      */
@@ -982,20 +2505,40 @@ class Collection extends Base {
      * received by a paginated fetch request.
      *
      * @param {Model[]} models
+     * @param {Object}  [response] Used to parse the pagination details.
      */
-    applyPagination(models: Model[]): void {
+    applyPagination(models: Model[], response?: Response): void {
+        let page: number = this._page as number;
 
-        // If no models were returned in the response we can assume that
-        // we're now on the last page, and we should not continue.
-        if (isEmpty(models)) {
-            Vue.set(this, '_page', LAST_PAGE);
+        // Without a response we can only assume that there are more pages
+        // for as long as we receive models.
+        let details: PaginationDetails = response
+            ? this.getPaginationStrategy().parse(response, page, models, this.getPageSize())
+            : {total: null, lastPage: null, hasMore: ! isEmpty(models), next: page + 1, prev: page - 1};
 
-            // Otherwise, there were at least one model, and we can safely
-            // assume that we want to increment the page number.
-        } else {
-            Vue.set(this, '_page', (this._page as number) + 1);
+        each({...details, current: page}, (value, key): void => {
+            Vue.set(this._pagination, key, value);
+        });
+
+        // Pages that were fetched using `fetchPage` replace the models.
+        if (this._pagination.replace) {
+            this.applyFetchedModels(models);
+            return;
+        }
+
+        // At least one model was returned, so we can append them.
+        if ( ! isEmpty(models)) {
             this.add(models);
         }
+
+        // Continue with the next page if there is one, otherwise we're now
+        // on the last page and should not continue.
+        if (details.hasMore) {
+            Vue.set(this, '_page', page + 1);
+            Vue.set(this._pagination, 'token', details.next);
+        } else {
+            Vue.set(this, '_page', LAST_PAGE);
+        }
     }
 
     /**
@@ -1014,13 +2557,17 @@ class Collection extends Base {
 
         // Append via pagination.
         if (this.isPaginated()) {
-            this.applyPagination(models);
+            this.applyPagination(models, response);
 
-            // Replace all current models with the fetched ones.
+            // Apply the fetched models using the fetch strategy, which
+            // replaces all current models by default.
         } else {
-            this.replace(models);
+            this.applyFetchedModels(models);
         }
 
+        // The fetched order replaces any order that was kept to roll back to.
+        this.clearOrder();
+
         Vue.set(this, 'loading', false);
         Vue.set(this, 'fatal', false);
 
@@ -1041,6 +2588,13 @@ class Collection extends Base {
         this.emit('fetch', {error});
     }
 
+    /**
+     * Called when a fetch request was cancelled.
+     */
+    onFetchCancel(): void {
+        Vue.set(this, 'loading', false);
+    }
+
     /**
      * Called before a fetch request is made.
      *
@@ -1075,6 +2629,8 @@ class Collection extends Base {
             model.onDeleteSuccess(response);
         });
 
+        this.clearOptimistic();
+
         this.emit('delete', {error: null});
     }
 
@@ -1085,6 +2641,8 @@ class Collection extends Base {
      * @param {Object} response
      */
     onDeleteFailure(error: any): void {
+        this.rollbackOptimistic();
+
         Vue.set(this, 'fatal', true);
         Vue.set(this, 'deleting', false);
 
@@ -1095,6 +2653,21 @@ class Collection extends Base {
         this.emit('delete', {error});
     }
 
+    /**
+     * Called when a delete request was cancelled.
+     */
+    onDeleteCancel(): void {
+        let models: Model[] = this.getDeletingModels();
+
+        this.rollbackOptimistic();
+
+        each(models, (model): void => {
+            Vue.set(model, 'deleting', false);
+        });
+
+        Vue.set(this, 'deleting', false);
+    }
+
     /**
      * Called before a save request is made.
      *
@@ -1213,3 +2786,31 @@ class Collection extends Base {
 export default Collection;
 
 export type Predicate<T = boolean> = ((model: Model) => T) | string | Record<string, any> | Model | Partial<Model>;
+
+export interface PaginationState extends PaginationDetails {
+    current: number | null; // The page that was fetched last.
+    token: any;             // Points to the page that will be fetched.
+    replace: boolean;       // Whether fetched pages replace the models.
+}
+
+export interface IndexOptions {
+    unique?: boolean;
+}
+
+export interface Order {
+    models: Model[];
+    positions: Record<string, any>;     // Positions by model uid.
+}
+
+export interface Changeset {
+    create: Model[];
+    update: Model[];
+    delete: Model[];
+}
+
+export interface ChangesetRequest {
+    config: TransportConfig;
+    onSuccess: (response: Response) => void;
+    onFailure: (error: any) => void;
+    onCancel: () => void;
+}
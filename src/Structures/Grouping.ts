@@ -0,0 +1,166 @@
+import Vue from 'vue';
+
+import each from 'lodash/each';
+import get from 'lodash/get';
+import isNil from 'lodash/isNil';
+import isString from 'lodash/isString';
+import iteratee from 'lodash/iteratee';
+import keys from 'lodash/keys';
+import Collection from './Collection';
+import Model from './Model';
+import View from './View';
+import {Listener} from './Base';
+import Response from '../HTTP/Response';
+
+/**
+ * Groups the models of a collection by the value of an attribute into views,
+ * eg. the columns of a kanban board. Models move between groups when the
+ * attribute changes, and groups are created for new values as they appear.
+ * Groups are never removed, so a group stays when it no longer has models.
+ */
+class Grouping {
+    readonly groups!: Record<string, View>;
+
+    private readonly source: Collection;
+    private readonly attribute: string | ((model: Model) => any);
+    private readonly options: GroupingOptions;
+    private listener: Listener;
+
+    /**
+     * @param {Collection}      source
+     * @param {string|function} attribute The attribute to group by, or a
+     *                                    function that receives `model`.
+     * @param {Object}          [options] `groups` to always include, and the
+     *                                    `sort` of each group.
+     */
+    constructor(source: Collection, attribute: string | ((model: Model) => any), options: GroupingOptions = {}) {
+        this.source    = source;
+        this.attribute = attribute;
+        this.options   = options;
+
+        Vue.set(this, 'groups', {});
+
+        each(options.groups, (value): void => {
+            this.createGroup(this.key(value));
+        });
+
+        each(source.models, (model): void => {
+            this.createGroup(this.getGroupKey(model));
+        });
+
+        // Views update themselves, but groups for new values must be created.
+        this.listener = ({model}): void => this.createGroup(this.getGroupKey(model));
+
+        source.on('add,change,replace', this.listener);
+    }
+
+    /**
+     * @returns {string} The key of the group for a value.
+     */
+    private key(value: any): string {
+        return isNil(value) ? 'null' : String(value);
+    }
+
+    /**
+     * Creates the group for a key if it doesn't exist yet.
+     */
+    private createGroup(key: string): void {
+        if (this.has(key)) {
+            return;
+        }
+
+        Vue.set(this.groups, key, this.source.view({
+            filter: (model: Model): boolean => this.getGroupKey(model) === key,
+            sort: this.options.sort,
+        }));
+    }
+
+    /**
+     * @returns {string} The key of the group that a model belongs to.
+     */
+    getGroupKey(model: Model): string {
+        return this.key(iteratee(this.attribute)(model));
+    }
+
+    /**
+     * @returns {View|undefined} The group for a value.
+     */
+    get(value: any): View | undefined {
+        return get(this.groups, this.key(value));
+    }
+
+    /**
+     * @returns {boolean} Whether there is a group for a value.
+     */
+    has(value: any): boolean {
+        return ! isNil(this.get(value));
+    }
+
+    /**
+     * @returns {string[]} The keys of all groups.
+     */
+    keys(): string[] {
+        return keys(this.groups);
+    }
+
+    /**
+     * Moves a model to another group by setting the grouped attribute, which
+     * is only possible when grouping by an attribute. The model is moved back
+     * to its previous group if it was saved and the save failed.
+     *
+     * @param {Model}  model
+     * @param {*}      value     The value of the group to move to.
+     * @param {Object} [options] `save` to save the model after moving it.
+     *
+     * @returns {Promise} Resolves with the save response, or `null` if the
+     *                    model was not saved.
+     *
+     * @throws {Error} If not grouping by an attribute.
+     */
+    moveTo(model: Model, value: any, options: MoveOptions = {}): Promise<Response | null> {
+        if ( ! isString(this.attribute)) {
+            throw new Error('Can only move models when grouping by an attribute');
+        }
+
+        let attribute: string = this.attribute;
+        let previous: any = model.get(attribute);
+
+        model.set(attribute, value);
+
+        if (options.save) {
+            return model.save().catch((error): never => {
+
+                // Don't undo a change that was made while saving.
+                if (model.get(attribute) === value) {
+                    model.set(attribute, previous);
+                }
+
+                throw error;
+            });
+        }
+
+        return Promise.resolve(null);
+    }
+
+    /**
+     * Stops updating the groups when the collection changes.
+     */
+    destroy(): void {
+        this.source.off('add,change,replace', this.listener);
+
+        each(this.groups, (view): void => {
+            view.destroy();
+        });
+    }
+}
+
+export default Grouping;
+
+export interface GroupingOptions {
+    groups?: any[];
+    sort?: ((model: Model) => any) | string | null;
+}
+
+export interface MoveOptions {
+    save?: boolean;
+}
@@ -0,0 +1,126 @@
+import Vue from 'vue';
+
+import find from 'lodash/find';
+import get from 'lodash/get';
+import indexOf from 'lodash/indexOf';
+import isEmpty from 'lodash/isEmpty';
+import isNil from 'lodash/isNil';
+import Model from './Model';
+
+/**
+ * Maps the values of an attribute to the models that have them, so that models
+ * can be found by value in constant time. Models with a `null` or `undefined`
+ * value are not indexed, so a unique index allows any number of them.
+ */
+class Index {
+    readonly attribute: string;
+    readonly unique: boolean;
+
+    private readonly entries!: Record<string, Model[]>;   // Models by value.
+    private readonly keys!: Record<string, string>;       // Keys by model uid.
+
+    /**
+     * @param {string}  attribute
+     * @param {boolean} [unique] Whether models must have distinct values.
+     */
+    constructor(attribute: string, unique = false) {
+        this.attribute = attribute;
+        this.unique    = unique;
+
+        Vue.set(this, 'entries', {});
+        Vue.set(this, 'keys',    {});
+    }
+
+    /**
+     * @returns {string|undefined} The key of a value, or `undefined` if the
+     *                             value should not be indexed.
+     */
+    private key(value: any): string | undefined {
+        return isNil(value) ? undefined : String(value);
+    }
+
+    /**
+     * Adds a model to this index, or moves it if it was indexed by another
+     * value before.
+     *
+     * @param {Model} model
+     * @param {*}     [value] Defaults to the model's current value.
+     */
+    add(model: Model, value: any = model.get(this.attribute)): void {
+        let key: string | undefined = this.key(value);
+
+        this.remove(model);
+
+        if (isNil(key)) {
+            return;
+        }
+
+        if ( ! this.entries[key]) {
+            Vue.set(this.entries, key, []);
+        }
+
+        this.entries[key].push(model);
+        this.keys[model._uid] = key;
+    }
+
+    /**
+     * Removes a model from this index. The model is found by the value that
+     * it was indexed by, which may no longer be its current value.
+     *
+     * @param {Model} model
+     */
+    remove(model: Model): void {
+        let key: string | undefined = this.keys[model._uid];
+
+        if (isNil(key)) {
+            return;
+        }
+
+        delete this.keys[model._uid];
+
+        if ( ! this.entries[key]) {
+            return;
+        }
+
+        let index: number = indexOf(this.entries[key], model);
+
+        if (index >= 0) {
+            this.entries[key].splice(index, 1);
+        }
+
+        if (isEmpty(this.entries[key])) {
+            Vue.delete(this.entries, key);
+        }
+    }
+
+    /**
+     * @returns {Model[]} The models that have the given value.
+     */
+    find(value: any): Model[] {
+        let key: string | undefined = this.key(value);
+
+        return isNil(key) ? [] : get(this.entries, key, []);
+    }
+
+    /**
+     * @returns {Model|undefined} A model other than the given model that has
+     *                            the given value, if this index is unique.
+     */
+    conflict(model: Model, value: any = model.get(this.attribute)): Model | undefined {
+        if ( ! this.unique) {
+            return;
+        }
+
+        return find(this.find(value), (other): boolean => other !== model);
+    }
+
+    /**
+     * Removes all models from this index.
+     */
+    clear(): void {
+        Vue.set(this, 'entries', {});
+        Vue.set(this, 'keys',    {});
+    }
+}
+
+export default Index;
@@ -1,10 +1,13 @@
 import Vue from 'vue';
 import castArray from 'lodash/castArray';
+import clone from 'lodash/clone';
 import cloneDeep from 'lodash/cloneDeep';
 import defaults from 'lodash/defaults';
 import defaultTo from 'lodash/defaultTo';
+import difference from 'lodash/difference';
 import each from 'lodash/each';
 import filter from 'lodash/filter';
+import find from 'lodash/find';
 import first from 'lodash/first';
 import flow from 'lodash/flow';
 import get from 'lodash/get';
@@ -22,39 +25,68 @@ import isPlainObject from 'lodash/isPlainObject';
 import isString from 'lodash/isString';
 import isUndefined from 'lodash/isUndefined';
 import keys from 'lodash/keys';
+import map from 'lodash/map';
 import mapValues from 'lodash/mapValues';
 import merge from 'lodash/merge';
+import method from 'lodash/method';
+import omit from 'lodash/omit';
 import once from 'lodash/once';
 import pick from 'lodash/pick';
+import pickBy from 'lodash/pickBy';
+import reject from 'lodash/reject';
+import some from 'lodash/some';
+import startsWith from 'lodash/startsWith';
+import union from 'lodash/union';
 import values from 'lodash/values';
+import without from 'lodash/without';
 
-import Base, {HttpMethods, Options, RequestOperation} from './Base';
+import Base, {CancellablePromise, HistoryEntry, HttpMethods, Options, RequestOperation, RequestOptions} from './Base';
 import Collection from './Collection';
+import Store from './Store';
+import {Relation, RelationSerialization, RelationType} from './Relation';
 import ResponseError from '../Errors/ResponseError';
+import ConflictError from '../Errors/ConflictError';
+import {Cast, CastDefinition, resolveCast} from '../Casts';
 import Response from "../HTTP/Response";
 import {Rule} from "../Validation";
 import ProxyResponse from '../HTTP/ProxyResponse';
+import {BaseResponse} from '../HTTP/BaseResponse';
+import {PATCH_CONTENT_TYPES, PatchFormat, createJsonPatch, createMergePatch} from '../HTTP/Patch';
+import {TransportConfig} from '../HTTP/Transport';
 import {Method} from "axios";
 
+export enum MergeStrategy {
+    OVERWRITE  = 'overwrite',
+    KEEP_LOCAL = 'keepLocal',
+    THREE_WAY  = 'threeWay',
+}
+
 /**
  * Reserved keywords that can't be used for attribute or option names.
  */
 const RESERVED = invert([
     '_attributes',
     '_collections',
+    '_conflicts',
     '_errors',
+    '_history',
     '_listeners',
     '_reference',
     '_registry',
+    '_rollback',
     '_uid',
+    '_version',
     'attributes',
     'collections',
+    'conflict',
+    'conflicts',
     'deleting',
     'errors',
     'fatal',
     'loading',
     'memoized',
     'models',
+    'restoring',
     'saving',
 ]);
 
@@ -89,6 +121,67 @@ const copyFrom = function(source: Record<string, any>, target: Record<string, an
     });
 };
 
+/**
+ * Recursive diff helper that collects the changes between a saved value and
+ * its active equivalent. Plain objects and arrays are compared by key, while
+ * nested models and collections are compared using their own saved state.
+ *
+ * @param {*}      previous The saved value.
+ * @param {*}      current  The active value.
+ * @param {string} path     The path to the value.
+ * @param {Array}  changes  Changes found so far.
+ */
+const diff = function(previous: any, current: any, path: string, changes: Change[]): Change[] {
+    let prefix = (key: string | number): string => path ? `${path}.${key}` : `${key}`;
+
+    // Nested models are compared using their own saved state, as long as the
+    // saved value represents the same model.
+    if (isObject(current) && isFunction((current as Model).changes)) {
+        if (isObject(previous) && isFunction(get(previous, 'identifier'))
+            && isEqual((previous as Model).identifier(), (current as Model).identifier())) {
+            each((current as Model).changes(), (change): void => {
+                changes.push({...change, path: prefix(change.path)});
+            });
+        } else {
+            changes.push({path, old: previous, new: current});
+        }
+
+    // Nested collections are compared model by model, as long as the saved
+    // collection contained the same models in the same order.
+    } else if (current instanceof Collection) {
+        let saved: Model[] = get(previous, 'models');
+
+        if (isArray(saved) && isEqual(map(saved, method('identifier')), current.getIdentifiers(current.models))) {
+            each(current.models, (model, index): void => {
+                diff(saved[index], model, prefix(index), changes);
+            });
+        } else {
+            changes.push({path, old: previous, new: current});
+        }
+
+    } else if (isPlainObject(current) && isPlainObject(previous)) {
+        each(union(keys(current), keys(previous)), (key): void => {
+            diff(previous[key], current[key], prefix(key), changes);
+        });
+
+    } else if (isArray(current) && isArray(previous)) {
+        for (let index = 0; index < Math.max(current.length, previous.length); index++) {
+            diff(previous[index], current[index], prefix(index), changes);
+        }
+
+    } else if ( ! isEqual(previous, current)) {
+        changes.push({path, old: previous, new: current});
+    }
+
+    return changes;
+};
+
+/**
+ * Converts a value to its JSON representation so that attributes can be
+ * compared to incoming data, regardless of casts and nested instances.
+ */
+const normalize = (value: any): any => isUndefined(value) ? value : JSON.parse(JSON.stringify(value));
+
 /**
  * Base model class.
  */
@@ -97,14 +190,20 @@ class Model extends Base {
     readonly loading!: boolean;
     readonly saving!: boolean;
     readonly deleting!: boolean;
+    readonly restoring!: boolean;
     readonly fatal!: boolean;
+    readonly conflict!: Conflict | null;
 
     private readonly _attributes!: Record<string, any>;
     private readonly _collections!: Collection[];
 
     private readonly _reference!: Record<string, any>;
     private _mutations!: Record<string, Mutation>;
+    private _casts!: Record<string, Cast>;
     private readonly _errors!: Record<string, string[]>;
+    private readonly _version!: string | null;
+    private readonly _conflicts!: MergeConflict[];
+    private readonly _rollback!: CollectionPosition[] | null;
 
     /**
      * A convenience wrapper around the model's attributes that are saved.
@@ -139,6 +238,13 @@ class Model extends Base {
         return this.getErrors();
     }
 
+    /**
+     * @returns {Array} Attributes that could not be merged automatically.
+     */
+    get conflicts(): MergeConflict[] {
+        return this._conflicts;
+    }
+
     /**
      * Creates a new instance, called when using 'new'.
      *
@@ -153,7 +259,11 @@ class Model extends Base {
         Vue.set(this, '_reference',   {});  // Saved attribute state.
         Vue.set(this, '_attributes',  {});  // Active attribute state.
         Vue.set(this, '_mutations',   {});  // Mutator cache.
+        Vue.set(this, '_casts',       {});  // Resolved attribute casts.
         Vue.set(this, '_errors',      {});  // Validation errors.
+        Vue.set(this, '_version',     null);  // ETag of the saved state.
+        Vue.set(this, '_conflicts',   []);  // Unresolved merge conflicts.
+        Vue.set(this, '_rollback',    null);  // Positions to restore on failure.
 
         this.clearState();
 
@@ -163,6 +273,12 @@ class Model extends Base {
         // Cache mutator pipelines so that they can run as a single function.
         this.compileMutators();
 
+        // Resolve attribute casts so that they can be applied when values are set.
+        this.compileCasts();
+
+        // Register read-only accessors for all computed attributes.
+        this.registerComputedAttributes();
+
         // Assign all given model data to the model's attributes and reference.
         this.assign(attributes);
 
@@ -199,6 +315,7 @@ class Model extends Base {
 
         Vue.set(clone, '_reference', reference);
         Vue.set(clone, '_attributes', attributes);
+        Vue.set(clone, '_version', this._version);
 
         return clone;
     }
@@ -213,7 +330,9 @@ class Model extends Base {
         let memoized = [
             'validation',  //   \
             'defaults',    //   | These do not need to be evaluated every time.
-            'routes',      //  /
+            'routes',      //   |
+            'relations',   //   |
+            'computed',    //  /
         ];
 
         each(memoized, (name): void => this[name] = once(this[name]));
@@ -242,6 +361,38 @@ class Model extends Base {
         return {};
     }
 
+    /**
+     * @returns {Object} Attribute casts keyed by attribute name. A cast can be
+     *                   a type name like "integer", "decimal:2" or "datetime",
+     *                   an object of options, or a custom cast object.
+     *
+     * @see {@link resolveCast}
+     */
+    casts(): Record<string, CastDefinition> {
+        return {};
+    }
+
+    /**
+     * @returns {Object} Computed attributes keyed by name. Each is either a
+     *                   function that receives the attributes and the model,
+     *                   or an object with a `get` function and `serialize`
+     *                   to include the attribute in `toJSON`.
+     */
+    computed(): Record<string, ComputedAttribute> {
+        return {};
+    }
+
+    /**
+     * @returns {Object} Relation declarations keyed by attribute name. Values
+     *                   of these attributes are hydrated into instances of
+     *                   the related model or collection when they are set.
+     *
+     * @see {@link hasOne}, {@link hasMany}, {@link belongsTo}
+     */
+    relations(): Record<string, Relation> {
+        return {};
+    }
+
     /**
      * Add validation rules here, or use option?
      */
@@ -268,11 +419,31 @@ class Model extends Base {
             // which will only send changed attributes in the request.
             patch: false,
 
+            // The format of the data sent when patching, either "attributes"
+            // for changed attributes, "json-patch" for an RFC 6902 document,
+            // or "merge-patch" for an RFC 7386 document.
+            patchFormat: PatchFormat.ATTRIBUTES,
+
             // Whether this model should save even if no attributes have changed
             // since the last time they were synced. If set to `false` and no
             // changes have been made, the request will be considered a success.
             saveUnchanged: true,
 
+            // Whether this model should keep track of the "ETag" header of
+            // fetch and save responses, and send it as "If-Match" when it
+            // is updated or deleted.
+            useETag: false,
+
+            // The attribute that holds the version of this model, which will
+            // be sent as "If-Match" when it is updated or deleted. This takes
+            // precedence over the "ETag" header when set.
+            versionAttribute: null,
+
+            // The key of the client id in the data that is sent when this model
+            // is new, eg. "_cid", so that the data returned for a collection
+            // can be matched to this model. Not sent when `null`.
+            clientIdKey: null,
+
             // Whether this model should only use the first validation error it
             // receives, rather than an array of errors.
             useFirstErrorOnly: false,
@@ -300,9 +471,27 @@ class Model extends Base {
             // Whether this model should use mutated values for the attributes
             // in "save" request. This will not mutate the active state.
             mutateBeforeSave: true,
+
+            // How fetched data should be merged with attributes that have
+            // changed locally, either "overwrite", "keepLocal" or "threeWay".
+            mergeStrategy: MergeStrategy.OVERWRITE,
+
+            // Whether a delete only marks this model as trashed, so that it
+            // can still be displayed and restored.
+            softDelete: false,
+
+            // The attribute that holds when this model was soft deleted.
+            deletedAtAttribute: 'deleted_at',
         });
     }
 
+    /**
+     * @returns {Object} Default HTTP methods.
+     */
+    getDefaultMethods(): object {
+        return {...super.getDefaultMethods(), restore: 'POST'};
+    }
+
     /**
      * Compiles all mutations into pipelines that can be executed quickly.
      */
@@ -310,6 +499,59 @@ class Model extends Base {
         this._mutations = mapValues(this.mutations(), (m: Mutation | Mutation[]): Mutation => flow(m as Mutation[]));
     }
 
+    /**
+     * Resolves all cast definitions so that they don't need to be resolved
+     * every time an attribute is set.
+     */
+    compileCasts(): void {
+        this._casts = mapValues(this.casts(), resolveCast);
+    }
+
+    /**
+     * @returns {*} The value of an attribute after applying its cast.
+     */
+    castAttribute(attribute: string, value: any): any {
+        let cast: Cast | undefined = get(this._casts, attribute);
+
+        if (cast) {
+            return cast.cast(value);
+        }
+
+        return value;
+    }
+
+    /**
+     * Converts cast attributes in the given attributes to their serialized
+     * form, eg. dates to ISO 8601 strings.
+     *
+     * @param {Object} attributes
+     *
+     * @returns {Object} The serialized attributes.
+     */
+    serializeCasts(attributes: Record<string, any>): Record<string, any> {
+        if (isEmpty(this._casts)) {
+            return attributes;
+        }
+
+        let data: Record<string, any> = clone(attributes);
+
+        each(this._casts, (cast, attribute): void => {
+            if (has(data, attribute)) {
+                data[attribute] = cast.serialize(data[attribute]);
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * @returns {Object} The given attributes in the form that is sent to the
+     *                   server, ie. with casts and relations serialized.
+     */
+    serializeAttributes(attributes: Record<string, any>): Record<string, any> {
+        return this.serializeRelations(this.serializeCasts(attributes));
+    }
+
     /**
      * @returns {Object} Parameters to use for replacement in route patterns.
      */
@@ -369,6 +611,19 @@ class Model extends Base {
 
         Vue.set(this, '_attributes', cloneDeep(defaults));
         Vue.set(this, '_reference',  cloneDeep(defaults));
+        Vue.set(this, '_version',    null);
+
+        this.notifyReplace();
+    }
+
+    /**
+     * Lets collections know that attributes were replaced without a change
+     * event, so that anything derived from their models can be updated.
+     */
+    notifyReplace(): void {
+        each(this.collections, (collection): void => {
+            collection.onModelReplace(this);
+        });
     }
 
     /**
@@ -378,8 +633,10 @@ class Model extends Base {
      */
     clear(): void {
         this.clearAttributes();
+        this.clearConflicts();
         this.clearErrors();
         this.clearState();
+        this.clearHistory();
     }
 
     /**
@@ -388,8 +645,10 @@ class Model extends Base {
     clearState(): void {
         Vue.set(this, 'loading',  false);
         Vue.set(this, 'saving',   false);
-        Vue.set(this, 'deleting', false);
-        Vue.set(this, 'fatal',    false);
+        Vue.set(this, 'deleting',  false);
+        Vue.set(this, 'restoring', false);
+        Vue.set(this, 'fatal',     false);
+        Vue.set(this, 'conflict',  null);
     }
 
     /**
@@ -405,6 +664,195 @@ class Model extends Base {
         this.sync();
     }
 
+    /**
+     * @returns {string} How incoming data should be merged with local changes.
+     */
+    getMergeStrategy(): MergeStrategy {
+        return defaultTo(this.getOption('mergeStrategy'), MergeStrategy.OVERWRITE);
+    }
+
+    /**
+     * Merges incoming data, eg. from a fetch, into this model. The incoming
+     * data always becomes the saved state, but attributes that have changed
+     * locally are kept depending on the merge strategy:
+     *
+     * - overwrite: Local changes are discarded.
+     * - keepLocal: Local changes are kept.
+     * - threeWay:  Local changes are kept, and attributes that have also been
+     *              changed remotely are added to the model's conflicts.
+     *
+     * Related models are merged in the same way, so that local changes to
+     * them are kept as well.
+     *
+     * @param {Object} attributes
+     * @param {string} [strategy] The merge strategy, which defaults to the
+     *                            `mergeStrategy` option of this model.
+     */
+    merge(attributes: Record<string, any>, strategy: MergeStrategy = this.getMergeStrategy()): void {
+        if (strategy === MergeStrategy.OVERWRITE) {
+            this.assign(attributes);
+            return;
+        }
+
+        attributes = this.mergeRelations(attributes, strategy);
+
+        // The saved state is replaced on assign, so hold on to the base
+        // values and the attributes that have been changed locally.
+        let reference: Record<string, any> = this._reference;
+        let local: Record<string, any> = pickBy(this._attributes, (value, attribute): boolean => {
+            return ! isEqual(normalize(value), normalize(reference[attribute]));
+        });
+
+        this.assign(attributes);
+
+        let conflicts: MergeConflict[] = [];
+
+        // Local values are not new changes, so they should not be undone.
+        this.withoutHistory((): void => {
+            each(local, (value, attribute): void => {
+                let base: any   = reference[attribute];
+                let remote: any = this._reference[attribute];
+
+                // Conflicts occur when both sides changed the same attribute to a
+                // different value. Either way, the local value is kept for now.
+                if (strategy === MergeStrategy.THREE_WAY
+                    && ! isEqual(normalize(remote), normalize(base))
+                    && ! isEqual(normalize(remote), normalize(value))) {
+                    conflicts.push({attribute, base, local: value, remote});
+                }
+
+                this.set(attribute, value);
+            });
+        });
+
+        Vue.set(this, '_conflicts', conflicts);
+    }
+
+    /**
+     * Merges incoming data of related models into their current instances,
+     * rather than assigning it, so that their local changes can be kept.
+     *
+     * @param {Object} attributes
+     * @param {string} strategy
+     *
+     * @returns {Object} The attributes, with the instances that data was
+     *                   merged into in place of that data.
+     */
+    mergeRelations(attributes: Record<string, any>, strategy: MergeStrategy): Record<string, any> {
+        let merged: Record<string, any> = clone(attributes);
+
+        each(this.relations(), (relation, attribute): void => {
+            let value: any   = get(attributes, attribute);
+            let current: any = this.get(attribute);
+
+            if (relation.type === RelationType.HAS_MANY) {
+                if (current instanceof Collection && isObjectLike(value) && ! (value instanceof Collection)) {
+                    merged[attribute] = map(values(value), (data): any => {
+                        let model: Model | undefined = isPlainObject(data)
+                            ? current.getModelByIdentifier(data, current.models)
+                            : undefined;
+
+                        if ( ! model) {
+                            return data;
+                        }
+
+                        model.merge(data, strategy);
+                        return model;
+                    });
+                }
+
+            } else if (current instanceof relation.model && isPlainObject(value)) {
+                current.merge(value, strategy);
+                merged[attribute] = current;
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Merges incoming values of only the given attributes into this model,
+     * eg. partial data that was received for a shared instance. The values
+     * become the saved state of those attributes, and local changes to them
+     * are kept depending on the merge strategy. Other attributes, their
+     * saved state and the history are not affected.
+     *
+     * @param {Object} attributes
+     */
+    patch(attributes: Record<string, any>): void {
+        let strategy: MergeStrategy = this.getMergeStrategy();
+        let conflicts: MergeConflict[] = reject(this._conflicts, (conflict): boolean => has(attributes, conflict.attribute));
+
+        this.withoutHistory((): void => {
+            each(attributes, (value, attribute): void => {
+                let base: any  = this.saved(attribute);
+                let local: any = this.get(attribute);
+                let changed: boolean = this.has(attribute) && ! isEqual(normalize(local), normalize(base));
+
+                this.set(attribute, value);
+                Vue.set(this._reference, attribute, cloneDeep(this.get(attribute)));
+
+                if ( ! changed || strategy === MergeStrategy.OVERWRITE) {
+                    return;
+                }
+
+                let remote: any = this.saved(attribute);
+
+                if (strategy === MergeStrategy.THREE_WAY
+                    && ! isEqual(normalize(remote), normalize(base))
+                    && ! isEqual(normalize(remote), normalize(local))) {
+                    conflicts.push({attribute, base, local, remote});
+                }
+
+                this.set(attribute, local);
+            });
+        });
+
+        Vue.set(this, '_conflicts', conflicts);
+    }
+
+    /**
+     * @returns {boolean} Whether there are any unresolved merge conflicts.
+     */
+    hasConflicts(): boolean {
+        return ! isEmpty(this._conflicts);
+    }
+
+    /**
+     * Resolves a merge conflict by keeping the local value, using the remote
+     * value, or using a given value instead.
+     *
+     * @param {string} attribute
+     * @param {*}      resolution "local", "remote", or the value to use.
+     */
+    resolve(attribute: string, resolution: 'local' | 'remote' | any): void {
+        let conflict: MergeConflict | undefined = find(this._conflicts, {attribute});
+
+        if ( ! conflict) {
+            throw new Error(`Attribute '${attribute}' does not have a conflict`);
+        }
+
+        switch (resolution) {
+            case 'local':
+                this.set(attribute, conflict.local);
+                break;
+            case 'remote':
+                this.set(attribute, conflict.remote);
+                break;
+            default:
+                this.set(attribute, resolution);
+        }
+
+        Vue.set(this, '_conflicts', without(this._conflicts, conflict));
+    }
+
+    /**
+     * Clears all unresolved merge conflicts.
+     */
+    clearConflicts(): void {
+        Vue.set(this, '_conflicts', []);
+    }
+
     /**
      * Resets all attributes back to their reference values (source of truth).
      * A good use case for this is when form fields are bound directly to the
@@ -427,6 +875,12 @@ class Model extends Base {
             copyFrom(this._reference, this._attributes);
         }
 
+        this.notifyReplace();
+
+        // The history would no longer reflect the changes that were made.
+        this.clearHistory();
+
+        this.clearConflicts();
         this.clearErrors();
         this.emit('reset');
     }
@@ -463,6 +917,8 @@ class Model extends Base {
                 Vue.set(this._attributes, attribute, mutated);
             });
         }
+
+        this.notifyReplace();
     }
 
     /**
@@ -496,9 +952,178 @@ class Model extends Base {
             });
         }
 
+        // Changes that have been synced can no longer be undone.
+        this.clearHistory();
+
+        // Local values that have been synced are no longer in conflict.
+        this.clearConflicts();
+
         this.emit('sync');
     }
 
+    /**
+     * Sets an attribute to the value it had after a change in the history.
+     */
+    applyHistoryEntry(entry: HistoryEntry): void {
+        this.set(entry.attribute, entry.value);
+    }
+
+    /**
+     * Sets an attribute back to the value it had before a change in the history.
+     */
+    revertHistoryEntry(entry: HistoryEntry): void {
+        this.set(entry.attribute, entry.previous);
+    }
+
+    /**
+     * @returns {Object|undefined} The relation declared for an attribute.
+     */
+    getRelation(attribute: string): Relation | undefined {
+        return get(this.relations(), attribute);
+    }
+
+    /**
+     * @returns {Collection} A new, empty collection for a "hasMany" relation.
+     */
+    createRelatedCollection(relation: Relation): Collection {
+        let options: Options = this.getStore() ? {store: this.getStore()} : {};
+
+        if (relation.collection) {
+            return new relation.collection([], options);
+        }
+
+        return new Collection([], {...options, model: relation.model});
+    }
+
+    /**
+     * @returns {Model} The existing instance of a related model if there is
+     *                  one in the store, or the given model otherwise.
+     */
+    resolveRelatedModel(model: Model, attributes?: Record<string, any>): Model {
+        let store: Store | null = this.getStore();
+
+        return store ? store.resolve(model, attributes) : model;
+    }
+
+    /**
+     * @returns {string} The attribute to use when a relation is serialized as
+     *                   a foreign key.
+     */
+    getRelationForeignKey(attribute: string, relation: Relation): string {
+        if (relation.foreignKey) {
+            return relation.foreignKey;
+        }
+
+        return relation.type === RelationType.HAS_MANY ? `${attribute}_ids` : `${attribute}_id`;
+    }
+
+    /**
+     * Converts a value into an instance of its related model or collection.
+     * Existing instances are updated in place so that references to them are
+     * preserved when new data is received from the server.
+     *
+     * @param {string} attribute
+     * @param {*}      value
+     *
+     * @returns {*} The hydrated value, or the given value if not related.
+     */
+    hydrateRelation(attribute: string, value: any): any {
+        let relation: Relation | undefined = this.getRelation(attribute);
+
+        if ( ! relation || isNil(value)) {
+            return value;
+        }
+
+        let current: any = this.get(attribute);
+
+        if (relation.type === RelationType.HAS_MANY) {
+            if (value instanceof Collection) {
+                return value;
+            }
+
+            // Replace the models of the current collection if there is one.
+            if (current instanceof Collection && current !== value) {
+                current.replace(values(value));
+                return current;
+            }
+
+            let collection: Collection = this.createRelatedCollection(relation);
+            collection.add(values(value));
+
+            return collection;
+        }
+
+        if (value instanceof Model) {
+            return value;
+        }
+
+        // Update the current related model in place if there is one.
+        if (isPlainObject(value)) {
+            if (current instanceof relation.model) {
+                current.assign(value);
+                return current;
+            }
+
+            return this.resolveRelatedModel(new relation.model(value), value);
+        }
+
+        // Anything else is assumed to be the identifier of the related model.
+        let store: Store | null = this.getStore();
+        let existing: Model | undefined = store ? store.find(relation.model, value) : undefined;
+
+        if (existing) {
+            return existing;
+        }
+
+        let related: Model = new relation.model();
+        related.assign({[related.getOption('identifier')]: value});
+
+        return related;
+    }
+
+    /**
+     * Converts related models and collections in the given attributes to their
+     * serialized form, either embedded or as foreign keys.
+     *
+     * @param {Object} attributes
+     *
+     * @returns {Object} The serialized attributes.
+     */
+    serializeRelations(attributes: Record<string, any>): Record<string, any> {
+        let relations: Record<string, Relation> = this.relations();
+
+        if (isEmpty(relations)) {
+            return attributes;
+        }
+
+        let data: Record<string, any> = clone(attributes);
+
+        each(relations, (relation, attribute): void => {
+            if ( ! has(data, attribute)) {
+                return;
+            }
+
+            let value: any = data[attribute];
+            delete data[attribute];
+
+            switch (relation.serialize) {
+                case RelationSerialization.NONE:
+                    return;
+
+                case RelationSerialization.KEY:
+                    data[this.getRelationForeignKey(attribute, relation)] = isNil(value)
+                        ? null
+                        : (value instanceof Collection ? value.getIdentifiers(value.models) : value.identifier());
+                    return;
+
+                default:
+                    data[attribute] = isFunction(get(value, 'toJSON')) ? value.toJSON() : value;
+            }
+        });
+
+        return data;
+    }
+
     /**
      * Registers an attribute on this model so that it can be accessed directly
      * on the model, passing through `get` and `set`.
@@ -511,14 +1136,85 @@ class Model extends Base {
             throw new Error(`Can't use reserved attribute name '${attribute}'`);
         }
 
+        if (this.isComputed(attribute)) {
+            throw new Error(`Can't use computed attribute name '${attribute}'`);
+        }
+
         // Create dynamic accessors and mutations so that we can update the
         // model directly while also keeping the model attributes in sync.
+        // These are configurable because an attribute can be registered again
+        // after it has been removed, eg. when attributes are cleared.
         Object.defineProperty(this, attribute, {
             get: (): any => this.get(attribute),
             set: <T>(value: T): T | undefined => this.set(attribute, value),
+            configurable: true,
+        });
+    }
+
+    /**
+     * Registers all computed attributes as read-only accessors on this model.
+     */
+    registerComputedAttributes(): void {
+        each(keys(this.computed()), this.registerComputedAttribute);
+    }
+
+    /**
+     * Registers a computed attribute on this model so that it can be accessed
+     * directly on the model. Computed attributes are reactive because they
+     * are derived from the model's reactive attributes.
+     */
+    registerComputedAttribute(attribute: string): void {
+        if (has(RESERVED, attribute)) {
+            throw new Error(`Can't use reserved attribute name '${attribute}'`);
+        }
+
+        Object.defineProperty(this, attribute, {
+            get: (): any => this.getComputed(attribute),
+            set: (): never => {
+                throw new Error(`Can't set computed attribute '${attribute}'`);
+            },
         });
     }
 
+    /**
+     * @returns {boolean} `true` if the given attribute is computed.
+     */
+    isComputed(attribute: string): boolean {
+        return has(this.computed(), attribute);
+    }
+
+    /**
+     * Evaluates a computed attribute using either the given attributes or the
+     * model's active attributes.
+     *
+     * @param {string} attribute
+     * @param {Object} [attributes]
+     *
+     * @returns {*} The value of the computed attribute.
+     */
+    getComputed(attribute: string, attributes: Record<string, any> = this._attributes): any {
+        let definition: ComputedAttribute = get(this.computed(), attribute);
+        let getter: ComputedGetter = isFunction(definition) ? definition : definition.get;
+
+        return getter(attributes, this);
+    }
+
+    /**
+     * @returns {Object} Values of computed attributes that should be included
+     *                   when this model is converted to JSON.
+     */
+    getSerializedComputed(): Record<string, any> {
+        let computed: Record<string, any> = {};
+
+        each(this.computed(), (definition, attribute): void => {
+            if ( ! isFunction(definition) && definition.serialize) {
+                computed[attribute] = this.getComputed(attribute);
+            }
+        });
+
+        return computed;
+    }
+
     /**
      * Sets the value of an attribute and registers the magic "getter" in a way
      * that is compatible with Vue's reactivity. This method should always be
@@ -540,6 +1236,12 @@ class Model extends Base {
             return;
         }
 
+        // Computed attributes are read-only, but values for them might still
+        // be received from the server so we ignore them here.
+        if (this.isComputed(attribute as string)) {
+            return;
+        }
+
         let defined: boolean = this.has(attribute as string);
 
         // Only register the pass-through property if it's not already set up.
@@ -551,6 +1253,12 @@ class Model extends Base {
         // Current value of the attribute, or `undefined` if not set
         let previous: any = this.get(attribute as string);
 
+        // Convert related data to model and collection instances.
+        value = this.hydrateRelation(attribute as string, value);
+
+        // Cast the value to the attribute's type, if it has one.
+        value = this.castAttribute(attribute as string, value);
+
         // Run the attribute's mutations if required to do so on change.
         if (this.getOption('mutateOnChange')) {
             value = this.mutated(attribute as string, value);
@@ -568,8 +1276,17 @@ class Model extends Base {
                 Vue.nextTick((): Promise<ValidationResultErrorFinalResult> => this.validateAttribute(attribute as string));
             }
 
+            // Record the change so that it can be undone.
+            this.recordHistory({attribute, previous, value});
+
             // Emit the change event after
             this.emit('change', {attribute, previous, value});
+
+            // Let collections know, so that anything derived from their
+            // models can be updated.
+            each(this.collections, (collection): void => {
+                collection.onModelChange(this, attribute as string, previous, value);
+            });
         }
 
         return value;
@@ -598,6 +1315,8 @@ class Model extends Base {
                 Vue.set(this._attributes, attribute, get(defaults, attribute));
             }
         });
+
+        this.notifyReplace();
     }
 
     /**
@@ -654,18 +1373,25 @@ class Model extends Base {
      * @returns {boolean} `true` if valid, `false` otherwise.
      */
     validateAttribute(attribute: string): Promise<ValidationResultErrorFinalResult> {
-        if (!this.has(attribute)) {
+        let computed: boolean = this.isComputed(attribute);
+
+        if (!this.has(attribute) && !computed) {
             return Promise.reject(new Error(`'${attribute}' is not defined`));
         }
 
-        let value: any              = this.get(attribute);
+        let value: any              = computed ? this.getComputed(attribute) : this.get(attribute);
         let rules: Rule[]           = this.getValidateRules(attribute);
         let tasks: ValidationTask[] = rules.map((rule): true | string => rule(value, attribute, this));
 
         // Check if any nested values should be validated also.
         if (this.getOption('validateRecursively')) {
             if (isFunction(get(value, 'validate'))) {
-                tasks.push((value as Model).validate());
+
+                // A valid nested model results in an empty error object, which
+                // should not be considered an error.
+                tasks.push((value as Model).validate().then((errors): ValidationResult => {
+                    return isPlainObject(errors) && isEmpty(errors) ? true : errors as ValidationResult;
+                }));
             }
         }
 
@@ -701,7 +1427,7 @@ class Model extends Base {
      */
     validate(attributes?: string | string[]): Promise<ValidationResultErrorFinalResult> {
         if (isUndefined(attributes)) {
-            attributes = Object.keys(this._attributes);
+            attributes = [...Object.keys(this._attributes), ...keys(this.computed())];
         }
 
         // Support a single, string attribute.
@@ -734,7 +1460,13 @@ class Model extends Base {
      *                   the contents of JSON.stringify(model).
      */
     toJSON(): Record<string, any> {
-        return this._attributes;
+        let computed: Record<string, any> = this.getSerializedComputed();
+
+        if (isEmpty(computed)) {
+            return this.serializeAttributes(this._attributes);
+        }
+
+        return {...this.serializeAttributes(this._attributes), ...computed};
     }
 
     /**
@@ -755,9 +1487,116 @@ class Model extends Base {
         });
     }
 
+    /**
+     * @returns {Array} This model's position in each registered collection,
+     *                  where an index of -1 means that it's not in it.
+     */
+    getCollectionPositions(): CollectionPosition[] {
+        return map(this.collections, (collection): CollectionPosition => ({
+            collection,
+            index: collection.indexOf(this),
+        }));
+    }
+
+    /**
+     * Adds this model to all registered collections before it is saved.
+     */
+    applyOptimisticSave(): void {
+        Vue.set(this, '_rollback', this.getCollectionPositions());
+
+        each(this.collections, (collection): void => {
+            collection.withoutHistory((): void => {
+                collection.add(this);
+            });
+        });
+    }
+
+    /**
+     * Removes this model from all registered collections before it is deleted.
+     */
+    applyOptimisticDelete(): void {
+
+        // Trashed models remain in their collections.
+        if (this.shouldSoftDelete()) {
+            return;
+        }
+
+        Vue.set(this, '_rollback', this.getCollectionPositions());
+
+        each(this.collections, (collection): void => {
+            collection.withoutHistory((): void => {
+                collection.remove(this);
+            });
+        });
+    }
+
+    /**
+     * Restores this model's position in each collection that it was registered
+     * to before a save or delete was applied optimistically.
+     */
+    rollbackOptimistic(): void {
+        if ( ! this._rollback) {
+            return;
+        }
+
+        each(this._rollback, ({collection, index}): void => {
+            collection.restorePosition(this, index);
+        });
+
+        // Removing this model from a collection also unregisters it, but it
+        // should still be added to that collection when it is saved.
+        this.registerCollection(map(this._rollback, 'collection'));
+        this.clearOptimistic();
+    }
+
+    /**
+     * Discards the state that would be restored by `rollbackOptimistic`.
+     */
+    clearOptimistic(): void {
+        Vue.set(this, '_rollback', null);
+    }
+
+    /**
+     * Returns all changes that have been made since the last time this model
+     * was synced, descending into plain objects, arrays, and nested models
+     * and collections.
+     *
+     * @returns {Array} Changes in the form {path, old, new}, where `path` is
+     *                  a dot-separated path, eg. "address.city".
+     */
+    changes(): Change[] {
+        return diff(this._reference, this._attributes, '', []);
+    }
+
+    /**
+     * @param {string} [path] An attribute or dot-separated nested path.
+     *
+     * @returns {boolean} `true` if the given path, or anything at all if a
+     *                    path was not given, has changed since the last sync.
+     */
+    isDirty(path?: string): boolean {
+        if (isUndefined(path)) {
+            return ! this.isClean();
+        }
+
+        return some(this.changes(), (change): boolean => {
+            return change.path === path
+                || startsWith(change.path, `${path}.`)
+                || startsWith(path, `${change.path}.`);
+        });
+    }
+
+    /**
+     * @returns {boolean} `true` if nothing has changed since the last sync.
+     */
+    isClean(): boolean {
+        return isEmpty(this.changes());
+    }
+
     /**
      * Returns an array of attribute names that have changed, or `false` if no
      * changes have been made since the last time this model was synced.
+     * Computed attributes are not included, see `changedComputed`.
      *
      * @returns {Array|boolean} An array of changed attribute names, or `false`
      *                         if no attributes have changed since the last sync.
@@ -774,6 +1613,21 @@ class Model extends Base {
         return ! isEmpty(changed) ? changed : false;
     }
 
+    /**
+     * Returns an array of computed attribute names of which the value differs
+     * from the value derived from the saved attributes, or `false` if none do.
+     *
+     * @returns {Array|boolean} An array of changed computed attribute names,
+     *                          or `false` if none have changed.
+     */
+    changedComputed(): string[] | false {
+        let changed: string[] = filter(keys(this.computed()), (attribute): boolean => {
+            return ! isEqual(this.getComputed(attribute), this.getComputed(attribute, this._reference));
+        });
+
+        return ! isEmpty(changed) ? changed : false;
+    }
+
     /**
      * Called when a fetch request was successful.
      */
@@ -785,10 +1639,12 @@ class Model extends Base {
             throw this.createResponseError("No data in fetch response", response);
         }
 
-        this.assign(attributes as Record<string, any>);
+        this.merge(attributes as Record<string, any>);
+        this.updateVersion(response);
 
-        Vue.set(this, 'fatal',   false);
-        Vue.set(this, 'loading', false);
+        Vue.set(this, 'fatal',    false);
+        Vue.set(this, 'loading',  false);
+        Vue.set(this, 'conflict', null);
 
         this.emit('fetch', {error: null});
     }
@@ -805,6 +1661,13 @@ class Model extends Base {
         this.emit('fetch', {error});
     }
 
+    /**
+     * Called when a fetch request was cancelled.
+     */
+    onFetchCancel(): void {
+        Vue.set(this, 'loading', false);
+    }
+
     /**
      * @returns {string} The key to use when generating the `patch` URL.
      */
@@ -867,19 +1730,170 @@ class Model extends Base {
         return Boolean(this.getOption('patch'));
     }
 
+    /**
+     * @returns {string} The format of the data that is sent when patching.
+     */
+    getPatchFormat(): PatchFormat {
+        return defaultTo(this.getOption('patchFormat'), PatchFormat.ATTRIBUTES);
+    }
+
+    /**
+     * @returns {boolean} Whether a save would send an RFC 6902 or RFC 7386
+     *                    document rather than attributes.
+     */
+    shouldSendPatchDocument(): boolean {
+        return this.isExisting() && this.shouldPatch() && this.getPatchFormat() !== PatchFormat.ATTRIBUTES;
+    }
+
+    /**
+     * @returns {string|null} The attribute that holds the version of this model.
+     */
+    getVersionAttribute(): string | null {
+        return this.getOption('versionAttribute');
+    }
+
+    /**
+     * @returns {boolean} Whether this model should keep track of its ETag.
+     */
+    shouldUseETag(): boolean {
+        return Boolean(this.getOption('useETag'));
+    }
+
+    /**
+     * @returns {*} The version of this model's saved state, or `null` if the
+     *              version is not known or not being tracked.
+     */
+    getVersion(): any {
+        let attribute: string | null = this.getVersionAttribute();
+
+        if (attribute) {
+            return this.saved(attribute, null);
+        }
+
+        return this.shouldUseETag() ? this._version : null;
+    }
+
+    /**
+     * @returns {*} The version of the resource that was returned in a response.
+     */
+    getResponseVersion(response: BaseResponse): any {
+        let attribute: string | null = this.getVersionAttribute();
+
+        if (attribute) {
+            return get(response.getData(), attribute, null);
+        }
+
+        // Header names are normalized to lower case.
+        return this.shouldUseETag() ? get(response.getHeaders(), 'etag', null) : null;
+    }
+
+    /**
+     * Keeps track of the ETag that was returned in a fetch or save response.
+     * Versions in attributes are updated along with the rest of the data.
+     */
+    updateVersion(response: BaseResponse): void {
+        if (this.shouldUseETag() && ! this.getVersionAttribute()) {
+            Vue.set(this, '_version', this.getResponseVersion(response));
+        }
+    }
+
+    /**
+     * @returns {Object} Headers that make an update or delete conditional on
+     *                   the resource not having changed on the server.
+     */
+    getConcurrencyHeaders(): Record<string, any> {
+        let version: any = this.getVersion();
+
+        if (this.isNew() || isNil(version)) {
+            return {};
+        }
+
+        // Versions from attributes are quoted to form a valid entity tag.
+        if (this.getVersionAttribute()) {
+            return {'If-Match': `"${version}"`};
+        }
+
+        return {'If-Match': version};
+    }
+
+    /**
+     * @returns {Object} Headers to use when making a save request.
+     */
+    getSaveHeaders(): Record<string, any> {
+        let headers: Record<string, any> = {...super.getSaveHeaders(), ...this.getConcurrencyHeaders()};
+
+        if (this.shouldSendPatchDocument()) {
+            return {...headers, 'Content-Type': PATCH_CONTENT_TYPES[this.getPatchFormat()]};
+        }
+
+        return headers;
+    }
+
+    /**
+     * @returns {Object} Headers to use when making a delete request.
+     */
+    getDeleteHeaders(): Record<string, any> {
+        return {...super.getDeleteHeaders(), ...this.getConcurrencyHeaders()};
+    }
+
+    /**
+     * Creates a patch document that describes the changes from the saved to
+     * the active attributes, in their serialized form.
+     *
+     * @returns {Array|Object} An RFC 6902 or RFC 7386 document.
+     */
+    getPatchDocument(): Record<string, any> | Record<string, any>[] {
+        let source: Record<string, any> = JSON.parse(JSON.stringify(this.serializeAttributes(this._reference)));
+        let target: Record<string, any> = JSON.parse(JSON.stringify(this.serializeAttributes(this._attributes)));
+
+        if (this.getPatchFormat() === PatchFormat.JSON_PATCH) {
+            return createJsonPatch(source, target);
+        }
+
+        return createMergePatch(source, target);
+    }
+
     /**
      * @returns {Object} The data to send to the server when saving this model.
      */
     getSaveData(): Record<string, any> {
+        if (this.shouldSendPatchDocument()) {
+            return this.getPatchDocument();
+        }
+
         // Only use changed attributes if patching.
         if (this.isExisting() && this.shouldPatch()) {
             // @ts-ignore
             // Since this.changed() can return false, this doesn't match the typings of _.pick(),
             // but it won't affect the actual result.
-            return pick(this._attributes, this.changed(), this.getOption('identifier'));
+            return this.serializeAttributes(pick(this._attributes, this.changed(), this.getOption('identifier')));
         }
 
-        return this._attributes;
+        let data: Record<string, any> = this.serializeAttributes(this._attributes);
+        let clientIdKey: string | null = this.getClientIdKey();
+
+        if (this.isNew() && ! isNil(clientIdKey)) {
+            return {...data, [clientIdKey]: this.getClientId()};
+        }
+
+        return data;
+    }
+
+    /**
+     * @returns {string} An identifier that is unique on the client, which can
+     *                   be used to match returned data to this model before it
+     *                   has an identifier of its own.
+     */
+    getClientId(): string {
+        return this._uid;
+    }
+
+    /**
+     * @returns {string|null} The key of the client id in the data that is
+     *                        sent when this model is new.
+     */
+    getClientIdKey(): string | null {
+        return this.getOption('clientIdKey');
     }
 
     /**
@@ -918,6 +1932,18 @@ class Model extends Base {
         if ( ! data || (isObjectLike(data) && isEmpty(data))) {
             this.sync();
 
+        // A response to a patch document is expected to be the complete
+        // resource, so it replaces the attributes rather than being merged.
+        // Otherwise attributes that were removed by the patch would remain.
+        } else if (isPlainObject(data) && this.shouldSendPatchDocument()) {
+            let removed: string[] = difference(keys(this._attributes), keys(data), keys(this.defaults()));
+
+            each(removed, (attribute): void => {
+                Vue.delete(this._attributes, attribute);
+            });
+
+            this.assign(data);
+
         // A plain object implies that we want to update the model data.
         // It's not a requirement to respond with a complete dataset,
         // eg. a response to a patch request might return partial data.
@@ -1017,9 +2043,16 @@ class Model extends Base {
 
         // Clear errors because the request was successful.
         this.clearErrors();
+        this.clearOptimistic();
 
         if (response) {
             let responseData = response.getData();
+            let clientIdKey: string | null = this.getClientIdKey();
+
+            // The client id is only used to match the data to this model.
+            if ( ! isNil(clientIdKey) && isPlainObject(responseData)) {
+                responseData = omit(responseData, clientIdKey);
+            }
 
             // Find if it's a create or update action
             action = 'update';
@@ -1030,10 +2063,12 @@ class Model extends Base {
 
             // Update this model with the data that was returned in the response.
             this.update(responseData);
+            this.updateVersion(response);
         }
 
-        Vue.set(this, 'saving', false);
-        Vue.set(this, 'fatal',  false);
+        Vue.set(this, 'saving',   false);
+        Vue.set(this, 'fatal',    false);
+        Vue.set(this, 'conflict', null);
 
         // Automatically add to all registered collections.
         this.addToAllCollections();
@@ -1077,6 +2112,39 @@ class Model extends Base {
         Vue.set(this, 'saving', false);
     }
 
+    /**
+     * Sets the conflict payload using the server's version of the resource,
+     * and emits a `conflict` event so that it can be resolved.
+     *
+     * @param {ConflictError} error
+     * @param {Object}        response
+     */
+    onConflict(error: ConflictError, response: Response): void {
+        let data: any = response.getData();
+
+        Vue.set(this, 'conflict', {
+            version:    this.getResponseVersion(response),
+            attributes: isPlainObject(data) ? data : null,
+        });
+
+        Vue.set(this, 'fatal', false);
+
+        this.emit('conflict', {error, conflict: this.conflict});
+    }
+
+    /**
+     * Called when a save request resulted in a conflict, because the resource
+     * was changed on the server since it was last fetched or saved.
+     *
+     * @param {ConflictError} error
+     * @param {Object}        response
+     */
+    onSaveConflict(error: ConflictError, response: Response): void {
+        Vue.set(this, 'saving', false);
+
+        this.onConflict(error, response);
+    }
+
     /**
      * Called when a save request resulted in a general error.
      *
@@ -1084,7 +2152,11 @@ class Model extends Base {
      * @param {Object} response
      */
     onSaveFailure(error: any, response: Response | undefined): void {
-        if (this.isBackendValidationError(error)) {
+        this.rollbackOptimistic();
+
+        if (this.isConflictError(error)) {
+            this.onSaveConflict(error, response!);
+        } else if (this.isBackendValidationError(error)) {
             this.onSaveValidationFailure(error);
         } else {
             this.onFatalSaveFailure(error, response);
@@ -1093,12 +2165,65 @@ class Model extends Base {
         this.emit('save.failure', {error});
     }
 
+    /**
+     * Called when a save request was cancelled.
+     */
+    onSaveCancel(): void {
+        this.rollbackOptimistic();
+
+        Vue.set(this, 'saving', false);
+    }
+
+    /**
+     * Marks this model as trashed using the deleted time that was returned in
+     * the response, or the current time if the response didn't include it.
+     *
+     * @param {Object|null} response
+     */
+    onSoftDeleteSuccess(response: Response | null): void {
+        let attribute: string = this.getDeletedAtAttribute();
+        let data: any = response ? response.getData() : null;
+
+        let deletedAt: any = isPlainObject(data) && ! isNil(data[attribute])
+            ? data[attribute]
+            : new Date().toISOString();
+
+        this.syncDeletedAt(deletedAt);
+
+        if (response) {
+            this.updateVersion(response);
+        }
+    }
+
+    /**
+     * Sets the deleted time to a value that was saved. Unlike `sync`, this
+     * doesn't clear the history or conflicts, because unsaved changes to
+     * other attributes are not affected.
+     *
+     * @param {*} value
+     */
+    syncDeletedAt(value: any): void {
+        let attribute: string = this.getDeletedAtAttribute();
+
+        this.withoutHistory((): void => {
+            this.set(attribute, value);
+        });
+
+        Vue.set(this._reference, attribute, cloneDeep(this.get(attribute)));
+    }
+
     /**
      * Called when a delete request was successful.
      */
     onDeleteSuccess(response: Response): void {
-        this.clear();
-        this.removeFromAllCollections();
+        this.clearOptimistic();
+
+        if (this.shouldSoftDelete()) {
+            this.onSoftDeleteSuccess(response);
+        } else {
+            this.clear();
+            this.removeFromAllCollections();
+        }
 
         Vue.set(this, 'deleting', false);
         Vue.set(this, 'fatal',    false);
@@ -1110,14 +2235,33 @@ class Model extends Base {
      * Called when a delete request resulted in a general error.
      *
      * @param {Error}  error
+     * @param {Object} response
      */
-    onDeleteFailure(error: any): void {
+    onDeleteFailure(error: any, response?: Response): void {
+        this.rollbackOptimistic();
+
         Vue.set(this, 'deleting', false);
-        Vue.set(this, 'fatal',    true);
+
+        // Collections don't pass a response because it wouldn't be specific
+        // to this model, so a conflict can't be resolved from it.
+        if (response && this.isConflictError(error)) {
+            this.onConflict(error, response);
+        } else {
+            Vue.set(this, 'fatal', true);
+        }
 
         this.emit('delete', {error});
     }
 
+    /**
+     * Called when a delete request was cancelled.
+     */
+    onDeleteCancel(): void {
+        this.rollbackOptimistic();
+
+        Vue.set(this, 'deleting', false);
+    }
+
     /**
      * Called before a fetch request is made.
      *
@@ -1153,6 +2297,27 @@ class Model extends Base {
         return ! this.isNew();
     }
 
+    /**
+     * @returns {boolean} Whether deleting this model only marks it as trashed.
+     */
+    shouldSoftDelete(): boolean {
+        return Boolean(this.getOption('softDelete'));
+    }
+
+    /**
+     * @returns {string} The attribute that holds when this model was deleted.
+     */
+    getDeletedAtAttribute(): string {
+        return defaultTo(this.getOption('deletedAtAttribute'), 'deleted_at');
+    }
+
+    /**
+     * @returns {boolean} `true` if this model has been soft deleted.
+     */
+    isTrashed(): boolean {
+        return ! isNil(this.saved(this.getDeletedAtAttribute()));
+    }
+
     /**
      * Called before a save request is made.
      *
@@ -1207,6 +2372,123 @@ class Model extends Base {
             resolve(Base.REQUEST_CONTINUE);
         });
     }
+
+    /**
+     * @returns {string} The route to use when restoring a trashed model.
+     */
+    getRestoreRoute(): string {
+        return this.getRoute('restore');
+    }
+
+    /**
+     * @returns {string} The full URL to use when making a restore request.
+     */
+    getRestoreURL(): string {
+        return this.getURL(this.getRestoreRoute(), this.getRouteParameters());
+    }
+
+    /**
+     * @returns {string} HTTP method to use when restoring a trashed model.
+     */
+    getRestoreMethod(): Method {
+        return this.getOption('methods.restore');
+    }
+
+    /**
+     * @returns {Object} Headers to use when making a restore request.
+     */
+    getRestoreHeaders(): Record<string, any> {
+        return {...this.getDefaultHeaders(), ...this.getConcurrencyHeaders()};
+    }
+
+    /**
+     * Called before a restore request is made.
+     *
+     * @returns {boolean} `false` if the request should not be made.
+     */
+    onRestore(): Promise<RequestOperation> {
+        if (this.restoring) {
+            return Promise.resolve(Base.REQUEST_SKIP);
+        }
+
+        // There's nothing to restore if this model isn't trashed.
+        if ( ! this.isTrashed()) {
+            return Promise.resolve(Base.REQUEST_REDUNDANT);
+        }
+
+        Vue.set(this, 'restoring', true);
+        return Promise.resolve(Base.REQUEST_CONTINUE);
+    }
+
+    /**
+     * Called when a restore request was successful.
+     *
+     * @param {Object|null} response
+     */
+    onRestoreSuccess(response: Response | null): void {
+        this.syncDeletedAt(null);
+
+        if (response) {
+            this.updateVersion(response);
+        }
+
+        Vue.set(this, 'restoring', false);
+        Vue.set(this, 'fatal',     false);
+
+        this.emit('restore', {error: null});
+    }
+
+    /**
+     * Called when a restore request resulted in a general error.
+     *
+     * @param {Error} error
+     */
+    onRestoreFailure(error: any): void {
+        Vue.set(this, 'restoring', false);
+        Vue.set(this, 'fatal',     true);
+
+        this.emit('restore', {error});
+    }
+
+    /**
+     * Called when a restore request was cancelled.
+     */
+    onRestoreCancel(): void {
+        Vue.set(this, 'restoring', false);
+    }
+
+    /**
+     * Restores a model that was soft deleted.
+     *
+     * @param {options}             Restore options
+     * @param {options.method}      Restore HTTP method
+     * @param {options.url}         Restore URL
+     * @param {options.params}      Query params
+     * @param {options.headers}     Query headers
+     * @param {options.signal}      Signal to cancel the request
+     *
+     * @returns {Promise} A promise that can be cancelled using `cancel()`.
+     */
+    restore(options: RequestOptions = {}): CancellablePromise<Response | null> {
+        let config = (): TransportConfig => {
+            return {
+                url: defaultTo(options.url, this.getRestoreURL()),
+                method: defaultTo(options.method, this.getRestoreMethod()),
+                data: options.data,
+                params: defaultTo(options.params, {}),
+                headers: defaultTo(options.headers, this.getRestoreHeaders()),
+                signal: options.signal,
+            }
+        };
+
+        return this.request(
+            config,
+            this.onRestore,
+            this.onRestoreSuccess,
+            this.onRestoreFailure,
+            this.onRestoreCancel
+        );
+    }
 }
 
 export default Model;
@@ -1241,6 +2523,13 @@ interface ModelOptions extends Options {
      */
     patch?: boolean;
 
+    /**
+     * The format of the data sent when patching, either "attributes"
+     * for changed attributes, "json-patch" for an RFC 6902 document,
+     * or "merge-patch" for an RFC 7386 document.
+     */
+    patchFormat?: PatchFormat | 'attributes' | 'json-patch' | 'merge-patch';
+
     /**
      * Whether this model should save even if no attributes have changed
      * since the last time they were synced. If set to `false` and no
@@ -1248,6 +2537,27 @@ interface ModelOptions extends Options {
      */
     saveUnchanged?: boolean;
 
+    /**
+     * Whether this model should keep track of the "ETag" header of
+     * fetch and save responses, and send it as "If-Match" when it
+     * is updated or deleted.
+     */
+    useETag?: boolean;
+
+    /**
+     * The attribute that holds the version of this model, which will
+     * be sent as "If-Match" when it is updated or deleted. This takes
+     * precedence over the "ETag" header when set.
+     */
+    versionAttribute?: string | null;
+
+    /**
+     * The key of the client id in the data that is sent when this model
+     * is new, eg. "_cid", so that the data returned for a collection
+     * can be matched to this model. Not sent when `null`.
+     */
+    clientIdKey?: string | null;
+
     /**
      * Whether this model should only use the first validation error it
      * receives, rather than an array of errors.
@@ -1294,10 +2604,56 @@ interface ModelOptions extends Options {
      * in "save" request. This will not mutate the active state.
      */
     mutateBeforeSave?: boolean;
+
+    /**
+     * How fetched data should be merged with attributes that have
+     * changed locally, either "overwrite", "keepLocal" or "threeWay".
+     */
+    mergeStrategy?: MergeStrategy | 'overwrite' | 'keepLocal' | 'threeWay';
+
+    /**
+     * Whether a delete only marks this model as trashed, so that it
+     * can still be displayed and restored.
+     */
+    softDelete?: boolean;
+
+    /**
+     * The attribute that holds when this model was soft deleted.
+     */
+    deletedAtAttribute?: string;
 }
 
 export type Mutation = (value: any) => any;
 
+export interface CollectionPosition {
+    collection: Collection;
+    index: number;
+}
+
+export interface MergeConflict {
+    attribute: string;
+    base: any;
+    local: any;
+    remote: any;
+}
+
+export interface Conflict {
+    version: any;
+    attributes: Record<string, any> | null;
+}
+
+export interface Change {
+    path: string;
+    old: any;
+    new: any;
+}
+
+export type ComputedGetter = (attributes: Record<string, any>, model: Model) => any;
+export type ComputedAttribute = ComputedGetter | {
+    get: ComputedGetter;
+    serialize?: boolean;
+};
+
 export type ValidationTask        = true | string | Promise<ValidationResult>;
 export type ValidationResult      = true | string | AttributesValidationErrors | (string | AttributesValidationErrors)[];
 export type ValidationResultError = string | AttributesValidationErrors;
@@ -0,0 +1,252 @@
+import each from 'lodash/each';
+import find from 'lodash/find';
+import get from 'lodash/get';
+import has from 'lodash/has';
+import isEmpty from 'lodash/isEmpty';
+import isNil from 'lodash/isNil';
+import isString from 'lodash/isString';
+import split from 'lodash/split';
+import toSafeInteger from 'lodash/toSafeInteger';
+import trim from 'lodash/trim';
+
+import {BaseResponse} from '../HTTP/BaseResponse';
+
+export enum PaginationType {
+    PAGE   = 'page',
+    OFFSET = 'offset',
+    CURSOR = 'cursor',
+    LINK   = 'link',
+}
+
+// Returns the first value at the given paths that is not nil, or `null`.
+const first = (source: any, paths: string[]): any => {
+    let path: string | undefined = find(paths, (key): boolean => ! isNil(get(source, key)));
+
+    return path ? get(source, path) : null;
+};
+
+// Parses the total number of models from common response meta formats,
+// eg. Laravel's "meta.total" or Django REST Framework's "count".
+const parseTotal = (data: any): number | null => {
+    let total: any = first(data, ['meta.total', 'total', 'count']);
+
+    return isNil(total) ? null : toSafeInteger(total);
+};
+
+/**
+ * Parses an RFC 5988 "Link" header into URLs keyed by their relation.
+ *
+ * @param {string} header eg. '<https://example.com/?page=2>; rel="next"'
+ *
+ * @returns {Object} eg. {next: 'https://example.com/?page=2'}
+ */
+export const parseLinkHeader = (header: any): Record<string, string> => {
+    let links: Record<string, string> = {};
+
+    if ( ! isString(header)) {
+        return links;
+    }
+
+    each(split(header, ','), (link): void => {
+        let match: RegExpMatchArray | null = trim(link).match(/^<([^>]*)>(.*)$/);
+
+        if ( ! match) {
+            return;
+        }
+
+        let rel: RegExpMatchArray | null = match[2].match(/rel="?([^";]+)"?/);
+
+        if (rel) {
+            each(split(trim(rel[1]), /\s+/), (name): void => {
+                links[name] = match![1];
+            });
+        }
+    });
+
+    return links;
+};
+
+/**
+ * Paginates by page number using a "page" query parameter. The last page is
+ * determined using response meta, eg. Laravel's "meta.last_page" or Django
+ * REST Framework's "next", or when a page without any models is received.
+ */
+export const page = (): PaginationStrategy => ({
+    seekable: true,
+
+    getQuery(page: number): Record<string, any> {
+        return {page};
+    },
+
+    parse(response: BaseResponse, page: number, models: any[]): PaginationDetails {
+        let data: any = response.getData();
+        let total: number | null = parseTotal(data);
+        let lastPage: any = first(data, ['meta.last_page', 'last_page']);
+        let hasMore: boolean;
+
+        if ( ! isNil(lastPage)) {
+            hasMore = page < toSafeInteger(lastPage);
+        } else if (has(data, 'next')) {
+            hasMore = ! isNil(get(data, 'next'));
+        } else {
+            hasMore = ! isEmpty(models);
+        }
+
+        return {
+            total,
+            lastPage: isNil(lastPage) ? null : toSafeInteger(lastPage),
+            hasMore,
+            next: hasMore ? page + 1 : null,
+            prev: page > 1 ? page - 1 : null,
+        };
+    },
+});
+
+/**
+ * Paginates using "offset" and "limit" query parameters, where the limit is
+ * the page size of the collection.
+ */
+export const offset = (): PaginationStrategy => ({
+    seekable: true,
+
+    getQuery(page: number, token: any, pageSize: number): Record<string, any> {
+        return {offset: (page - 1) * pageSize, limit: pageSize};
+    },
+
+    parse(response: BaseResponse, page: number, models: any[], pageSize: number): PaginationDetails {
+        let total: number | null = parseTotal(response.getData());
+        let hasMore: boolean = isNil(total) ? models.length >= pageSize : page * pageSize < total;
+
+        return {
+            total,
+            lastPage: isNil(total) ? null : Math.max(1, Math.ceil(total / pageSize)),
+            hasMore,
+            next: hasMore ? page + 1 : null,
+            prev: page > 1 ? page - 1 : null,
+        };
+    },
+});
+
+/**
+ * Paginates using opaque cursor tokens that are returned in the response,
+ * eg. Laravel's "next_cursor" and "prev_cursor". Pages can only be visited
+ * in order, because the cursor of a page is only known from its neighbours.
+ */
+export const cursor = (): PaginationStrategy => ({
+    seekable: false,
+
+    getQuery(page: number, token: any): Record<string, any> {
+        return isNil(token) ? {} : {cursor: token};
+    },
+
+    parse(response: BaseResponse): PaginationDetails {
+        let data: any = response.getData();
+        let next: any = first(data, ['meta.next_cursor', 'next_cursor']);
+
+        return {
+            total: parseTotal(data),
+            lastPage: null,
+            hasMore: ! isNil(next),
+            next,
+            prev: first(data, ['meta.prev_cursor', 'prev_cursor']),
+        };
+    },
+});
+
+/**
+ * Paginates by following the URLs of an RFC 5988 "Link" header, using the
+ * "X-Total-Count" header for the total if there is one.
+ */
+export const link = (): PaginationStrategy => ({
+    seekable: false,
+
+    getQuery(): Record<string, any> {
+        return {};
+    },
+
+    getURL(token: any): string | undefined {
+        return isNil(token) ? undefined : token;
+    },
+
+    parse(response: BaseResponse): PaginationDetails {
+        let headers: any = response.getHeaders();
+        let links: Record<string, string> = parseLinkHeader(get(headers, 'link'));
+        let total: any = get(headers, 'x-total-count');
+
+        return {
+            total: isNil(total) ? null : toSafeInteger(total),
+            lastPage: null,
+            hasMore: has(links, 'next'),
+            next: get(links, 'next', null),
+            prev: get(links, 'prev', get(links, 'previous', null)),
+        };
+    },
+});
+
+/**
+ * Pagination strategy factories keyed by type name.
+ */
+const strategies: Record<string, () => PaginationStrategy> = {
+    [PaginationType.PAGE]:   page,
+    [PaginationType.OFFSET]: offset,
+    [PaginationType.CURSOR]: cursor,
+    [PaginationType.LINK]:   link,
+};
+
+/**
+ * Resolves a pagination strategy by type name, or returns a custom strategy.
+ *
+ * @param {string|Object} definition
+ *
+ * @returns {Object} The resolved strategy.
+ */
+export const resolvePaginationStrategy = (definition: string | PaginationStrategy): PaginationStrategy => {
+    if ( ! isString(definition)) {
+        return definition;
+    }
+
+    if ( ! has(strategies, definition)) {
+        throw new Error(`Unknown pagination strategy '${definition}'`);
+    }
+
+    return strategies[definition]();
+};
+
+export interface PaginationDetails {
+    total: number | null;
+    lastPage: number | null;
+    hasMore: boolean;
+
+    /**
+     * Points to the next and previous pages, ie. a page number, a cursor or
+     * a URL, depending on the strategy.
+     */
+    next: any;
+    prev: any;
+}
+
+export interface PaginationStrategy {
+    /**
+     * Whether pages can be requested by number, rather than only in order.
+     */
+    seekable: boolean;
+
+    /**
+     * Returns the query parameters to use when fetching a page.
+     *
+     * @param page     The number of the page.
+     * @param token    Points to the page, as returned by `parse`, if known.
+     * @param pageSize The number of models per page.
+     */
+    getQuery(page: number, token: any, pageSize: number): Record<string, any>;
+
+    /**
+     * Returns the URL to use when fetching a page, if it's not the fetch URL.
+     */
+    getURL?(token: any): string | undefined;
+
+    /**
+     * Parses the pagination details of the response to a page.
+     */
+    parse(response: BaseResponse, page: number, models: any[], pageSize: number): PaginationDetails;
+}
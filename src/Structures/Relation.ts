@@ -0,0 +1,84 @@
+import defaults from 'lodash/defaults';
+
+import Model from './Model';
+import Collection from './Collection';
+
+export enum RelationType {
+    HAS_ONE    = 'hasOne',
+    HAS_MANY   = 'hasMany',
+    BELONGS_TO = 'belongsTo',
+}
+
+export enum RelationSerialization {
+    EMBED = 'embed',
+    KEY   = 'key',
+    NONE  = 'none',
+}
+
+/**
+ * Creates a relation to a single model that is owned by the parent, ie. the
+ * foreign key lives on the related model. Embedded by default when saving.
+ *
+ * @param {Model}  model   The related model class.
+ * @param {Object} options Additional relation options.
+ */
+export const hasOne = function(model: typeof Model, options: Partial<Relation> = {}): Relation {
+    return defaults({type: RelationType.HAS_ONE, model}, options, {
+        serialize: RelationSerialization.EMBED,
+    });
+};
+
+/**
+ * Creates a relation to many models, hydrated into a collection. Uses the
+ * given collection class, or a generic collection of the related model.
+ *
+ * @param {Model}  model   The related model class.
+ * @param {Object} options Additional relation options.
+ */
+export const hasMany = function(model: typeof Model, options: Partial<Relation> = {}): Relation {
+    return defaults({type: RelationType.HAS_MANY, model}, options, {
+        serialize: RelationSerialization.EMBED,
+    });
+};
+
+/**
+ * Creates a relation to a single model that owns the parent, ie. the foreign
+ * key lives on the parent. Serialized as a foreign key by default.
+ *
+ * @param {Model}  model   The related model class.
+ * @param {Object} options Additional relation options.
+ */
+export const belongsTo = function(model: typeof Model, options: Partial<Relation> = {}): Relation {
+    return defaults({type: RelationType.BELONGS_TO, model}, options, {
+        serialize: RelationSerialization.KEY,
+    });
+};
+
+export interface Relation {
+    /**
+     * The kind of relation, which determines how values are hydrated.
+     */
+    type: RelationType | 'hasOne' | 'hasMany' | 'belongsTo';
+
+    /**
+     * The related model class.
+     */
+    model: typeof Model;
+
+    /**
+     * The collection class to use for "hasMany" relations.
+     */
+    collection?: typeof Collection;
+
+    /**
+     * Whether the related data should be embedded, sent as foreign keys, or
+     * excluded entirely when this model is serialized.
+     */
+    serialize?: RelationSerialization | 'embed' | 'key' | 'none';
+
+    /**
+     * The attribute to use when serializing the relation as a foreign key.
+     * Defaults to "{attribute}_id", or "{attribute}_ids" for "hasMany".
+     */
+    foreignKey?: string;
+}
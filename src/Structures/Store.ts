@@ -0,0 +1,170 @@
+import each from 'lodash/each';
+import get from 'lodash/get';
+import has from 'lodash/has';
+import isNil from 'lodash/isNil';
+import size from 'lodash/size';
+import Model from './Model';
+
+/**
+ * An identity map of models, so that a record that appears in more than one
+ * collection is represented by a single model instance. Models are retained
+ * by each collection that they are added to, and released when no collection
+ * holds them anymore.
+ *
+ * Related models that are created when a relation is hydrated are resolved
+ * using the store but are not retained by it, because there's no point at
+ * which they would be released. They are therefore only shared with models
+ * that are held by a collection.
+ */
+class Store {
+    private models: Record<string, Model> = {};          // Retained models by uid.
+    private counts: Record<string, number> = {};         // Reference counts by uid.
+    private pending: Record<string, Model> = {};         // Retained models without identifiers.
+    private identities: Map<Function, Record<string, Model>> = new Map();
+
+    /**
+     * @returns {Object} Models of the given type keyed by their identifiers.
+     */
+    private getIdentities(type: Function): Record<string, Model> {
+        if ( ! this.identities.has(type)) {
+            this.identities.set(type, {});
+        }
+
+        return this.identities.get(type) as Record<string, Model>;
+    }
+
+    /**
+     * Indexes a model by its identifier, or defers it until it has one, eg.
+     * a new model that is only assigned an identifier when it is created.
+     */
+    private index(model: Model): void {
+        if (model.isNew()) {
+            this.pending[model._uid] = model;
+            return;
+        }
+
+        delete this.pending[model._uid];
+        this.getIdentities(model.constructor)[model.identifier()] = model;
+    }
+
+    /**
+     * Removes a model from the index.
+     */
+    private unindex(model: Model): void {
+        let identities: Record<string, Model> = this.getIdentities(model.constructor);
+
+        delete this.pending[model._uid];
+
+        if ( ! model.isNew() && identities[model.identifier()] === model) {
+            delete identities[model.identifier()];
+        }
+    }
+
+    /**
+     * @returns {Model|undefined} The retained model of the given type and
+     *                            identifier, if there is one.
+     */
+    find(type: typeof Model, identifier: any): Model | undefined {
+        if (isNil(identifier)) {
+            return;
+        }
+
+        // Models that have since been assigned an identifier can be indexed now.
+        each(this.pending, (model): void => {
+            if ( ! model.isNew()) {
+                this.index(model);
+            }
+        });
+
+        return get(this.getIdentities(type), identifier);
+    }
+
+    /**
+     * Resolves the instance that should be used for the given model. If an
+     * instance with the same identity is already retained, the attributes are
+     * patched into that instance, which is returned instead. Attributes that
+     * are not given, and unsaved changes to them, are left as they are.
+     *
+     * @param {Model}  model
+     * @param {Object} [attributes] The attributes to patch, which defaults to
+     *                              the attributes of the given model.
+     *
+     * @returns {Model}
+     */
+    resolve(model: Model, attributes: Record<string, any> = model.attributes): Model {
+        let existing: Model | undefined = this.find(model.constructor as typeof Model, model.identifier());
+
+        if ( ! existing || existing === model) {
+            return model;
+        }
+
+        existing.patch(attributes);
+        return existing;
+    }
+
+    /**
+     * Adds a reference to a model, adding it to the store if necessary.
+     */
+    retain(model: Model): void {
+        let count: number = get(this.counts, model._uid, 0);
+
+        if (count === 0) {
+            this.models[model._uid] = model;
+            this.index(model);
+        }
+
+        this.counts[model._uid] = count + 1;
+    }
+
+    /**
+     * Removes a reference to a model, removing it from the store if it's no
+     * longer referenced.
+     */
+    release(model: Model): void {
+        if ( ! this.has(model)) {
+            return;
+        }
+
+        if (--this.counts[model._uid] > 0) {
+            return;
+        }
+
+        this.unindex(model);
+
+        delete this.models[model._uid];
+        delete this.counts[model._uid];
+    }
+
+    /**
+     * @returns {boolean} Whether the given model is retained by this store.
+     */
+    has(model: Model): boolean {
+        return has(this.counts, model._uid);
+    }
+
+    /**
+     * @returns {number} The number of references to the given model.
+     */
+    count(model: Model): number {
+        return get(this.counts, model._uid, 0);
+    }
+
+    /**
+     * @returns {number} The number of models in this store.
+     */
+    size(): number {
+        return size(this.models);
+    }
+
+    /**
+     * Removes all models from this store.
+     */
+    clear(): void {
+        this.models = {};
+        this.counts = {};
+        this.pending = {};
+        this.identities.clear();
+    }
+}
+
+export default Store;
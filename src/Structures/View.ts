@@ -0,0 +1,258 @@
+import Vue from 'vue';
+
+import each from 'lodash/each';
+import filter from 'lodash/filter';
+import first from 'lodash/first';
+import has from 'lodash/has';
+import indexOf from 'lodash/indexOf';
+import isNil from 'lodash/isNil';
+import iteratee from 'lodash/iteratee';
+import last from 'lodash/last';
+import map from 'lodash/map';
+import sortBy from 'lodash/sortBy';
+import sortedLastIndexBy from 'lodash/sortedLastIndexBy';
+
+import Collection, {Predicate} from './Collection';
+import Model from './Model';
+import {Listener} from './Base';
+
+/**
+ * A read-only, reactive view of the models of a collection that match a
+ * filter, in the order of a sort. Views are updated incrementally when models
+ * are added to, removed from, changed or replaced in the collection, so they
+ * don't have to be recomputed in full. Model instances are shared with the collection.
+ */
+class View {
+    readonly models!: Model[];
+
+    private readonly source: Collection;
+    private predicate: ((model: Model) => boolean) | null = null;
+    private comparator: ((model: Model) => any) | null = null;
+    private included: Record<string, boolean> = {};     // Included models by uid.
+    private listeners: Record<string, Listener>;
+
+    /**
+     * @param {Collection} source
+     * @param {Object}     [options] `filter` and `sort` of the view.
+     */
+    constructor(source: Collection, options: ViewOptions = {}) {
+        this.source = source;
+
+        Vue.set(this, 'models', []);
+
+        this.listeners = {
+            add:     ({model}): void => this.onAdd(model),
+            remove:  ({model}): void => this.onRemove(model),
+            change:  ({model}): void => this.onChange(model),
+            replace: ({model}): void => this.onChange(model),
+            sort:    (): void => this.onSort(),
+        };
+
+        each(this.listeners, (listener, event): void => {
+            source.on(event, listener);
+        });
+
+        this.predicate  = isNil(options.filter) ? null : iteratee(options.filter);
+        this.comparator = isNil(options.sort)   ? null : iteratee(options.sort);
+
+        this.refresh();
+    }
+
+    /**
+     * Accessor to support Array.length semantics.
+     */
+    get length(): number {
+        return this.models.length;
+    }
+
+    /**
+     * @returns {Collection} The collection that this is a view of.
+     */
+    getSource(): Collection {
+        return this.source;
+    }
+
+    /**
+     * Sets the filter of this view, or removes it if `null` or `undefined`.
+     *
+     * @param {function|Object|string} [predicate] Receives `model`.
+     *
+     * @returns {View} This view.
+     */
+    setFilter(predicate?: Predicate | null): this {
+        this.predicate = isNil(predicate) ? null : iteratee(predicate);
+        this.refresh();
+
+        return this;
+    }
+
+    /**
+     * Sets the sort of this view, or removes it if `null` or `undefined` so
+     * that models are in the order of the collection.
+     *
+     * @param {function|string} [comparator] Receives `model`, see `Collection.sort`.
+     *
+     * @returns {View} This view.
+     */
+    setSort(comparator?: ((model: Model) => any) | string | null): this {
+        this.comparator = isNil(comparator) ? null : iteratee(comparator);
+        this.refresh();
+
+        return this;
+    }
+
+    /**
+     * Recomputes all models of this view.
+     */
+    refresh(): void {
+        let models: Model[] = this.predicate
+            ? filter(this.source.models, this.predicate)
+            : [...this.source.models];
+
+        if (this.comparator) {
+            models = sortBy(models, this.comparator);
+        }
+
+        this.included = {};
+
+        each(models, (model): void => {
+            this.included[model._uid] = true;
+        });
+
+        Vue.set(this, 'models', models);
+    }
+
+    /**
+     * Stops updating this view when the collection changes.
+     */
+    destroy(): void {
+        each(this.listeners, (listener, event): void => {
+            this.source.off(event, listener);
+        });
+    }
+
+    /**
+     * @returns {boolean} Whether the given model is in this view.
+     */
+    has(model: Model): boolean {
+        return has(this.included, model._uid);
+    }
+
+    /**
+     * @returns {number} The index of the given model, or -1 if not in this view.
+     */
+    indexOf(model: Model): number {
+        return this.has(model) ? indexOf(this.models, model) : -1;
+    }
+
+    /**
+     * @returns {number} The number of models in this view.
+     */
+    size(): number {
+        return this.models.length;
+    }
+
+    /**
+     * @returns {Model|undefined} The first model of this view.
+     */
+    first(): Model | undefined {
+        return first(this.models);
+    }
+
+    /**
+     * @returns {Model|undefined} The last model of this view.
+     */
+    last(): Model | undefined {
+        return last(this.models);
+    }
+
+    /**
+     * @returns {Array} The result of calling the callback on each model.
+     */
+    map<T = Model>(callback: string | ((model: Model) => T)): T[] {
+        return map<Model, T>(this.models, callback as _.ArrayIterator<Model, T>);
+    }
+
+    /**
+     * @returns {Array} The models of this view converted to JSON.
+     */
+    toArray(): Record<string, any>[] {
+        return this.map((model): Record<string, any> => model.toJSON());
+    }
+
+    /**
+     * @returns {boolean} Whether the given model should be in this view.
+     */
+    private matches(model: Model): boolean {
+        return this.predicate ? !! this.predicate(model) : true;
+    }
+
+    /**
+     * Inserts a model at its position in this view.
+     */
+    private insert(model: Model): void {
+        let index: number;
+
+        if (this.comparator) {
+            index = sortedLastIndexBy(this.models, model, this.comparator);
+
+        // Models are usually added to the end of the collection, but might
+        // be inserted anywhere, eg. when a removal is undone.
+        } else if (last(this.source.models) === model) {
+            index = this.models.length;
+
+        } else {
+            this.refresh();
+            return;
+        }
+
+        this.models.splice(index, 0, model);
+        this.included[model._uid] = true;
+    }
+
+    /**
+     * Removes a model from this view.
+     */
+    private remove(model: Model): void {
+        this.models.splice(indexOf(this.models, model), 1);
+        delete this.included[model._uid];
+    }
+
+    private onAdd(model: Model): void {
+        if ( ! this.has(model) && this.matches(model)) {
+            this.insert(model);
+        }
+    }
+
+    private onRemove(model: Model): void {
+        if (this.has(model)) {
+            this.remove(model);
+        }
+    }
+
+    private onChange(model: Model): void {
+        let included: boolean = this.has(model);
+
+        // A change might affect the position of the model, so it's moved.
+        if (included && (this.comparator || ! this.matches(model))) {
+            this.remove(model);
+        }
+
+        if (this.matches(model) && (this.comparator || ! included)) {
+            this.insert(model);
+        }
+    }
+
+    private onSort(): void {
+        if ( ! this.comparator) {
+            this.refresh();
+        }
+    }
+}
+
+export default View;
+
+export interface ViewOptions {
+    filter?: Predicate | null;
+    sort?: ((model: Model) => any) | string | null;
+}
@@ -7,17 +7,34 @@
  */
 import Model      from './Structures/Model'
 import Collection from './Structures/Collection'
+import Store      from './Structures/Store'
+import View       from './Structures/View'
+import Index      from './Structures/Index'
+import Grouping   from './Structures/Grouping'
 
-export { Model, Collection }
+export { Model, Collection, Store, View, Index, Grouping }
 
-export {Mutation, AttributesValidationErrors, ValidationResultError, ValidationResult, ValidationTask} from './Structures/Model';
-export {Predicate} from './Structures/Collection';
+export {Mutation, MergeStrategy, MergeConflict, Change, Conflict, ComputedAttribute, ComputedGetter, AttributesValidationErrors, ValidationResultError, ValidationResult, ValidationTask} from './Structures/Model';
+export {Changeset, ChangesetFormat, ChangesetRequest, FetchStrategy, IndexOptions, Order, PaginationState, Predicate} from './Structures/Collection';
+export * from './Structures/Pagination';
+export {ViewOptions} from './Structures/View';
+export {GroupingOptions, MoveOptions} from './Structures/Grouping';
+export * from './Structures/Relation';
 export * from './HTTP/Response';
 export * from './HTTP/BaseResponse';
 export * from './HTTP/ProxyResponse';
 export * from './HTTP/Request';
+export * from './HTTP/Patch';
+export * from './HTTP/Query';
+export * from './HTTP/Transport';
+export * from './HTTP/Middleware';
+export * from './Errors/CancelledError';
 export * from './Errors/ResponseError';
 export * from './Errors/RequestError';
 export * from './Errors/ValidationError';
+export * from './Errors/ConflictError';
+export * from './Errors/UniqueIndexError';
+export {Cast, CastDefinition, CastFactory, CastOptions, registerCast, resolveCast} from './Casts';
+export * from './Config';
 export * from './Validation';
 export * from './Validation/locale';
@@ -0,0 +1,148 @@
+import {assert, expect} from 'chai'
+import * as _ from 'lodash';
+import * as $ from '../../src/Casts/index'
+
+/**
+ * Expects each [input, output] pair to be cast as given.
+ */
+const casts = (cast, pairs) => {
+    _.each(pairs, ([input, output]) => {
+        expect(cast.cast(input), `"${input}"`).to.deep.equal(output);
+    });
+}
+
+/**
+ * Expects each [input, output] pair to be serialized as given.
+ */
+const serializes = (cast, pairs) => {
+    _.each(pairs, ([input, output]) => {
+        expect(cast.serialize(input), `"${input}"`).to.deep.equal(output);
+    });
+}
+
+describe('Casts', () => {
+
+    describe('integer', () => {
+        it('should cast numeric values to integers', () => {
+            casts($.integer(), [['5', 5], [5.7, 5], ['-3.2', -3], ['', null], [null, null]]);
+        })
+
+        it('should leave values that are not numeric as they are', () => {
+            casts($.integer(), [['abc', 'abc']]);
+        })
+    })
+
+    describe('float', () => {
+        it('should cast numeric values to numbers', () => {
+            casts($.float(), [['5.5', 5.5], [2, 2], ['', null]]);
+        })
+    })
+
+    describe('boolean', () => {
+        it('should cast common representations to booleans', () => {
+            casts($.boolean(), [
+                ['1', true], ['true', true], ['on', true], [1, true], [true, true],
+                ['0', false], ['false', false], ['off', false], ['', false], [0, false],
+                [null, null],
+            ]);
+        })
+    })
+
+    describe('date', () => {
+        it('should cast ISO 8601 strings to dates', () => {
+            let date = $.date().cast('2019-02-03');
+
+            expect(date).to.be.an.instanceof(Date);
+            expect(date.getFullYear()).to.equal(2019);
+            expect(date.getMonth()).to.equal(1);
+            expect(date.getDate()).to.equal(3);
+        })
+
+        it('should serialize dates without a time', () => {
+            serializes($.date(), [[new Date(2019, 1, 3, 12), '2019-02-03'], ['2019-02-03', '2019-02-03'], [null, null]]);
+        })
+
+        it('should leave invalid dates as they are', () => {
+            casts($.date(), [['abc', 'abc'], ['', null]]);
+        })
+    })
+
+    describe('datetime', () => {
+        it('should cast ISO 8601 strings to dates', () => {
+            let date = $.datetime().cast('2019-02-03T04:05:06.000Z');
+
+            expect(date).to.be.an.instanceof(Date);
+            expect(date.getTime()).to.equal(Date.UTC(2019, 1, 3, 4, 5, 6));
+        })
+
+        it('should serialize dates as ISO 8601 strings', () => {
+            serializes($.datetime(), [[new Date(Date.UTC(2019, 1, 3, 4, 5, 6)), '2019-02-03T04:05:06.000Z']]);
+        })
+    })
+
+    describe('decimal', () => {
+        it('should cast numeric values to fixed precision strings', () => {
+            casts($.decimal(), [[1, '1.00'], ['1.005', '1.00'], ['2.5', '2.50']]);
+            casts($.decimal(3), [[1, '1.000']]);
+        })
+    })
+
+    describe('json', () => {
+        it('should decode JSON strings', () => {
+            casts($.json(), [['{"a":1}', {a: 1}], ['[1,2]', [1, 2]], ['{', '{'], [{a: 1}, {a: 1}]]);
+        })
+
+        it('should encode values as JSON', () => {
+            serializes($.json(), [[{a: 1}, '{"a":1}'], [null, null]]);
+        })
+    })
+
+    describe('enumeration', () => {
+        it('should cast values to their matching allowed value', () => {
+            casts($.enumeration([1, 2, 'a']), [['1', 1], [2, 2], ['a', 'a'], ['b', 'b']]);
+        })
+    })
+
+    describe('arrayOf', () => {
+        it('should cast each element', () => {
+            casts($.arrayOf('integer'), [[['1', '2'], [1, 2]], ['3', [3]], [null, null]]);
+        })
+
+        it('should serialize each element', () => {
+            serializes($.arrayOf('date'), [[[new Date(2019, 0, 1)], ['2019-01-01']]]);
+        })
+    })
+
+    describe('resolveCast', () => {
+        it('should resolve type names', () => {
+            casts($.resolveCast('integer'), [['1', 1]]);
+        })
+
+        it('should resolve type names with arguments', () => {
+            casts($.resolveCast('decimal:1'), [[1, '1.0']]);
+            casts($.resolveCast('array:float'), [[['1.5'], [1.5]]]);
+            casts($.resolveCast('enum:a,b'), [['a', 'a']]);
+        })
+
+        it('should resolve objects of options', () => {
+            casts($.resolveCast({type: 'enum', values: [1, 2]}), [['2', 2]]);
+            casts($.resolveCast({type: 'array', of: 'boolean'}), [[['1', '0'], [true, false]]]);
+        })
+
+        it('should return custom casts as they are', () => {
+            let cast = {cast: _.toUpper, serialize: _.toLower};
+            expect($.resolveCast(cast)).to.equal(cast);
+        })
+
+        it('should throw for an unknown type', () => {
+            expect(() => $.resolveCast('unknown')).to.throw("Unknown cast type 'unknown'");
+        })
+    })
+
+    describe('registerCast', () => {
+        it('should register a custom cast type', () => {
+            $.registerCast('upper', () => ({cast: _.toUpper, serialize: _.identity}));
+            casts($.resolveCast('upper'), [['abc', 'ABC']]);
+        })
+    })
+})
@@ -0,0 +1,196 @@
+import {expect} from 'chai'
+import {Collection, Model} from '../../src/index'
+import {configure, getConfig, getEnvironment, joinURL, resetConfig, setEnvironment} from '../../src/Config/index'
+import {messages} from '../../src/Validation/index'
+
+describe('Config', () => {
+
+    afterEach(() => {
+        resetConfig();
+    })
+
+    let Task = class extends Model {
+        routes() { return {fetch: '/tasks/{id}', save: 'tasks'}}
+    }
+
+    // Transport that records each request and responds with the given data.
+    let transport = (data = {}) => {
+        let send = (config) => {
+            send.calls.push(config);
+            return Promise.resolve({status: 200, data, headers: {}});
+        };
+
+        send.calls = [];
+        return send;
+    }
+
+    describe('joinURL', () => {
+        it('should join a URL onto a base URL with a single slash', () => {
+            expect(joinURL('/api', 'tasks')).to.equal('/api/tasks');
+            expect(joinURL('/api/', '/tasks')).to.equal('/api/tasks');
+            expect(joinURL('https://example.com/v1//', '/tasks')).to.equal('https://example.com/v1/tasks');
+            expect(joinURL('https://example.com', 'tasks?page=2')).to.equal('https://example.com/tasks?page=2');
+        })
+
+        it('should not change absolute URLs', () => {
+            expect(joinURL('/api', 'https://example.com/tasks')).to.equal('https://example.com/tasks');
+            expect(joinURL('/api', '//example.com/tasks')).to.equal('//example.com/tasks');
+        })
+
+        it('should return the URL if there is no base URL', () => {
+            expect(joinURL(null, '/tasks')).to.equal('/tasks');
+            expect(joinURL('', '/tasks')).to.equal('/tasks');
+        })
+
+        it('should return the base URL if there is no URL', () => {
+            expect(joinURL('/api', '')).to.equal('/api');
+        })
+    })
+
+    describe('configure', () => {
+        it('should replace previously configured values', () => {
+            configure({baseURL: '/api', headers: {a: 1}});
+            configure({headers: {b: 2}});
+
+            expect(getConfig()).to.deep.equal({baseURL: '/api', headers: {b: 2}});
+        })
+
+        it('should be used as the default options of models and collections', () => {
+            let send = transport();
+
+            configure({validationErrorStatus: 400, methods: {create: 'PUT'}, transport: send, history: true});
+
+            let task = new Task();
+            let tasks = new Collection();
+
+            expect(task.getValidationErrorStatus()).to.equal(400);
+            expect(task.getCreateMethod()).to.equal('PUT');
+            expect(task.getFetchMethod()).to.equal('GET');
+            expect(task.getTransport()).to.equal(send);
+            expect(task.getOption('history')).to.equal(true);
+            expect(tasks.getValidationErrorStatus()).to.equal(400);
+        })
+
+        it('should take precedence over the default options of models and collections', () => {
+            configure({useFirstErrorOnly: true, identifier: 'uuid', pageSize: 50});
+
+            let task = new Task();
+            let tasks = new Collection();
+
+            expect(task.getOption('useFirstErrorOnly')).to.equal(true);
+            expect(task.getOption('identifier')).to.equal('uuid');
+            expect(tasks.getOption('pageSize')).to.equal(50);
+        })
+
+        it('should not take precedence over the options of a class or instance', () => {
+            configure({baseURL: '/api', validationErrorStatus: 400});
+
+            let T = class extends Task {
+                options() { return {validationErrorStatus: 409}}
+            }
+
+            expect(new T().getValidationErrorStatus()).to.equal(409);
+            expect(new T({}, null, {baseURL: '/v2'}).getBaseURL()).to.equal('/v2');
+        })
+
+        it('should not change existing instances', () => {
+            let task = new Task();
+
+            configure({baseURL: '/api'});
+
+            expect(task.getBaseURL()).to.equal(null);
+            expect(new Task().getBaseURL()).to.equal('/api');
+        })
+
+        it('should send the configured headers', () => {
+            let send = transport({id: 1});
+
+            configure({headers: {'X-Requested-With': 'XMLHttpRequest'}, transport: send});
+
+            return new Task({id: 1}).fetch().then(() => {
+                expect(send.calls[0].headers).to.deep.equal({'X-Requested-With': 'XMLHttpRequest'});
+            });
+        })
+
+        it('should set the locale of validation messages', () => {
+            configure({locale: 'aa-zz'});
+
+            expect(messages.$locale).to.equal('aa-zz');
+            expect(new Task().getOption('locale')).to.equal(null);
+        })
+
+        it('should restore the locale of validation messages when reset', () => {
+            configure({locale: 'aa-zz'});
+            configure({locale: 'bb-zz'});
+            resetConfig();
+
+            expect(messages.$locale).to.equal('en-us');
+        })
+    })
+
+    describe('environments', () => {
+        beforeEach(() => {
+            configure({
+                baseURL: '/api',
+                headers: {a: 1},
+                environments: {
+                    production: {baseURL: 'https://example.com', headers: {b: 2}},
+                },
+            });
+        })
+
+        it('should use the configuration of the active environment', () => {
+            setEnvironment('production');
+
+            expect(getEnvironment()).to.equal('production');
+            expect(getConfig()).to.deep.equal({baseURL: 'https://example.com', headers: {a: 1, b: 2}});
+            expect(new Task().getBaseURL()).to.equal('https://example.com');
+        })
+
+        it('should ignore environments that are not active', () => {
+            expect(getEnvironment()).to.equal(null);
+            expect(getConfig()).to.deep.equal({baseURL: '/api', headers: {a: 1}});
+        })
+
+        it('should ignore an environment that is not configured', () => {
+            setEnvironment('staging');
+
+            expect(getConfig()).to.deep.equal({baseURL: '/api', headers: {a: 1}});
+        })
+    })
+
+    describe('getURL', () => {
+        it('should join routes onto the base URL', () => {
+            configure({baseURL: 'https://example.com/api/'});
+
+            let task = new Task({id: 1});
+
+            expect(task.getFetchURL()).to.equal('https://example.com/api/tasks/1');
+            expect(task.getSaveURL()).to.equal('https://example.com/api/tasks');
+        })
+
+        it('should send requests to the joined URL', () => {
+            let send = transport({id: 1});
+
+            configure({baseURL: '/api', transport: send});
+
+            return new Task({id: 1}).fetch().then(() => {
+                expect(send.calls[0].url).to.equal('/api/tasks/1');
+            });
+        })
+
+        it('should not change absolute routes', () => {
+            configure({baseURL: '/api'});
+
+            let T = class extends Model {
+                routes() { return {fetch: 'https://example.com/tasks/{id}'}}
+            }
+
+            expect(new T({id: 1}).getFetchURL()).to.equal('https://example.com/tasks/1');
+        })
+
+        it('should not change routes if there is no base URL', () => {
+            expect(new Task({id: 1}).getFetchURL()).to.equal('/tasks/1');
+        })
+    })
+})
@@ -0,0 +1,15 @@
+import {assert, expect} from 'chai'
+import CancelledError from '../../src/Errors/CancelledError'
+
+describe('CancelledError', () => {
+
+    describe('toString', () => {
+        it('should use the message as the string representation', () => {
+            expect((new CancelledError()) + '').to.equal('Request was cancelled');
+        })
+
+        it('should use a given message', () => {
+            expect((new CancelledError('Superseded')) + '').to.equal('Superseded');
+        })
+    })
+})
@@ -0,0 +1,31 @@
+import {assert, expect} from 'chai'
+import ConflictError from '../../src/Errors/ConflictError'
+import RequestError from '../../src/Errors/RequestError'
+import Response from '../../src/HTTP/Response'
+
+describe('ConflictError', () => {
+    it('should be a request error', () => {
+        let error    = new Error("test");
+        let response = new Response({status: 409});
+
+        expect(new ConflictError(error, response)).to.be.an.instanceOf(RequestError);
+    })
+
+    describe('getResponse', () => {
+        it('should return response', () => {
+            let error    = new Error("test");
+            let response = new Response({status: 409});
+
+            expect((new ConflictError(error, response)).getResponse()).to.equal(response);
+        })
+    })
+
+    describe('toString', () => {
+        it('should use the message as the string representation', () => {
+            let error    = new Error("test");
+            let response = new Response({status: 412});
+
+            expect(new ConflictError(error, response) + '').to.equal('test');
+        })
+    })
+})
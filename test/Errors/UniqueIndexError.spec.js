@@ -0,0 +1,28 @@
+import {assert, expect} from 'chai'
+import UniqueIndexError from '../../src/Errors/UniqueIndexError'
+import Model from '../../src/Structures/Model'
+
+describe('UniqueIndexError', () => {
+
+    describe('getModel', () => {
+        it('should return the model that could not be added', () => {
+            let model = new Model({email: 'a@example.com'});
+
+            expect((new UniqueIndexError('email', 'a@example.com', model, new Model())).getModel()).to.equal(model);
+        })
+    })
+
+    describe('getExisting', () => {
+        it('should return the model that already has the value', () => {
+            let existing = new Model({email: 'a@example.com'});
+
+            expect((new UniqueIndexError('email', 'a@example.com', new Model(), existing)).getExisting()).to.equal(existing);
+        })
+    })
+
+    describe('toString', () => {
+        it('should use the message as the string representation', () => {
+            expect((new UniqueIndexError('email', 'a', new Model(), new Model())) + '').to.equal("Attribute 'email' must be unique");
+        })
+    })
+})
@@ -0,0 +1,240 @@
+import {assert, expect} from 'chai'
+import {Collection, Model} from '../../src/index'
+import {compose, getGlobalMiddleware, registerMiddleware, unregisterMiddleware} from '../../src/HTTP/Middleware'
+import Response from '../../src/HTTP/Response'
+import RequestError from '../../src/Errors/RequestError'
+
+describe('Middleware', () => {
+
+    // Transport that responds with the given responses in order, and rejects
+    // like axios when the status is not successful.
+    let transport = (...responses) => {
+        let send = (config) => {
+            let response = {headers: {}, ...responses[send.calls.length]};
+
+            send.calls.push(config);
+
+            if (response.status >= 200 && response.status < 300) {
+                return Promise.resolve(response);
+            }
+
+            return Promise.reject(Object.assign(new Error('Request failed'), {response}));
+        };
+
+        send.calls = [];
+        return send;
+    }
+
+    let Task = class extends Model {
+        defaults() { return {id: null, name: null}}
+        routes()   { return {fetch: '/tasks/{id}', save: '/tasks'}}
+    }
+
+    describe('compose', () => {
+        it('should call each middleware in order before sending', () => {
+            let calls = [];
+
+            let first  = (config, next) => { calls.push('first');  return next(config) };
+            let second = (config, next) => { calls.push('second'); return next(config) };
+
+            let send = () => {
+                calls.push('send');
+                return Promise.resolve(new Response({status: 200}));
+            };
+
+            return compose([first, second], send)({url: '/tasks'}).then((response) => {
+                expect(calls).to.deep.equal(['first', 'second', 'send']);
+                expect(response.getStatus()).to.equal(200);
+            });
+        })
+
+        it('should send directly when there is no middleware', () => {
+            let send = (config) => Promise.resolve(new Response({status: 200, data: config.url}));
+
+            return compose([], send)({url: '/tasks'}).then((response) => {
+                expect(response.getData()).to.equal('/tasks');
+            });
+        })
+    })
+
+    describe('middleware', () => {
+        it('should be able to change the configuration', () => {
+            let send = transport({status: 200, data: {id: 1}});
+
+            let T = class extends Task {
+                middleware() {
+                    return [
+                        (config, next) => next({...config, headers: {...config.headers, 'X-Tenant': 'acme'}}),
+                    ];
+                }
+            }
+
+            return new T({id: 1}, null, {transport: send}).fetch().then(() => {
+                expect(send.calls[0].url).to.equal('/tasks/1');
+                expect(send.calls[0].headers['X-Tenant']).to.equal('acme');
+            });
+        })
+
+        it('should be able to respond without sending the request', () => {
+            let send = transport();
+
+            let T = class extends Task {
+                middleware() {
+                    return [
+                        () => Promise.resolve(new Response({status: 200, data: {id: 1, name: 'Cached'}})),
+                    ];
+                }
+            }
+
+            let task = new T({id: 1}, null, {transport: send});
+
+            return task.fetch().then(() => {
+                expect(send.calls.length).to.equal(0);
+                expect(task.name).to.equal('Cached');
+            });
+        })
+
+        it('should be able to change the response', () => {
+            let send = transport({status: 200, data: {data: [{id: 1}, {id: 2}], meta: {total: 2}}});
+
+            let Tasks = class extends Collection {
+                model()  { return Task }
+                routes() { return {fetch: '/tasks'}}
+
+                middleware() {
+                    return [
+                        (config, next) => next(config).then((response) => {
+                            return new Response({...response.response, data: response.getData().data});
+                        }),
+                    ];
+                }
+            }
+
+            let tasks = new Tasks([], {transport: send});
+
+            return tasks.fetch().then(() => {
+                expect(tasks.models.map((task) => task.id)).to.deep.equal([1, 2]);
+            });
+        })
+
+        it('should be able to handle an error and try again', () => {
+            let send = transport({status: 401}, {status: 200, data: {id: 1, name: 'Fred'}});
+            let token = 'expired';
+
+            let T = class extends Task {
+                middleware() {
+                    return [
+                        (config, next) => next({...config, headers: {Authorization: token}}).catch((error) => {
+                            if (error.getResponse().getStatus() !== 401) {
+                                throw error;
+                            }
+
+                            token = 'refreshed';
+                            return next({...config, headers: {Authorization: token}});
+                        }),
+                    ];
+                }
+            }
+
+            let task = new T({id: 1}, null, {transport: send});
+
+            return task.fetch().then(() => {
+                expect(send.calls.map((config) => config.headers.Authorization)).to.deep.equal(['expired', 'refreshed']);
+                expect(task.name).to.equal('Fred');
+            });
+        })
+
+        it('should receive request errors from the transport', () => {
+            let send = transport({status: 500});
+            let errors = [];
+
+            let T = class extends Task {
+                middleware() {
+                    return [
+                        (config, next) => next(config).catch((error) => {
+                            errors.push(error);
+                            throw error;
+                        }),
+                    ];
+                }
+            }
+
+            return new T({id: 1}, null, {transport: send}).fetch().then(() => {
+                assert.fail();
+            }).catch((error) => {
+                expect(errors.length).to.equal(1);
+                expect(errors[0]).to.be.instanceof(RequestError);
+                expect(error).to.equal(errors[0]);
+            });
+        })
+
+        it('should be called for each retry', () => {
+            let send = transport({status: 503}, {status: 200, data: {id: 1}});
+            let calls = 0;
+
+            let T = class extends Task {
+                middleware() {
+                    return [(config, next) => { calls++; return next(config) }];
+                }
+            }
+
+            let task = new T({id: 1}, null, {transport: send, retry: {attempts: 2, delay: 1, jitter: false}});
+
+            return task.fetch().then(() => {
+                expect(calls).to.equal(2);
+            });
+        })
+    })
+
+    describe('global middleware', () => {
+        let calls;
+
+        let global = (config, next) => { calls.push('global'); return next(config) };
+
+        beforeEach(() => {
+            calls = [];
+            registerMiddleware(global);
+        })
+
+        afterEach(() => {
+            unregisterMiddleware(global);
+        })
+
+        it('should be called before the middleware of a class', () => {
+            let T = class extends Task {
+                middleware() {
+                    return [(config, next) => { calls.push('class'); return next(config) }];
+                }
+            }
+
+            return new T({id: 1}, null, {transport: transport({status: 200, data: {id: 1}})}).fetch().then(() => {
+                expect(calls).to.deep.equal(['global', 'class']);
+            });
+        })
+
+        it('should be used by all models and collections', () => {
+            let Tasks = class extends Collection {
+                model()  { return Task }
+                routes() { return {fetch: '/tasks'}}
+            }
+
+            let send = transport({status: 200, data: {id: 1}}, {status: 200, data: []});
+
+            return new Task({id: 1}, null, {transport: send}).fetch()
+                .then(() => new Tasks([], {transport: send}).fetch())
+                .then(() => {
+                    expect(calls).to.deep.equal(['global', 'global']);
+                });
+        })
+
+        it('should not be called after it was unregistered', () => {
+            unregisterMiddleware(global);
+
+            expect(getGlobalMiddleware()).to.deep.equal([]);
+
+            return new Task({id: 1}, null, {transport: transport({status: 200, data: {id: 1}})}).fetch().then(() => {
+                expect(calls).to.deep.equal([]);
+            });
+        })
+    })
+})
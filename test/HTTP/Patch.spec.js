@@ -0,0 +1,56 @@
+import {assert, expect} from 'chai'
+import {createJsonPatch, createMergePatch} from '../../src/HTTP/Patch'
+
+describe('Patch', () => {
+
+    describe('createJsonPatch', () => {
+        it('should return no operations if nothing has changed', () => {
+            expect(createJsonPatch({a: 1, b: {c: 2}}, {a: 1, b: {c: 2}})).to.deep.equal([]);
+        })
+
+        it('should add, remove and replace values', () => {
+            expect(createJsonPatch({a: 1, b: 2}, {b: 3, c: 4})).to.deep.equal([
+                {op: 'remove', path: '/a'},
+                {op: 'replace', path: '/b', value: 3},
+                {op: 'add', path: '/c', value: 4},
+            ]);
+        })
+
+        it('should descend into nested objects', () => {
+            expect(createJsonPatch({a: {b: 1, c: 2}}, {a: {b: 1, c: 3, d: 4}})).to.deep.equal([
+                {op: 'replace', path: '/a/c', value: 3},
+                {op: 'add', path: '/a/d', value: 4},
+            ]);
+        })
+
+        it('should replace arrays', () => {
+            expect(createJsonPatch({a: [1, 2]}, {a: [1, 3]})).to.deep.equal([
+                {op: 'replace', path: '/a', value: [1, 3]},
+            ]);
+        })
+
+        it('should escape keys', () => {
+            expect(createJsonPatch({}, {'a/b~c': 1})).to.deep.equal([
+                {op: 'add', path: '/a~1b~0c', value: 1},
+            ]);
+        })
+    })
+
+    describe('createMergePatch', () => {
+        it('should return an empty document if nothing has changed', () => {
+            expect(createMergePatch({a: 1, b: {c: 2}}, {a: 1, b: {c: 2}})).to.deep.equal({});
+        })
+
+        it('should include changed and added values, and remove values with null', () => {
+            expect(createMergePatch({a: 1, b: 2}, {b: 3, c: 4})).to.deep.equal({a: null, b: 3, c: 4});
+        })
+
+        it('should descend into nested objects', () => {
+            expect(createMergePatch({a: {b: 1, c: 2}, d: {e: 1}}, {a: {b: 1}, d: {e: 1}})).to.deep.equal({a: {c: null}});
+        })
+
+        it('should replace arrays', () => {
+            expect(createMergePatch({a: [1, 2]}, {a: [1]})).to.deep.equal({a: [1]});
+        })
+    })
+})
@@ -0,0 +1,121 @@
+import {assert, expect} from 'chai'
+import {QueryBuilder, createQuery, serializeQuery} from '../../src/HTTP/Query'
+
+describe('Query', () => {
+    let query = () => {
+        let query = createQuery();
+
+        new QueryBuilder(query, () => {})
+            .where({status: ['open', 'closed'], user: 5})
+            .orderBy('name')
+            .orderBy('created_at', 'DESC')
+            .search('fred')
+            .include('user', 'tags')
+            .limit(10);
+
+        return query;
+    }
+
+    describe('QueryBuilder', () => {
+        it('should call back on every change', () => {
+            let changes = 0;
+
+            new QueryBuilder(createQuery(), () => changes++).where('a', 1).orderBy('b').clear();
+
+            expect(changes).to.equal(3);
+        })
+
+        it('should remove a filter that is nil', () => {
+            let q = query();
+
+            new QueryBuilder(q, () => {}).where('user', null);
+
+            expect(q.where).to.deep.equal({status: ['open', 'closed']});
+        })
+
+        it('should move an attribute that is ordered again to the end', () => {
+            let q = query();
+
+            new QueryBuilder(q, () => {}).orderBy('name', 'desc');
+
+            expect(q.orderBy).to.deep.equal([
+                {attribute: 'created_at', direction: 'desc'},
+                {attribute: 'name', direction: 'desc'},
+            ]);
+        })
+
+        it('should remove an empty search', () => {
+            let q = query();
+
+            new QueryBuilder(q, () => {}).search('');
+
+            expect(q.search).to.equal(null);
+        })
+
+        it('should not include a relation twice', () => {
+            let q = query();
+
+            new QueryBuilder(q, () => {}).include('user');
+
+            expect(q.include).to.deep.equal(['user', 'tags']);
+        })
+
+        it('should clear all criteria', () => {
+            let q = query();
+
+            new QueryBuilder(q, () => {}).clear();
+
+            expect(q).to.deep.equal(createQuery());
+        })
+    })
+
+    describe('serializeQuery', () => {
+        it('should serialize to flat parameters', () => {
+            expect(serializeQuery(query(), 'flat')).to.deep.equal({
+                status: 'open,closed',
+                user: 5,
+                sort: 'name,-created_at',
+                q: 'fred',
+                include: 'user,tags',
+                limit: 10,
+            });
+        })
+
+        it('should serialize to bracketed parameters', () => {
+            expect(serializeQuery(query(), 'brackets')).to.deep.equal({
+                'filter[status]': ['open', 'closed'],
+                'filter[user]': 5,
+                'sort[name]': 'asc',
+                'sort[created_at]': 'desc',
+                q: 'fred',
+                include: ['user', 'tags'],
+                limit: 10,
+            });
+        })
+
+        it('should serialize to JSON:API parameters', () => {
+            expect(serializeQuery(query(), 'json-api')).to.deep.equal({
+                'filter[status]': 'open,closed',
+                'filter[user]': 5,
+                'filter[search]': 'fred',
+                sort: 'name,-created_at',
+                include: 'user,tags',
+                'page[size]': 10,
+            });
+        })
+
+        it('should not add parameters for an empty query', () => {
+            expect(serializeQuery(createQuery(), 'flat')).to.deep.equal({});
+            expect(serializeQuery(createQuery(), 'brackets')).to.deep.equal({});
+            expect(serializeQuery(createQuery(), 'json-api')).to.deep.equal({});
+        })
+
+        it('should support a custom serializer', () => {
+            expect(serializeQuery(query(), (q) => ({limit: q.limit}))).to.deep.equal({limit: 10});
+        })
+
+        it('should throw for an unknown format', () => {
+            expect(() => serializeQuery(createQuery(), 'unknown')).to.throw(Error);
+        })
+    })
+})
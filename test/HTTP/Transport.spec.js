@@ -0,0 +1,234 @@
+import moxios from 'moxios'
+import axios from 'axios'
+import {assert, expect} from 'chai'
+import {Model} from '../../src/index'
+import {axiosTransport, fetchTransport, getDefaultTransport, serializeParams, setDefaultTransport} from '../../src/HTTP/Transport'
+import RequestError from '../../src/Errors/RequestError'
+
+describe('Transport', () => {
+
+    // These are not supported by older versions of Node.
+    let withFetch = typeof Response === 'undefined' ? describe.skip : describe;
+    let withAbortController = typeof AbortController === 'undefined' ? it.skip : it;
+
+    // Records each call and responds with the given status, body and headers.
+    let fakeFetch = (status, body, headers = {}) => {
+        let fetch = (url, init) => {
+            fetch.calls.push({url, init});
+
+            return Promise.resolve(new global.Response(body, {status, headers}));
+        };
+
+        fetch.calls = [];
+        return fetch;
+    }
+
+    describe('serializeParams', () => {
+        it('should serialize params like axios', () => {
+            expect(serializeParams({a: 1, b: null, c: ['x', 'y'], 'filter[d]': 'a b'})).to.equal(
+                'a=1&c%5B%5D=x&c%5B%5D=y&filter%5Bd%5D=a%20b'
+            );
+        })
+    })
+
+    withFetch('fetchTransport', () => {
+        it('should send the request with JSON data', () => {
+            let fetch = fakeFetch(200, '{"id":1}');
+
+            return fetchTransport(fetch)({url: '/tasks', method: 'post', data: {name: 'a'}, params: {page: 2}, headers: {'X-Test': 1}}).then((response) => {
+                let {url, init} = fetch.calls[0];
+
+                expect(url).to.equal('/tasks?page=2');
+                expect(init.method).to.equal('POST');
+                expect(init.body).to.equal('{"name":"a"}');
+                expect(init.headers).to.deep.equal({'X-Test': 1, 'Content-Type': 'application/json;charset=utf-8'});
+            });
+        })
+
+        it('should normalize the response', () => {
+            let fetch = fakeFetch(201, '{"id":1}', {'ETag': '"abc"'});
+
+            return fetchTransport(fetch)({url: '/tasks'}).then((response) => {
+                expect(response.status).to.equal(201);
+                expect(response.data).to.deep.equal({id: 1});
+                expect(response.headers.etag).to.equal('"abc"');
+            });
+        })
+
+        it('should resolve an empty body as an empty string', () => {
+            return fetchTransport(fakeFetch(204, null))({url: '/tasks'}).then((response) => {
+                expect(response.data).to.equal('');
+            });
+        })
+
+        it('should reject with the response if the status is not successful', () => {
+            return fetchTransport(fakeFetch(422, '{"name":["Required"]}'))({url: '/tasks'}).then(() => {
+                assert.fail();
+            }).catch((error) => {
+                expect(error.message).to.equal('Request failed with status code 422');
+                expect(error.response.status).to.equal(422);
+                expect(error.response.data).to.deep.equal({name: ['Required']});
+            });
+        })
+
+        it('should pass the signal to fetch', () => {
+            let fetch = fakeFetch(200, '');
+            let controller = new AbortController();
+
+            return fetchTransport(fetch)({url: '/tasks', signal: controller.signal}).then(() => {
+                expect(fetch.calls[0].init.signal).to.equal(controller.signal);
+            });
+        })
+
+        it('should send credentials if enabled', () => {
+            let fetch = fakeFetch(200, '');
+
+            return fetchTransport(fetch)({url: '/tasks', withCredentials: true}).then(() => {
+                expect(fetch.calls[0].init.credentials).to.equal('include');
+            });
+        })
+
+        withAbortController('should abort the request after the timeout', () => {
+            let signals = [];
+
+            // Responds only when the request is aborted, like fetch does.
+            let fetch = (url, init) => {
+                signals.push(init.signal);
+
+                return new Promise((resolve, reject) => {
+                    init.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+                });
+            };
+
+            return fetchTransport(fetch)({url: '/tasks', timeout: 10}).then(() => {
+                assert.fail();
+            }).catch((error) => {
+                expect(signals[0].aborted).to.equal(true);
+                expect(error.message).to.equal('timeout of 10ms exceeded');
+                expect(error.response).to.be.undefined;
+            });
+        })
+
+        withAbortController('should still be aborted by the signal when there is a timeout', () => {
+            let fetch = (url, init) => new Promise((resolve, reject) => {
+                init.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+            });
+
+            let controller = new AbortController();
+            let request = fetchTransport(fetch)({url: '/tasks', timeout: 1000, signal: controller.signal});
+
+            controller.abort();
+
+            return request.then(() => {
+                assert.fail();
+            }).catch((error) => {
+                expect(error.message).to.equal('The operation was aborted');
+            });
+        })
+
+        it('should reject without a response if the request could not be made', () => {
+            let fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+
+            return fetchTransport(fetch)({url: '/tasks'}).then(() => {
+                assert.fail();
+            }).catch((error) => {
+                expect(error.message).to.equal('Failed to fetch');
+                expect(error.response).to.be.undefined;
+            });
+        })
+    })
+
+    describe('axiosTransport', () => {
+        beforeEach(() => moxios.install())
+        afterEach(() => moxios.uninstall())
+
+        it('should send the request using axios', (done) => {
+            axiosTransport()({url: '/tasks', method: 'get'}).then((response) => {
+                expect(response.status).to.equal(200);
+                expect(response.data).to.deep.equal({id: 1});
+                done();
+            }).catch(done);
+
+            moxios.wait(() => {
+                moxios.requests.mostRecent().respondWith({status: 200, response: {id: 1}});
+            });
+        })
+
+        withAbortController('should cancel the request when the signal is aborted', (done) => {
+            let controller = new AbortController();
+
+            axiosTransport()({url: '/tasks', method: 'get', signal: controller.signal}).then(() => {
+                done(new Error('Request was not cancelled'));
+            }).catch((error) => {
+                expect(axios.isCancel(error)).to.equal(true);
+                done();
+            }).catch(done);
+
+            moxios.wait(() => {
+                controller.abort();
+                moxios.requests.mostRecent().respondWith({status: 200});
+            });
+        })
+
+        it('should use a given axios instance', (done) => {
+            let instance = axios.create({baseURL: 'https://example.com'});
+
+            moxios.install(instance);
+
+            axiosTransport(instance)({url: '/tasks', method: 'get'}).then(() => {
+                expect(moxios.requests.mostRecent().url).to.equal('https://example.com/tasks');
+                moxios.uninstall(instance);
+                done();
+            }).catch(done);
+
+            moxios.wait(() => {
+                moxios.requests.mostRecent().respondWith({status: 200});
+            });
+        })
+    })
+
+    withFetch('transport option', () => {
+        let Task = class extends Model {
+            routes() { return {fetch: '/tasks/{id}', save: '/tasks'}}
+        }
+
+        it('should send requests with the transport of a model', () => {
+            let fetch = fakeFetch(200, '{"id":1,"name":"a"}');
+            let task = new Task({id: 1}, null, {transport: fetchTransport(fetch)});
+
+            return task.fetch().then((response) => {
+                expect(fetch.calls[0].url).to.equal('/tasks/1');
+                expect(response.getData()).to.deep.equal({id: 1, name: 'a'});
+                expect(task.name).to.equal('a');
+            });
+        })
+
+        it('should reject with a request error that has the response', () => {
+            let fetch = fakeFetch(422, '{"name":["Required"]}');
+            let task = new Task({}, null, {transport: fetchTransport(fetch)});
+
+            return task.save().then(() => {
+                assert.fail();
+            }).catch((error) => {
+                expect(error).to.be.instanceof(RequestError);
+                expect(error.getResponse().getStatus()).to.equal(422);
+                expect(task.errors).to.deep.equal({name: ['Required']});
+            });
+        })
+
+        it('should use the default transport if not set', () => {
+            let previous = getDefaultTransport();
+            let fetch = fakeFetch(200, '{"id":1}');
+
+            setDefaultTransport(fetchTransport(fetch));
+
+            return new Task({id: 1}).fetch().then(() => {
+                setDefaultTransport(previous);
+                expect(fetch.calls.length).to.equal(1);
+            }).catch((error) => {
+                setDefaultTransport(previous);
+                throw error;
+            });
+        })
+    })
+})
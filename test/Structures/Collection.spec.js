@@ -1,6 +1,9 @@
+import Vue from 'vue'
 import moxios from 'moxios'
 import {assert, expect} from 'chai'
 import {Model, Collection} from '../../src/index'
+import UniqueIndexError from '../../src/Errors/UniqueIndexError'
+import CancelledError from '../../src/Errors/CancelledError'
 import {email, string} from '../../src/Validation/index'
 import * as _ from 'lodash';
 
@@ -2205,6 +2208,113 @@ describe('Collection', () => {
             })
         })
 
+        it('should match returned models by client id', (done) => {
+            let c = new class extends Collection {
+                routes() { return {save: '/save'}}
+                options() { return {model: class extends Model {
+                    options() { return {clientIdKey: '_cid'}}
+                }}}
+            }
+
+            let m1 = c.add({a: 1});
+            let m2 = c.add({a: 2});
+
+            moxios.withMock(() => {
+                c.save().then((response) => {
+                    let data = JSON.parse(moxios.requests.mostRecent().config.data);
+
+                    expect(data).to.deep.equal([
+                        {a: 1, _cid: m1.getClientId()},
+                        {a: 2, _cid: m2.getClientId()},
+                    ]);
+
+                    expect(m1.id).to.equal(1);
+                    expect(m1.a).to.equal(10);
+                    expect(m2.id).to.equal(2);
+                    expect(m2.a).to.equal(20);
+                    expect(m1.has('_cid')).to.equal(false);
+
+                    done();
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 200,
+                        response: [
+                            {id: 2, a: 20, _cid: m2.getClientId()},
+                            {id: 1, a: 10, _cid: m1.getClientId()},
+                        ],
+                    });
+                })
+            })
+        })
+
+        it('should only match returned models by position if they were not matched by client id', (done) => {
+            let c = new class extends Collection {
+                routes() { return {save: '/save'}}
+                options() { return {model: class extends Model {
+                    options() { return {clientIdKey: '_cid'}}
+                }}}
+            }
+
+            let m1 = c.add({a: 1});
+            let m2 = c.add({a: 2});
+
+            moxios.withMock(() => {
+                c.save().then(() => {
+                    expect(m1.id).to.equal(1);
+                    expect(m2.id).to.equal(2);
+                    expect(m1.saving).to.equal(false);
+                    expect(m2.saving).to.equal(false);
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 200,
+                        response: [
+                            {id: 2, _cid: m2.getClientId()},
+                            {id: 1},
+                        ],
+                    });
+                })
+            })
+        })
+
+        it('should accept a partial response with client ids', (done) => {
+            let c = new class extends Collection {
+                routes() { return {save: '/save'}}
+                options() { return {model: class extends Model {
+                    options() { return {clientIdKey: '_cid'}}
+                }}}
+            }
+
+            let m1 = c.add({a: 1});
+            let m2 = c.add({a: 2});
+            let m3 = c.add({a: 3});
+
+            moxios.withMock(() => {
+                c.save().then(() => {
+                    expect(m1.id).to.be.undefined;
+                    expect(m2.id).to.equal(2);
+                    expect(m3.id).to.equal(3);
+                    expect(c.models.map((m) => m.saving)).to.deep.equal([false, false, false]);
+                    expect(m1.changed()).to.equal(false);
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 200,
+                        response: [
+                            {id: 3, _cid: m3.getClientId()},
+                            {id: 2, _cid: m2.getClientId()},
+                        ],
+                    });
+                })
+            })
+        })
+
         it('should update all models with identifiers returned in the response', (done) => {
             let c = new class extends Collection {
                 routes() { return {save: '/save'}}
@@ -2458,6 +2568,69 @@ describe('Collection', () => {
             })
         })
 
+        it('should set errors on the models matched by client id', (done) => {
+            let c = new class extends Collection {
+                routes() { return {save: '/save'}}
+                options() { return {model: class extends Model {
+                    options() { return {clientIdKey: '_cid'}}
+                }}}
+            }
+
+            let m1 = c.add({a: 1});
+            let m2 = c.add({a: 2});
+
+            moxios.withMock(() => {
+                c.save().catch((error) => {
+                    expect(error).to.not.be.null;
+                    expect(m1.errors).to.deep.equal({a: ['Error!']})
+                    expect(m2.errors).to.deep.equal({a: ['Invalid!']})
+                    done();
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 422,
+                        response: [
+                            {a: ['Invalid!'], _cid: m2.getClientId()},
+                            {a: ['Error!'], _cid: m1.getClientId()},
+                        ]
+                    });
+                })
+            })
+        })
+
+        it('should set errors on the models matched by client id in a partial response', (done) => {
+            let c = new class extends Collection {
+                routes() { return {save: '/save'}}
+                options() { return {model: class extends Model {
+                    options() { return {clientIdKey: '_cid'}}
+                }}}
+            }
+
+            let m1 = c.add({a: 1});
+            let m2 = c.add({a: 2});
+
+            moxios.withMock(() => {
+                c.save().catch((error) => {
+                    expect(error).to.not.be.null;
+                    expect(m1.errors).to.be.empty;
+                    expect(m2.errors).to.deep.equal({a: ['Invalid!']});
+                    expect(m1.saving).to.equal(false);
+                    expect(m2.saving).to.equal(false);
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 422,
+                        response: [
+                            {a: ['Invalid!'], _cid: m2.getClientId()},
+                        ]
+                    });
+                })
+            })
+        })
+
         it('should set errors on the models corresponding to the models saved using identifiers', (done) => {
             let c = new class extends Collection {
                 routes() { return {save: '/save'}}
@@ -2914,7 +3087,7 @@ describe('Collection', () => {
             })
         })
 
-        it('should not skip if already fetching', () => {
+        it('should not skip if already fetching', (done) => {
             let c = new class extends Collection {
                 routes() { return {fetch: '/fetch'}}
             }
@@ -3232,5 +3405,1147 @@ describe('Collection', () => {
             expect(JSON.stringify(cArray)).to.equal(JSON.stringify(c));
         })
     })
-})
 
+    describe('history', () => {
+        let create = () => {
+            let models = [new Model({id: 1}), new Model({id: 2}), new Model({id: 3})];
+            return new Collection(models, {history: true});
+        }
+
+        it('should not include models given on construction', () => {
+            expect(create().canUndo).to.equal(false);
+        })
+
+        it('should undo and redo adding a model', () => {
+            let c = create();
+            let m = c.add({id: 4});
+
+            c.undo();
+            expect(c.has(m)).to.equal(false);
+            expect(m.collections).to.be.empty;
+
+            c.redo();
+            expect(c.map('id')).to.deep.equal([1, 2, 3, 4]);
+        })
+
+        it('should restore the position of a removed model', () => {
+            let c = create();
+            let m = c.models[1];
+
+            c.remove(m);
+            expect(c.map('id')).to.deep.equal([1, 3]);
+
+            c.undo();
+            expect(c.map('id')).to.deep.equal([1, 2, 3]);
+            expect(c.has(m)).to.equal(true);
+
+            c.redo();
+            expect(c.map('id')).to.deep.equal([1, 3]);
+        })
+
+        it('should undo and redo a sort', () => {
+            let c = create();
+
+            c.sort((model) => -model.id);
+            c.undo();
+            expect(c.map('id')).to.deep.equal([1, 2, 3]);
+
+            c.redo();
+            expect(c.map('id')).to.deep.equal([3, 2, 1]);
+        })
+
+        it('should group operations made in a batch as a single step', () => {
+            let c = create();
+
+            c.batch(() => {
+                c.remove(c.first());
+                c.add({id: 5});
+                c.sort((model) => -model.id);
+            });
+
+            expect(c.map('id')).to.deep.equal([5, 3, 2]);
+
+            c.undo();
+            expect(c.map('id')).to.deep.equal([1, 2, 3]);
+            expect(c.canUndo).to.equal(false);
+        })
+
+        it('should clear the history when models are replaced', () => {
+            let c = create();
+
+            c.add({id: 4});
+            c.replace([{id: 5}]);
+
+            expect(c.canUndo).to.equal(false);
+        })
+
+        it('should clear the history on sync', () => {
+            let c = create();
+
+            c.pop();
+            c.sync();
+
+            expect(c.canUndo).to.equal(false);
+        })
+    })
+
+    describe('optimistic', () => {
+        let C = class extends Collection {
+            routes() { return {save: '/people', delete: '/people'}}
+        }
+
+        it('should remove models before deleting', (done) => {
+            let a = new Model({id: 1});
+            let b = new Model({id: 2});
+            let c = new C([a, b], {optimistic: true});
+
+            moxios.withMock(() => {
+                c.delete().then(() => {
+                    expect(c.models).to.be.empty;
+                    expect(a.deleting).to.equal(false);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    let request = moxios.requests.mostRecent();
+
+                    expect(c.models).to.be.empty;
+                    expect(request.config.data).to.equal('[1,2]');
+
+                    request.respondWith({status: 200});
+                })
+            })
+        })
+
+        it('should restore models if the delete failed', (done) => {
+            let a = new Model({id: 1});
+            let b = new Model({id: 2});
+            let d = new Model({id: 3});
+            let c = new C([a, b, d], {optimistic: true});
+            let other = new Collection([d, b]);
+
+            moxios.withMock(() => {
+                c.delete().catch(() => {
+                    expect(c.models).to.deep.equal([a, b, d]);
+                    expect(other.models).to.deep.equal([d, b]);
+                    expect(c.fatal).to.equal(true);
+                    expect(b.deleting).to.equal(false);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    expect(c.models).to.be.empty;
+                    expect(other.models).to.be.empty;
+                    moxios.requests.mostRecent().respondWith({status: 500});
+                })
+            })
+        })
+
+        it('should add models to their other collections before saving', (done) => {
+            let other = new Collection();
+            let m = new Model({name: 'Fred'}, other);
+            let c = new C([m], {optimistic: true});
+
+            moxios.withMock(() => {
+                c.save().catch(() => {
+                    expect(other.models).to.be.empty;
+                    expect(c.models).to.deep.equal([m]);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    expect(other.models).to.deep.equal([m]);
+                    moxios.requests.mostRecent().respondWith({status: 500});
+                })
+            })
+        })
+    })
+
+    describe('trashed', () => {
+        let a = new Model({id: 1, deleted_at: null});
+        let b = new Model({id: 2, deleted_at: '2019-01-01'});
+        let c = new Collection([a, b]);
+
+        it('should include trashed models', () => {
+            expect(c.withTrashed()).to.deep.equal([a, b]);
+        })
+
+        it('should only include trashed models', () => {
+            expect(c.onlyTrashed()).to.deep.equal([b]);
+        })
+
+        it('should exclude trashed models', () => {
+            expect(c.withoutTrashed()).to.deep.equal([a]);
+        })
+    })
+
+    describe('fetchStrategy', () => {
+        let C = class extends Collection {
+            routes() { return {fetch: '/tasks'}}
+        }
+
+        let fetch = (c, data, done, callback) => {
+            moxios.withMock(() => {
+                c.fetch().then(() => {
+                    callback();
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({status: 200, response: data});
+                })
+            })
+        }
+
+        let record = (c) => {
+            let events = [];
+
+            c.on('add',    (e) => events.push(['add',    e.model.id]));
+            c.on('remove', (e) => events.push(['remove', e.model.id]));
+            c.on('update', (e) => events.push(['update', e.model.id]));
+
+            return events;
+        }
+
+        it('should replace all models by default', (done) => {
+            let a = new Model({id: 1, name: 'Fred'});
+            let c = new C([a]);
+
+            fetch(c, [{id: 1, name: 'Bob'}], done, () => {
+                expect(c.first()).to.not.equal(a);
+                expect(c.first().name).to.equal('Bob');
+            });
+        })
+
+        it('should merge models in place', (done) => {
+            let a = new Model({id: 1, name: 'Fred'});
+            let b = new Model({id: 2, name: 'Jane'});
+            let c = new C([a, b], {fetchStrategy: 'merge'});
+            let events = record(c);
+
+            fetch(c, [{id: 1, name: 'Bob'}, {id: 2, name: 'Jane'}, {id: 3, name: 'Anne'}], done, () => {
+                expect(c.size()).to.equal(3);
+                expect(c.models[0]).to.equal(a);
+                expect(c.models[1]).to.equal(b);
+                expect(a.name).to.equal('Bob');
+                expect(c.models[2].name).to.equal('Anne');
+                expect(events).to.deep.equal([['update', 1], ['add', 3]]);
+            });
+        })
+
+        it('should add a model only once if it was fetched more than once', (done) => {
+            let c = new C([], {fetchStrategy: 'merge'});
+            let events = record(c);
+
+            fetch(c, [{id: 3, name: 'Anne'}, {id: 3, name: 'Annie'}], done, () => {
+                expect(c.size()).to.equal(1);
+                expect(c.first().name).to.equal('Annie');
+                expect(events).to.deep.equal([['add', 3], ['update', 3]]);
+            });
+        })
+
+        it('should keep models that were not fetched when merging', (done) => {
+            let a = new Model({id: 1});
+            let n = new Model({name: 'New'});
+            let c = new C([a, n], {fetchStrategy: 'merge'});
+
+            fetch(c, [], done, () => {
+                expect(c.models).to.deep.equal([a, n]);
+            });
+        })
+
+        it('should remove models that were not fetched when syncing', (done) => {
+            let a = new Model({id: 1, name: 'Fred'});
+            let b = new Model({id: 2, name: 'Jane'});
+            let c = new C([a, b], {fetchStrategy: 'sync'});
+            let events = record(c);
+
+            fetch(c, [{id: 2, name: 'Jane'}, {id: 3, name: 'Anne'}], done, () => {
+                expect(c.size()).to.equal(2);
+                expect(c.models[0]).to.equal(b);
+                expect(c.models[1].id).to.equal(3);
+                expect(events).to.deep.equal([['add', 3], ['remove', 1]]);
+            });
+        })
+
+        it('should keep unsaved edits using the merge strategy of models', (done) => {
+            let a = new Model({id: 1, name: 'Fred', done: false}, null, {mergeStrategy: 'keepLocal'});
+            let c = new C([a], {fetchStrategy: 'merge'});
+
+            a.name = 'Bob';
+
+            fetch(c, [{id: 1, name: 'Fred', done: true}], done, () => {
+                expect(a.name).to.equal('Bob');
+                expect(a.done).to.equal(true);
+            });
+        })
+    })
+
+    describe('pagination', () => {
+        let C = class extends Collection {
+            routes() { return {fetch: '/tasks'}}
+        }
+
+        // Responds to a single fetch request, passing it to the callback.
+        let respond = (promise, response, done, callback) => {
+            moxios.withMock(() => {
+                promise().then(() => {
+                    callback(moxios.requests.mostRecent());
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({status: 200, ...response});
+                })
+            })
+        }
+
+        it('should use meta for the total and last page', (done) => {
+            let c = new C().page(1);
+
+            respond(c.fetch, {response: {data: [{id: 1}], meta: {total: 2, last_page: 2}}}, done, () => {
+                expect(c.total).to.equal(2);
+                expect(c.hasMore).to.equal(true);
+                expect(c.getLastPage()).to.equal(2);
+                expect(c.getPage()).to.equal(2);
+            });
+        })
+
+        it('should not fetch again after the last page in meta', (done) => {
+            let c = new C().page(2);
+
+            respond(c.fetch, {response: {data: [{id: 1}], meta: {total: 2, last_page: 2}}}, done, () => {
+                expect(c.size()).to.equal(1);
+                expect(c.hasMore).to.equal(false);
+                expect(c.isLastPage()).to.equal(true);
+            });
+        })
+
+        it('should support the count and next of DRF responses', (done) => {
+            let c = new C().page(1);
+
+            respond(c.fetch, {response: {count: 1, next: null, results: [{id: 1}]}}, done, () => {
+                expect(c.size()).to.equal(1);
+                expect(c.total).to.equal(1);
+                expect(c.isLastPage()).to.equal(true);
+            });
+        })
+
+        it('should send offset and limit', (done) => {
+            let c = new C([], {pagination: 'offset', pageSize: 2}).page(3);
+
+            respond(c.fetch, {response: {data: [{id: 5}, {id: 6}], total: 6}}, done, (request) => {
+                expect(request.config.params).to.deep.equal({offset: 4, limit: 2});
+                expect(c.getLastPage()).to.equal(3);
+                expect(c.hasMore).to.equal(false);
+            });
+        })
+
+        it('should send the cursor of the next page', (done) => {
+            let c = new C([], {pagination: 'cursor'}).page(1);
+
+            respond(c.fetch, {response: {data: [{id: 1}], meta: {next_cursor: 'abc'}}}, () => {
+                respond(c.fetch, {response: {data: [{id: 2}], meta: {next_cursor: null}}}, done, (request) => {
+                    expect(request.config.params).to.deep.equal({cursor: 'abc'});
+                    expect(c.size()).to.equal(2);
+                    expect(c.isLastPage()).to.equal(true);
+                });
+            }, (request) => {
+                expect(request.config.params).to.deep.equal({});
+            });
+        })
+
+        it('should follow the next URL of a link header', (done) => {
+            let c = new C([], {pagination: 'link'}).page(1);
+
+            let headers = {
+                'link': '</tasks?page=2>; rel="next", </tasks?page=5>; rel="last"',
+                'x-total-count': '10',
+            };
+
+            respond(c.fetch, {response: [{id: 1}, {id: 2}], headers}, () => {
+                respond(c.fetch, {response: [{id: 3}, {id: 4}]}, done, (request) => {
+                    expect(request.url).to.equal('/tasks?page=2');
+                    expect(c.size()).to.equal(4);
+                    expect(c.hasMore).to.equal(false);
+                });
+            }, () => {
+                expect(c.total).to.equal(10);
+                expect(c.hasMore).to.equal(true);
+            });
+        })
+
+        it('should replace models when going to the next and previous page', (done) => {
+            let c = new C();
+            let meta = {total: 4, last_page: 2};
+
+            respond(c.nextPage, {response: {data: [{id: 1}, {id: 2}], meta}}, () => {
+                respond(c.nextPage, {response: {data: [{id: 3}, {id: 4}], meta}}, () => {
+                    respond(c.prevPage, {response: {data: [{id: 1}, {id: 2}], meta}}, done, (request) => {
+                        expect(request.config.params).to.deep.equal({page: 1});
+                        expect(c.map('id')).to.deep.equal([1, 2]);
+                        expect(c.getCurrentPage()).to.equal(1);
+                    });
+                }, (request) => {
+                    expect(request.config.params).to.deep.equal({page: 2});
+                    expect(c.map('id')).to.deep.equal([3, 4]);
+                    expect(c.hasMore).to.equal(false);
+                });
+            }, () => {
+                expect(c.map('id')).to.deep.equal([1, 2]);
+                expect(c.getPage()).to.equal(1);
+            });
+        })
+
+        it('should not go past the last page', () => {
+            let c = new C().page(1);
+
+            c.applyPagination([]);
+
+            return c.nextPage().then((response) => {
+                expect(response).to.equal(null);
+            });
+        })
+
+        it('should go to a page', (done) => {
+            let c = new C().page(1);
+
+            respond(() => c.goToPage(3), {response: {data: [{id: 5}], meta: {last_page: 3}}}, done, (request) => {
+                expect(request.config.params).to.deep.equal({page: 3});
+                expect(c.getCurrentPage()).to.equal(3);
+                expect(c.getPage()).to.equal(3);
+                expect(c.map('id')).to.deep.equal([5]);
+            });
+        })
+
+        it('should not go to a page if the strategy can not seek', () => {
+            let c = new C([], {pagination: 'cursor'});
+
+            expect(() => c.goToPage(2)).to.throw(Error);
+        })
+
+        it('should reset the pagination state when the page is set', () => {
+            let c = new C().page(1);
+
+            c.applyPagination([]);
+            c.page(1);
+
+            expect(c.hasMore).to.equal(true);
+            expect(c.getCurrentPage()).to.equal(null);
+        })
+
+        it('should throw for an unknown strategy', () => {
+            let c = new C([], {pagination: 'unknown'});
+
+            expect(() => c.getPaginationStrategy()).to.throw(Error);
+        })
+    })
+
+    describe('query', () => {
+        let C = class extends Collection {
+            routes() { return {fetch: '/tasks'}}
+        }
+
+        it('should send the query with the fetch request', (done) => {
+            let c = new C();
+
+            c.query().where('status', 'open').orderBy('created_at', 'desc').search('fred');
+
+            moxios.withMock(() => {
+                c.fetch();
+
+                moxios.wait(() => {
+                    expect(moxios.requests.mostRecent().config.params).to.deep.equal({
+                        status: 'open',
+                        sort: '-created_at',
+                        q: 'fred',
+                    });
+                    done();
+                })
+            })
+        })
+
+        it('should send the query with the pagination query', (done) => {
+            let c = new C([], {queryFormat: 'json-api'}).page(2);
+
+            c.query().where('status', 'open');
+
+            moxios.withMock(() => {
+                c.fetch();
+
+                moxios.wait(() => {
+                    expect(moxios.requests.mostRecent().config.params).to.deep.equal({
+                        'filter[status]': 'open',
+                        page: 1,
+                    });
+                    done();
+                })
+            })
+        })
+
+        it('should be reactive', () => {
+            let c = new C();
+            let vm = new Vue({data: {c}, computed: {status() { return this.c.getQuery().where.status }}});
+
+            expect(vm.status).to.equal(undefined);
+            c.query().where('status', 'open');
+            expect(vm.status).to.equal('open');
+        })
+
+        it('should emit an event when the query changes', () => {
+            let c = new C();
+            let queries = [];
+
+            c.on('query', (e) => queries.push(e.query));
+            c.query().limit(5);
+
+            expect(queries).to.deep.equal([c.getQuery()]);
+        })
+
+        it('should remove appended pages when the query changes', () => {
+            let c = new C([{id: 1}, {id: 2}]).page(3);
+
+            c.query().where('status', 'open');
+
+            expect(c.getPage()).to.equal(1);
+            expect(c.size()).to.equal(0);
+        })
+
+        it('should replace the first page when the query changes', (done) => {
+            let c = new C();
+
+            moxios.withMock(() => {
+                c.goToPage(3).then(() => {
+                    c.query().where('status', 'open');
+
+                    expect(c.getPage()).to.equal(1);
+                    expect(c.size()).to.equal(2);
+
+                    c.fetch().then(() => {
+                        expect(moxios.requests.mostRecent().config.params).to.deep.equal({status: 'open', page: 1});
+                        expect(c.map('id')).to.deep.equal([3]);
+                        done();
+                    }).catch(done);
+
+                    moxios.wait(() => {
+                        moxios.requests.mostRecent().respondWith({status: 200, response: [{id: 3}]});
+                    })
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({status: 200, response: [{id: 1}, {id: 2}]});
+                })
+            })
+        })
+
+        it('should not fetch when the query changes by default', (done) => {
+            let c = new C();
+
+            moxios.withMock(() => {
+                c.query().where('status', 'open');
+
+                setTimeout(() => {
+                    expect(moxios.requests.count()).to.equal(0);
+                    done();
+                }, 10);
+            })
+        })
+
+        it('should fetch once after a burst of query changes', (done) => {
+            let c = new C([], {fetchOnQueryChange: true, queryDebounce: 5});
+
+            moxios.withMock(() => {
+                c.query().where('status', 'open').search('f').search('fr').search('fred');
+
+                moxios.wait(() => {
+                    expect(moxios.requests.count()).to.equal(1);
+                    expect(moxios.requests.mostRecent().config.params).to.deep.equal({status: 'open', q: 'fred'});
+                    done();
+                })
+            })
+        })
+    })
+
+    describe('index', () => {
+        let User = class extends Model {
+            defaults() { return {id: null, email: null, role: null}}
+        }
+
+        let users = () => new Collection([
+            new User({id: 1, email: 'a@example.com', role: 'admin'}),
+            new User({id: 2, email: 'b@example.com', role: 'user'}),
+            new User({id: 3, email: 'c@example.com', role: 'user'}),
+        ], {model: User});
+
+        it('should find models by an indexed attribute', () => {
+            let c = users().index('email', {unique: true}).index('role');
+
+            expect(c.findBy('email', 'b@example.com').id).to.equal(2);
+            expect(c.findAllBy('role', 'user').map((user) => user.id)).to.deep.equal([2, 3]);
+            expect(c.findBy('email', 'x@example.com')).to.equal(undefined);
+        })
+
+        it('should find models by an attribute that is not indexed', () => {
+            let c = users();
+
+            expect(c.getIndex('role')).to.equal(undefined);
+            expect(c.findBy('role', 'user').id).to.equal(2);
+            expect(c.findAllBy('role', 'user').length).to.equal(2);
+        })
+
+        it('should find models by identifier', () => {
+            let c = users();
+
+            expect(c.getById(3).email).to.equal('c@example.com');
+            expect(c.getIndex('id')).to.not.equal(undefined);
+            expect(c.getById(4)).to.equal(undefined);
+        })
+
+        it('should update indexes when models are added and removed', () => {
+            let c = users().index('role');
+
+            c.add({id: 4, role: 'user'});
+            c.remove(c.getById(2));
+
+            expect(c.findAllBy('role', 'user').map((user) => user.id)).to.deep.equal([3, 4]);
+            expect(c.getById(2)).to.equal(undefined);
+        })
+
+        it('should update indexes when an attribute changes', () => {
+            let c = users().index('email', {unique: true});
+            let a = c.getById(1);
+
+            a.email = 'z@example.com';
+
+            expect(c.findBy('email', 'z@example.com')).to.equal(a);
+            expect(c.findBy('email', 'a@example.com')).to.equal(undefined);
+        })
+
+        it('should not index nil values', () => {
+            let c = new Collection([new User({id: 1}), new User({id: 2})], {model: User}).index('email', {unique: true});
+
+            expect(c.findBy('email', null)).to.equal(undefined);
+        })
+
+        it('should throw when an added model violates a unique index', () => {
+            let c = users().index('email', {unique: true});
+
+            expect(() => c.add({id: 4, email: 'a@example.com'})).to.throw().that.is.instanceof(UniqueIndexError);
+            expect(c.size()).to.equal(3);
+        })
+
+        it('should throw when declaring a unique index that is already violated', () => {
+            let c = users();
+
+            expect(() => c.index('role', {unique: true})).to.throw().that.is.instanceof(UniqueIndexError);
+            expect(c.getIndex('role')).to.equal(undefined);
+        })
+
+        it('should emit an event when a change violates a unique index', () => {
+            let c = users().index('email', {unique: true});
+            let events = [];
+
+            c.on('violation', (e) => events.push([e.model.id, e.existing.id, e.attribute, e.value]));
+            c.getById(2).email = 'a@example.com';
+
+            expect(events).to.deep.equal([[2, 1, 'email', 'a@example.com']]);
+        })
+
+        it('should remove a deleted model from indexes', () => {
+            let R = class extends User {
+                routes() { return {delete: '/users/{id}'}}
+            }
+
+            let c = new Collection([new R({id: 1, email: 'a'}), new R({id: 2, email: 'b'})], {model: R}).index('email', {unique: true});
+            let m = c.getById(1);
+
+            moxios.stubRequest('/users/1', {status: 200});
+
+            return m.delete().then(() => {
+                expect(c.getById(1)).to.equal(undefined);
+                expect(c.findBy('email', 'a')).to.equal(undefined);
+                expect(c.add({id: 3, email: 'a'}).id).to.equal(3);
+            });
+        })
+
+        it('should update indexes when a model is reset', () => {
+            let c = new Collection([{id: 1, email: 'a'}, {id: 2, email: 'b'}], {model: User}).index('email', {unique: true});
+            let m = c.getById(2);
+
+            m.sync();
+            m.email = 'zzz';
+            m.reset();
+
+            expect(c.findBy('email', 'zzz')).to.equal(undefined);
+            expect(c.findBy('email', 'b')).to.equal(m);
+        })
+
+        it('should update indexes when a model is unset or cleared', () => {
+            let c = new Collection([{id: 1, email: 'a'}, {id: 2, email: 'b'}], {model: User}).index('email', {unique: true});
+
+            c.getById(1).unset('email');
+            c.getById(2).clear();
+
+            expect(c.findBy('email', 'a')).to.equal(undefined);
+            expect(c.findBy('email', 'b')).to.equal(undefined);
+            expect(c.getById(2)).to.equal(undefined);
+            expect(c.findBy('id', null)).to.equal(undefined);
+        })
+
+        it('should update indexes when a model is mutated', () => {
+            let M = class extends User {
+                mutations() { return {email: (value) => value && value.toLowerCase()}}
+            }
+
+            let c = new Collection([], {model: M}).index('email', {unique: true});
+            let m = c.add(new M({id: 1}));
+
+            m.email = 'B';
+
+            expect(c.findBy('email', 'B')).to.equal(m);
+
+            m.mutate('email');
+
+            expect(c.findBy('email', 'B')).to.equal(undefined);
+            expect(c.findBy('email', 'b')).to.equal(m);
+        })
+    })
+
+    describe('ordering', () => {
+        let Item = class extends Model {
+            defaults() { return {id: null, position: null}}
+        }
+
+        let C = class extends Collection {
+            options() { return {model: Item, positionAttribute: 'position'}}
+            routes()  { return {reorder: '/items/order'}}
+        }
+
+        let items = () => new C([{id: 1, position: 0}, {id: 2, position: 1}, {id: 3, position: 2}]);
+
+        describe('insertAt', () => {
+            it('should insert a model at an index', () => {
+                let c = items();
+                let m = c.insertAt(1, {id: 4});
+
+                expect(m).to.be.instanceof(Item);
+                expect(c.map('id')).to.deep.equal([1, 4, 2, 3]);
+                expect(c.map('position')).to.deep.equal([0, 1, 2, 3]);
+            })
+
+            it('should insert an array of models in order', () => {
+                let c = items();
+
+                c.insertAt(0, [{id: 4}, {id: 5}]);
+
+                expect(c.map('id')).to.deep.equal([4, 5, 1, 2, 3]);
+            })
+
+            it('should clamp the index', () => {
+                let c = items();
+
+                c.insertAt(10, {id: 4});
+                c.insertAt(-1, {id: 5});
+
+                expect(c.map('id')).to.deep.equal([5, 1, 2, 3, 4]);
+            })
+
+            it('should not insert a model that is already in the collection', () => {
+                let c = items();
+
+                expect(c.insertAt(0, c.last())).to.equal(undefined);
+                expect(c.map('id')).to.deep.equal([1, 2, 3]);
+            })
+
+            it('should be undoable', () => {
+                let c = new Collection([{id: 1}, {id: 2}], {history: true});
+
+                c.insertAt(1, {id: 3});
+                c.undo();
+                expect(c.map('id')).to.deep.equal([1, 2]);
+
+                c.redo();
+                expect(c.map('id')).to.deep.equal([1, 3, 2]);
+            })
+        })
+
+        describe('move', () => {
+            it('should move a model and update positions', () => {
+                let c = items();
+                let m = c.move(0, 2);
+
+                expect(m.id).to.equal(1);
+                expect(c.map('id')).to.deep.equal([2, 3, 1]);
+                expect(c.map('position')).to.deep.equal([0, 1, 2]);
+                expect(c.first().changed()).to.deep.equal(['position']);
+            })
+
+            it('should move a given model', () => {
+                let c = items();
+
+                c.move(c.last(), 0);
+
+                expect(c.map('id')).to.deep.equal([3, 1, 2]);
+            })
+
+            it('should not update positions without a position attribute', () => {
+                let c = new Collection([{id: 1}, {id: 2}]);
+
+                c.move(1, 0);
+
+                expect(c.map('id')).to.deep.equal([2, 1]);
+                expect(c.first().position).to.equal(undefined);
+            })
+
+            it('should return undefined if there is no model to move', () => {
+                expect(items().move(5, 0)).to.equal(undefined);
+            })
+
+            it('should be undoable', () => {
+                let c = new Collection([{id: 1}, {id: 2}, {id: 3}], {history: true});
+
+                c.move(2, 0);
+                c.undo();
+
+                expect(c.map('id')).to.deep.equal([1, 2, 3]);
+            })
+        })
+
+        describe('saveOrder', () => {
+            it('should send only identifiers and positions', (done) => {
+                let c = items();
+
+                c.move(2, 0);
+                c.add({position: 3});
+
+                moxios.withMock(() => {
+                    c.saveOrder().then(() => {
+                        let request = moxios.requests.mostRecent();
+
+                        expect(request.config.method).to.equal('put');
+                        expect(request.url).to.equal('/items/order');
+                        expect(JSON.parse(request.config.data)).to.deep.equal([
+                            {id: 3, position: 0},
+                            {id: 1, position: 1},
+                            {id: 2, position: 2},
+                        ]);
+
+                        expect(c.reordering).to.equal(false);
+                        expect(c.first().changed()).to.equal(false);
+                        done();
+                    }).catch(done);
+
+                    moxios.wait(() => {
+                        expect(c.reordering).to.equal(true);
+                        moxios.requests.mostRecent().respondWith({status: 200});
+                    })
+                })
+            })
+
+            it('should not make a request if no models have been saved', () => {
+                let c = new C([{}, {}]);
+
+                return c.saveOrder().then((response) => {
+                    expect(response).to.equal(null);
+                });
+            })
+
+            it('should restore the order if the request fails', (done) => {
+                let c = items();
+                let events = [];
+
+                c.on('reorder', (e) => events.push(e.error));
+                c.move(2, 0);
+                c.insertAt(1, {id: 4});
+                c.move(3, 1);
+
+                moxios.withMock(() => {
+                    c.saveOrder().then(() => {
+                        done(new Error('Expected the request to fail'));
+                    }).catch(() => {
+                        expect(c.map('id')).to.deep.equal([1, 2, 3, 4]);
+                        expect(c.map('position')).to.deep.equal([0, 1, 2, 3]);
+                        expect(c.fatal).to.equal(true);
+                        expect(events.length).to.equal(1);
+                        done();
+                    }).catch(done);
+
+                    moxios.wait(() => {
+                        moxios.requests.mostRecent().respondWith({status: 500});
+                    })
+                })
+            })
+
+            it('should restore the fetched order if the request fails after a fetch', () => {
+                let responses = [
+                    {status: 200, data: [{id: 3, position: 0}, {id: 1, position: 1}, {id: 2, position: 2}]},
+                    {status: 500},
+                ];
+
+                // Responds with the given responses in order.
+                let transport = () => {
+                    let response = {headers: {}, ...responses.shift()};
+
+                    if (response.status === 200) {
+                        return Promise.resolve(response);
+                    }
+
+                    return Promise.reject(Object.assign(new Error('Request failed'), {response}));
+                };
+
+                let c = new class extends C {
+                    routes() { return {fetch: '/items', reorder: '/items/order'}}
+                }([{id: 1, position: 0}, {id: 2, position: 1}, {id: 3, position: 2}], {transport});
+
+                c.move(0, 2);
+
+                return c.fetch().then(() => {
+                    c.move(0, 1);
+
+                    return c.saveOrder();
+                }).then(() => {
+                    assert.fail();
+                }, () => {
+                    expect(c.map('id')).to.deep.equal([3, 1, 2]);
+                    expect(c.map('position')).to.deep.equal([0, 1, 2]);
+                });
+            })
+
+            it('should not restore an order from before the collection was synced', () => {
+                let c = items();
+
+                c.move(2, 0);
+                c.sync();
+                c.rollbackOrder();
+
+                expect(c.map('id')).to.deep.equal([3, 1, 2]);
+            })
+        })
+    })
+
+    describe('saveChanges', () => {
+        let Task = class extends Model {
+            defaults() { return {id: null, name: ''}}
+            options()  { return {clientIdKey: '_cid'}}
+        }
+
+        let C = class extends Collection {
+            options() { return {model: Task}}
+            routes()  { return {save: '/tasks/save', create: '/tasks/create', update: '/tasks/update', delete: '/tasks/delete'}}
+        }
+
+        // Three saved tasks, one new task, one changed task and one marked for deletion.
+        let tasks = () => {
+            let c = new C([{id: 1, name: 'a'}, {id: 2, name: 'b'}, {id: 3, name: 'c'}]);
+
+            c.sync();
+            c.add({name: 'd'});
+            c.find({id: 2}).name = 'bb';
+            c.markForDeletion(c.find({id: 3}));
+
+            return c;
+        }
+
+        // Responds to each request by URL.
+        let respond = (c, responses, done, callback, expectFailure = false) => {
+            _.each(responses, (response, url) => moxios.stubRequest(url, response));
+
+            c.saveChanges().then((r) => {
+                expect(expectFailure).to.equal(false);
+                callback(r);
+                done();
+            }).catch((error) => {
+                if ( ! expectFailure) {
+                    return done(error);
+                }
+
+                callback(error);
+                done();
+            }).catch(done);
+        }
+
+        it('should send creates, updates and deletes to their own routes', (done) => {
+            let c = tasks();
+            let d = c.last();
+
+            respond(c, {
+                '/tasks/create': {status: 200, response: [{id: 4, name: 'D', _cid: d.getClientId()}]},
+                '/tasks/update': {status: 200, response: [{id: 2, name: 'BB'}]},
+                '/tasks/delete': {status: 200},
+            }, done, (responses) => {
+                let requests = _.keyBy(moxios.requests.__items, 'url');
+
+                expect(responses.length).to.equal(3);
+                expect(JSON.parse(requests['/tasks/create'].config.data)).to.deep.equal([{id: null, name: 'd', _cid: d.getClientId()}]);
+                expect(JSON.parse(requests['/tasks/update'].config.data)).to.deep.equal([{id: 2, name: 'bb'}]);
+                expect(JSON.parse(requests['/tasks/delete'].config.data)).to.deep.equal([3]);
+
+                expect(d.id).to.equal(4);
+                expect(d.name).to.equal('D');
+                expect(d.get('_cid')).to.equal(undefined);
+                expect(c.find({id: 2}).name).to.equal('BB');
+                expect(c.map('id')).to.deep.equal([1, 2, 4]);
+                expect(c.getPendingDeletes()).to.deep.equal([]);
+                expect(c.saving).to.equal(false);
+                expect(_.some(c.models, 'saving')).to.equal(false);
+            });
+        })
+
+        it('should match created models by client id rather than position', (done) => {
+            let c = new C();
+            let a = c.add({name: 'a'});
+            let b = c.add({name: 'b'});
+
+            respond(c, {
+                '/tasks/create': {status: 200, response: [
+                    {id: 2, name: 'b', _cid: b.getClientId()},
+                    {id: 1, name: 'a', _cid: a.getClientId()},
+                ]},
+            }, done, () => {
+                expect(a.id).to.equal(1);
+                expect(b.id).to.equal(2);
+            });
+        })
+
+        it('should match updated models by identifier', (done) => {
+            let c = new C([{id: 1, name: 'a'}, {id: 2, name: 'b'}]);
+
+            c.sync();
+            c.each((task) => task.name = task.name + '!');
+
+            respond(c, {
+                '/tasks/update': {status: 200, response: {data: [{id: 2, name: 'B'}, {id: 1, name: 'A'}]}},
+            }, done, () => {
+                expect(c.map('name')).to.deep.equal(['A', 'B']);
+            });
+        })
+
+        it('should consider models saved if nothing is returned', (done) => {
+            let c = tasks();
+
+            respond(c, {
+                '/tasks/create': {status: 204},
+                '/tasks/update': {status: 204},
+                '/tasks/delete': {status: 204},
+            }, done, () => {
+                expect(c.find({id: 2}).changed()).to.equal(false);
+                expect(c.last().saving).to.equal(false);
+            });
+        })
+
+        it('should send changes together in the combined format', (done) => {
+            let c = tasks();
+            let d = c.last();
+
+            c.setOptions({changesetFormat: 'combined'});
+
+            respond(c, {
+                '/tasks/save': {status: 200, response: {create: [{id: 4, _cid: d.getClientId()}], update: null}},
+            }, done, () => {
+                let request = moxios.requests.mostRecent();
+
+                expect(moxios.requests.count()).to.equal(1);
+                expect(request.config.method).to.equal('post');
+                expect(JSON.parse(request.config.data)).to.deep.equal({
+                    create: [{id: null, name: 'd', _cid: d.getClientId()}],
+                    update: [{id: 2, name: 'bb'}],
+                    delete: [3],
+                });
+
+                expect(d.id).to.equal(4);
+                expect(c.find({id: 2}).changed()).to.equal(false);
+                expect(c.getPendingDeletes()).to.deep.equal([]);
+            });
+        })
+
+        it('should not make a request if nothing has changed', () => {
+            let c = new C([{id: 1}]);
+
+            c.sync();
+
+            return c.saveChanges().then((responses) => {
+                expect(responses).to.deep.equal([]);
+                expect(c.saving).to.equal(false);
+            });
+        })
+
+        it('should apply the parts that succeeded when another fails', (done) => {
+            let c = tasks();
+            let d = c.last();
+
+            respond(c, {
+                '/tasks/create': {status: 422, response: {[d.getClientId()]: {name: ['Invalid']}}},
+                '/tasks/update': {status: 200},
+                '/tasks/delete': {status: 500},
+            }, done, (error) => {
+                expect(d.errors).to.deep.equal({name: ['Invalid']});
+                expect(d.saving).to.equal(false);
+                expect(c.find({id: 2}).changed()).to.equal(false);
+                expect(c.getPendingDeletes().length).to.equal(1);
+                expect(c.getPendingDeletes()[0].deleting).to.equal(false);
+                expect(c.saving).to.equal(false);
+            }, true);
+        })
+
+        it('should only remove new models that are marked for deletion', () => {
+            let c = new C();
+            let m = c.add({name: 'a'});
+
+            c.markForDeletion(m);
+
+            expect(c.size()).to.equal(0);
+            expect(c.getPendingDeletes()).to.deep.equal([]);
+        })
+    })
+
+    describe('cancel', () => {
+        let C = class extends Collection {
+            routes() { return {fetch: '/tasks', save: '/tasks'}}
+        }
+
+        it('should only use the response of the latest fetch if enabled', (done) => {
+            let c = new C([], {cancelPrevious: true});
+
+            c.fetch().catch((error) => {
+                expect(error).to.be.an.instanceOf(CancelledError);
+            });
+
+            moxios.wait(() => {
+                c.fetch().catch(done);
+
+                // The response of the first fetch is received last.
+                moxios.wait(() => {
+                    moxios.requests.at(1).respondWith({status: 200, response: [{name: 'Second'}]}).then(() => {
+                        return moxios.requests.at(0).respondWith({status: 200, response: [{name: 'First'}]});
+                    }).then(() => {
+                        expect(c.map('name')).to.deep.equal(['Second']);
+                        expect(c.loading).to.equal(false);
+                        done();
+                    }).catch(done);
+                })
+            })
+        })
+
+        it('should restore saving models when a save is cancelled', (done) => {
+            let c = new C([{name: 'a'}], {optimistic: true});
+            let m = c.first();
+
+            m.name = 'b';
+
+            let request = c.save();
+
+            request.then(() => done(new Error('Save was not cancelled'))).catch((error) => {
+                expect(error).to.be.an.instanceOf(CancelledError);
+                expect(c.saving).to.equal(false);
+                expect(c.fatal).to.equal(false);
+                expect(m.saving).to.equal(false);
+                expect(c.models).to.deep.equal([m]);
+                done();
+            });
+
+            moxios.wait(() => {
+                request.cancel();
+            })
+        })
+    })
+})
@@ -0,0 +1,156 @@
+import Vue from 'vue'
+import moxios from 'moxios'
+import {assert, expect} from 'chai'
+import {Model, Collection, Grouping} from '../../src/index'
+
+describe('Grouping', () => {
+    let Task = class extends Model {
+        defaults() { return {id: null, status: 'todo', position: 0}}
+        routes()   { return {save: '/tasks/{id}'}}
+    }
+
+    let collection = () => new Collection([
+        new Task({id: 1, status: 'todo',  position: 2}),
+        new Task({id: 2, status: 'done',  position: 1}),
+        new Task({id: 3, status: 'todo',  position: 1}),
+    ], {model: Task});
+
+    it('should group models by an attribute', () => {
+        let g = collection().groupBy('status', {sort: 'position'});
+
+        expect(g).to.be.instanceof(Grouping);
+        expect(g.keys()).to.deep.equal(['todo', 'done']);
+        expect(g.get('todo').map('id')).to.deep.equal([3, 1]);
+        expect(g.get('done').map('id')).to.deep.equal([2]);
+    })
+
+    it('should group models by a function', () => {
+        let g = collection().groupBy((task) => task.position > 1);
+
+        expect(g.get(true).map('id')).to.deep.equal([1]);
+        expect(g.get(false).map('id')).to.deep.equal([2, 3]);
+    })
+
+    it('should always include the given groups', () => {
+        let g = collection().groupBy('status', {groups: ['todo', 'doing', 'done']});
+
+        expect(g.keys()).to.deep.equal(['todo', 'doing', 'done']);
+        expect(g.get('doing').size()).to.equal(0);
+    })
+
+    it('should create groups for added models', () => {
+        let c = collection();
+        let g = c.groupBy('status');
+
+        c.add({id: 4, status: 'doing'});
+
+        expect(g.get('doing').map('id')).to.deep.equal([4]);
+    })
+
+    it('should move models between groups when the attribute changes', () => {
+        let c = collection();
+        let g = c.groupBy('status');
+
+        c.find({id: 1}).status = 'done';
+        c.find({id: 3}).status = 'doing';
+
+        expect(g.get('todo').size()).to.equal(0);
+        expect(g.get('done').map('id')).to.deep.equal([1, 2]);
+        expect(g.get('doing').map('id')).to.deep.equal([3]);
+    })
+
+    it('should create groups for models that are reset', () => {
+        let c = collection();
+        let t = new Task({id: 4, status: 'doing'});
+
+        t.status = 'todo';
+        c.add(t);
+
+        let g = c.groupBy('status');
+
+        t.reset();
+
+        expect(g.get('doing').map('id')).to.deep.equal([4]);
+        expect(g.get('todo').map('id')).to.deep.equal([1, 3]);
+    })
+
+    it('should be reactive', () => {
+        let c = collection();
+        let vm = new Vue({data: {g: c.groupBy('status')}, computed: {
+            columns() { return this.g.keys().map((key) => [key, this.g.get(key).size()]) },
+        }});
+
+        expect(vm.columns).to.deep.equal([['todo', 2], ['done', 1]]);
+        c.find({id: 1}).status = 'doing';
+        expect(vm.columns).to.deep.equal([['todo', 1], ['done', 1], ['doing', 1]]);
+    })
+
+    it('should stop following the collection when destroyed', () => {
+        let c = collection();
+        let g = c.groupBy('status');
+
+        g.destroy();
+        c.add({id: 4, status: 'doing'});
+
+        expect(g.has('doing')).to.equal(false);
+        expect(g.get('todo').size()).to.equal(2);
+    })
+
+    describe('moveTo', () => {
+        it('should set the attribute without saving by default', () => {
+            let c = collection();
+            let g = c.groupBy('status');
+
+            return g.moveTo(c.find({id: 1}), 'done').then((response) => {
+                expect(response).to.equal(null);
+                expect(g.get('done').map('id')).to.deep.equal([1, 2]);
+            });
+        })
+
+        it('should save the model if requested', (done) => {
+            let c = collection();
+            let g = c.groupBy('status');
+
+            moxios.withMock(() => {
+                g.moveTo(c.find({id: 1}), 'done', {save: true}).then(() => {
+                    expect(JSON.parse(moxios.requests.mostRecent().config.data).status).to.equal('done');
+                    expect(c.find({id: 1}).changed()).to.equal(false);
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({status: 200});
+                })
+            })
+        })
+
+        it('should move the model back if the save failed', (done) => {
+            let c = collection();
+            let g = c.groupBy('status');
+            let t = c.find({id: 1});
+
+            moxios.withMock(() => {
+                g.moveTo(t, 'done', {save: true}).then(() => {
+                    done(new Error('Save did not fail'));
+                }).catch(() => {
+                    expect(t.status).to.equal('todo');
+                    expect(g.get('todo').map('id')).to.deep.equal([1, 3]);
+                    expect(g.get('done').map('id')).to.deep.equal([2]);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    expect(g.get('done').map('id')).to.deep.equal([1, 2]);
+                    moxios.requests.mostRecent().respondWith({status: 500});
+                })
+            })
+        })
+
+        it('should throw when grouping by a function', () => {
+            let c = collection();
+            let g = c.groupBy((task) => task.status);
+
+            expect(() => g.moveTo(c.first(), 'done')).to.throw(Error);
+        })
+    })
+})
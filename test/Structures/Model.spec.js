@@ -1,7 +1,13 @@
+import Vue from 'vue'
 import moxios from 'moxios'
 import {assert, expect} from 'chai'
 import {Model, Collection} from '../../src/index'
 import ValidationError  from '../../src/Errors/ValidationError'
+import ConflictError    from '../../src/Errors/ConflictError'
+import CancelledError   from '../../src/Errors/CancelledError'
+import RequestError     from '../../src/Errors/RequestError'
+import Response         from '../../src/HTTP/Response'
+import {belongsTo, hasMany, hasOne} from '../../src/Structures/Relation'
 import * as _ from 'lodash';
 import * as util from 'util';
 import {
@@ -166,6 +172,28 @@ describe('Model', () => {
         })
     })
 
+    describe('off', () => {
+        it('should remove an event listener', () => {
+            let m = new Model();
+            let f = () => {}
+            let g = () => {}
+            m.on('test', f)
+            m.on('test', g)
+            m.off('test', f)
+
+            expect(m._listeners).to.deep.equal({test: [g]});
+        })
+
+        it('should remove all event listeners if none is given', () => {
+            let m = new Model();
+            m.on('test', () => {})
+            m.on('other', () => {})
+            m.off('test')
+
+            expect(m._listeners).to.have.keys(['other']);
+        })
+    })
+
     describe('emit', () => {
         it('should emit event to all listeners', () => {
             let m = new Model();
@@ -488,6 +516,35 @@ describe('Model', () => {
             })
         })
 
+        it('should validate a nested model without errors if it is valid', () => {
+            let inner = new class extends Model {
+                defaults()   { return {a: 'a@example.com'} }
+                validation() { return {a: email} }
+            }
+
+            let outer = new Model({inner});
+
+            return outer.validate().then((errors) => {
+                expect(errors).to.deep.equal({});
+                expect(outer.errors).to.be.empty;
+                expect(inner.errors).to.be.empty;
+            });
+        })
+
+        it('should include the errors of an invalid nested model', () => {
+            let inner = new class extends Model {
+                defaults()   { return {a: 1} }
+                validation() { return {a: email} }
+            }
+
+            let outer = new Model({inner});
+
+            return outer.validate().then((errors) => {
+                expect(errors).to.deep.equal({inner: [{a: ['Must be a valid email address']}]});
+                expect(inner.errors).to.deep.equal({a: ['Must be a valid email address']});
+            });
+        })
+
         it('should not validate a nested model if option is disabled', (done) => {
             let validated = false;
 
@@ -3147,5 +3204,1739 @@ describe('Model', () => {
                 data: 3,
             });
         })
+
+        it('should include the client id of a new model if enabled', () => {
+            const m = new Model({id: null, data: 1}, null, {clientIdKey: '_cid'});
+
+            expect(m.getSaveData()).to.deep.equal({id: null, data: 1, _cid: m.getClientId()});
+            expect(m.has('_cid')).to.equal(false);
+
+            m.id = 1;
+            m.sync();
+
+            expect(m.getSaveData()).to.deep.equal({id: 1, data: 1});
+        })
+
+        it('should not include the client id by default', () => {
+            const m = new Model({data: 1});
+
+            expect(m.getSaveData()).to.deep.equal({data: 1});
+        })
+    })
+
+    describe('relations', () => {
+        let Author = class extends Model {
+            defaults() { return {id: null, name: ''}}
+        }
+
+        let Task = class extends Model {
+            defaults() { return {id: null, title: ''}}
+        }
+
+        let Tasks = class extends Collection {
+            options() { return {model: Task}}
+        }
+
+        let Project = class extends Model {
+            defaults() { return {id: null, author: null, owner: null, tasks: []}}
+            routes()   { return {fetch: '/projects/{id}', save: '/projects'}}
+            relations() {
+                return {
+                    author: belongsTo(Author),
+                    owner:  hasOne(Author),
+                    tasks:  hasMany(Task, {collection: Tasks}),
+                }
+            }
+        }
+
+        it('should hydrate related data on construction', () => {
+            let p = new Project({
+                author: {id: 1, name: 'Fred'},
+                tasks: [{id: 2, title: 'A'}, {id: 3, title: 'B'}],
+            });
+
+            expect(p.author).to.be.an.instanceof(Author);
+            expect(p.author.name).to.equal('Fred');
+            expect(p.owner).to.be.null;
+            expect(p.tasks).to.be.an.instanceof(Tasks);
+            expect(p.tasks.models).to.have.lengthOf(2);
+            expect(p.tasks.first()).to.be.an.instanceof(Task);
+            expect(p.tasks.first().title).to.equal('A');
+        })
+
+        it('should use a generic collection if no collection class is given', () => {
+            let M = class extends Model {
+                relations() { return {tasks: hasMany(Task)}}
+            }
+
+            let m = new M({tasks: [{id: 1}]});
+
+            expect(m.tasks).to.be.an.instanceof(Collection);
+            expect(m.tasks.first()).to.be.an.instanceof(Task);
+        })
+
+        it('should hydrate an identifier into a related model', () => {
+            let p = new Project({author: 5});
+
+            expect(p.author).to.be.an.instanceof(Author);
+            expect(p.author.identifier()).to.equal(5);
+        })
+
+        it('should hydrate related data when set', () => {
+            let p = new Project();
+            p.owner = {id: 4, name: 'Bob'};
+
+            expect(p.owner).to.be.an.instanceof(Author);
+            expect(p.owner.name).to.equal('Bob');
+        })
+
+        it('should not replace an existing related model instance', () => {
+            let p = new Project({owner: {id: 1, name: 'Fred'}});
+            let owner = p.owner;
+
+            p.set('owner', {id: 1, name: 'Bob'});
+
+            expect(p.owner).to.equal(owner);
+            expect(owner.name).to.equal('Bob');
+            expect(owner.$.name).to.equal('Bob');
+        })
+
+        it('should accept related instances as they are', () => {
+            let author = new Author({id: 1});
+            let tasks  = new Tasks();
+            let p = new Project({author, tasks});
+
+            expect(p.author).to.equal(author);
+            expect(p.tasks).to.equal(tasks);
+        })
+
+        it('should hydrate related data on fetch', (done) => {
+            let p = new Project({id: 1});
+
+            moxios.withMock(() => {
+                p.fetch().then(() => {
+                    expect(p.author).to.be.an.instanceof(Author);
+                    expect(p.author.name).to.equal('Fred');
+                    expect(p.tasks).to.be.an.instanceof(Tasks);
+                    expect(p.tasks.first().title).to.equal('A');
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 200,
+                        response: {id: 1, author: {id: 2, name: 'Fred'}, tasks: [{id: 3, title: 'A'}]},
+                    })
+                })
+            })
+        })
+
+        it('should hydrate related data returned on save', (done) => {
+            let p = new Project({id: 1, owner: {id: 2, name: 'Fred'}});
+            let owner = p.owner;
+
+            moxios.withMock(() => {
+                p.save().then(() => {
+                    expect(p.owner).to.equal(owner);
+                    expect(p.owner.name).to.equal('Bob');
+                    expect(p.tasks.map('title')).to.deep.equal(['B']);
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 200,
+                        response: {owner: {id: 2, name: 'Bob'}, tasks: [{id: 3, title: 'B'}]},
+                    })
+                })
+            })
+        })
+
+        it('should serialize related data according to the relation', () => {
+            let p = new Project({
+                id: 1,
+                author: {id: 2, name: 'Fred'},
+                owner: {id: 3, name: 'Bob'},
+                tasks: [{id: 4, title: 'A'}],
+            });
+
+            expect(JSON.parse(JSON.stringify(p))).to.deep.equal({
+                id: 1,
+                author_id: 2,
+                owner: {id: 3, name: 'Bob'},
+                tasks: [{id: 4, title: 'A'}],
+            });
+
+            expect(JSON.parse(JSON.stringify(p.getSaveData()))).to.deep.equal({
+                id: 1,
+                author_id: 2,
+                owner: {id: 3, name: 'Bob'},
+                tasks: [{id: 4, title: 'A'}],
+            });
+        })
+
+        it('should support custom foreign keys and serialization modes', () => {
+            let M = class extends Model {
+                relations() {
+                    return {
+                        author: belongsTo(Author, {foreignKey: 'user'}),
+                        owner:  hasOne(Author, {serialize: 'none'}),
+                        tasks:  hasMany(Task, {serialize: 'key'}),
+                    }
+                }
+            }
+
+            let m = new M({
+                author: {id: 1},
+                owner: {id: 2},
+                tasks: [{id: 3}, {id: 4}],
+            });
+
+            expect(m.toJSON()).to.deep.equal({
+                user: 1,
+                tasks_ids: [3, 4],
+            });
+        })
+
+        it('should serialize a missing related model as a null foreign key', () => {
+            let p = new Project();
+            expect(p.toJSON().author_id).to.be.null;
+        })
+
+        it('should serialize only changed relations when patching', () => {
+            let p = new Project({id: 1, author: {id: 2}, owner: {id: 3}}, null, {patch: true});
+            p.author = {id: 5};
+
+            expect(p.getSaveData()).to.deep.equal({
+                id: 1,
+                author_id: 5,
+            });
+        })
+    })
+
+    describe('casts', () => {
+        let M = class extends Model {
+            defaults() { return {id: null, count: null, due_at: null, active: false}}
+            routes()   { return {save: '/tasks'}}
+            casts() {
+                return {
+                    count:  'integer',
+                    due_at: 'datetime',
+                    active: 'boolean',
+                }
+            }
+        }
+
+        it('should cast attributes when they are set', () => {
+            let m = new M();
+
+            m.count  = '5';
+            m.due_at = '2019-02-03T04:05:06.000Z';
+            m.active = '1';
+
+            expect(m.count).to.equal(5);
+            expect(m.due_at).to.be.an.instanceof(Date);
+            expect(m.active).to.equal(true);
+        })
+
+        it('should cast attributes on construction', () => {
+            let m = new M({count: '3', due_at: '2019-02-03T04:05:06.000Z'});
+
+            expect(m.count).to.equal(3);
+            expect(m.$.count).to.equal(3);
+            expect(m.due_at).to.be.an.instanceof(Date);
+            expect(m.$.due_at).to.be.an.instanceof(Date);
+        })
+
+        it('should not consider an equal cast value as a change', () => {
+            let m = new M({count: 3});
+            m.count = '3';
+
+            expect(m.changed()).to.equal(false);
+        })
+
+        it('should serialize cast attributes in save data', () => {
+            let m = new M({id: 1, count: 2, due_at: new Date(Date.UTC(2019, 1, 3, 4, 5, 6))});
+
+            expect(m.getSaveData()).to.deep.equal({
+                id: 1,
+                count: 2,
+                due_at: '2019-02-03T04:05:06.000Z',
+                active: false,
+            });
+
+            expect(m.due_at).to.be.an.instanceof(Date);
+        })
+
+        it('should serialize cast attributes in JSON', () => {
+            let m = new M({due_at: new Date(Date.UTC(2019, 1, 3))});
+            expect(m.toJSON().due_at).to.equal('2019-02-03T00:00:00.000Z');
+        })
+
+        it('should cast attributes returned by the server', (done) => {
+            let m = new M({id: 1});
+
+            moxios.withMock(() => {
+                m.save().then(() => {
+                    expect(m.count).to.equal(7);
+                    expect(m.due_at.getTime()).to.equal(Date.UTC(2019, 1, 3));
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    let request = moxios.requests.mostRecent();
+
+                    expect(JSON.parse(request.config.data).due_at).to.be.null;
+
+                    request.respondWith({
+                        status: 200,
+                        response: {count: '7', due_at: '2019-02-03T00:00:00.000Z'},
+                    })
+                })
+            })
+        })
+
+        it('should support custom casts', () => {
+            let C = class extends Model {
+                casts() {
+                    return {
+                        name: {cast: _.toUpper, serialize: _.toLower},
+                    }
+                }
+            }
+
+            let m = new C({name: 'Fred'});
+
+            expect(m.name).to.equal('FRED');
+            expect(m.getSaveData()).to.deep.equal({name: 'fred'});
+        })
+    })
+
+    describe('computed', () => {
+        let M = class extends Model {
+            defaults() { return {id: null, first: 'John', last: 'Smith'}}
+            computed() {
+                return {
+                    name:     (attributes) => `${attributes.first} ${attributes.last}`,
+                    initials: {get: (attributes) => `${attributes.first[0]}${attributes.last[0]}`, serialize: true},
+                }
+            }
+            validation() {
+                return {
+                    name: (value) => value.length < 10 || 'Too long',
+                }
+            }
+        }
+
+        it('should register accessors for computed attributes', () => {
+            let m = new M();
+
+            expect(m.name).to.equal('John Smith');
+            expect(m.initials).to.equal('JS');
+        })
+
+        it('should be derived from the active attributes', () => {
+            let m = new M();
+            m.first = 'Fred';
+
+            expect(m.name).to.equal('Fred Smith');
+            expect(m.getComputed('name', m.$)).to.equal('John Smith');
+        })
+
+        it('should not allow computed attributes to be set directly', () => {
+            let m = new M();
+            expect(() => m.name = 'Fred').to.throw("Can't set computed attribute 'name'");
+        })
+
+        it('should ignore values for computed attributes when set', () => {
+            let m = new M({name: 'Fred'});
+
+            expect(m.name).to.equal('John Smith');
+            expect(m.has('name')).to.equal(false);
+        })
+
+        it('should be reactive', (done) => {
+            let m = new M();
+            let vm = new Vue({
+                data: {m},
+                computed: {
+                    label() { return this.m.name }
+                },
+            });
+
+            expect(vm.label).to.equal('John Smith');
+            m.last = 'Jones';
+
+            Vue.nextTick(() => {
+                expect(vm.label).to.equal('John Jones');
+                done();
+            });
+        })
+
+        it('should be reported separately from changed attributes', () => {
+            let m = new M();
+
+            expect(m.changedComputed()).to.equal(false);
+
+            m.last = 'Jones';
+
+            expect(m.changed()).to.deep.equal(['last']);
+            expect(m.changedComputed()).to.deep.equal(['name', 'initials']);
+        })
+
+        it('should only be included in JSON if serialized', () => {
+            let m = new M();
+
+            expect(m.toJSON()).to.deep.equal({id: null, first: 'John', last: 'Smith', initials: 'JS'});
+        })
+
+        it('should never be included in save data', () => {
+            let m = new M();
+
+            expect(m.getSaveData()).to.deep.equal({id: null, first: 'John', last: 'Smith'});
+        })
+
+        it('should be validated', (done) => {
+            let m = new M({first: 'Johnathan'});
+
+            m.validate().then((errors) => {
+                expect(errors).to.deep.equal({name: ['Too long']});
+                expect(m.errors).to.deep.equal({name: ['Too long']});
+
+                return m.validate('name');
+            }).then((errors) => {
+                expect(errors).to.deep.equal({name: ['Too long']});
+                done();
+            }).catch(done);
+        })
+
+        it('should not allow attributes to use a computed name', () => {
+            let m = new M();
+            expect(() => m.registerAttribute('name')).to.throw("Can't use computed attribute name 'name'");
+        })
+    })
+
+    describe('history', () => {
+        let create = (attributes = {a: 1, b: 2}, options = {}) => {
+            return new Model(attributes, null, _.assign({history: true}, options));
+        }
+
+        it('should not record changes by default', () => {
+            let m = new Model({a: 1});
+            m.a = 2;
+
+            expect(m.canUndo).to.equal(false);
+            expect(m.undo()).to.equal(false);
+            expect(m.a).to.equal(2);
+        })
+
+        it('should undo and redo changes', () => {
+            let m = create();
+
+            m.a = 5;
+            m.b = 6;
+
+            expect(m.canUndo).to.equal(true);
+            expect(m.canRedo).to.equal(false);
+
+            expect(m.undo()).to.equal(true);
+            expect(m.a).to.equal(5);
+            expect(m.b).to.equal(2);
+            expect(m.canRedo).to.equal(true);
+
+            m.undo();
+            expect(m.a).to.equal(1);
+            expect(m.canUndo).to.equal(false);
+
+            expect(m.redo()).to.equal(true);
+            expect(m.a).to.equal(5);
+            expect(m.b).to.equal(2);
+
+            m.redo();
+            expect(m.b).to.equal(6);
+            expect(m.redo()).to.equal(false);
+        })
+
+        it('should clear the redo history when a new change is made', () => {
+            let m = create();
+
+            m.a = 5;
+            m.undo();
+            m.b = 6;
+
+            expect(m.canRedo).to.equal(false);
+        })
+
+        it('should group changes made in a batch as a single step', () => {
+            let m = create();
+
+            let result = m.batch(() => {
+                m.a = 5;
+                m.batch(() => m.b = 6);
+                return 'done';
+            });
+
+            expect(result).to.equal('done');
+
+            m.undo();
+            expect(m.a).to.equal(1);
+            expect(m.b).to.equal(2);
+            expect(m.canUndo).to.equal(false);
+
+            m.redo();
+            expect(m.a).to.equal(5);
+            expect(m.b).to.equal(6);
+        })
+
+        it('should honour the history limit', () => {
+            let m = create({a: 0}, {historyLimit: 2});
+
+            m.a = 1;
+            m.a = 2;
+            m.a = 3;
+
+            m.undo();
+            m.undo();
+
+            expect(m.a).to.equal(1);
+            expect(m.undo()).to.equal(false);
+        })
+
+        it('should clear the history on sync', () => {
+            let m = create();
+
+            m.a = 5;
+            m.sync();
+
+            expect(m.canUndo).to.equal(false);
+        })
+
+        it('should emit events on undo and redo', () => {
+            let m = create();
+            let events = [];
+
+            m.on('undo, redo', (event) => events.push(event.step));
+            m.a = 5;
+            m.undo();
+            m.redo();
+
+            expect(events).to.deep.equal([
+                [{attribute: 'a', previous: 1, value: 5}],
+                [{attribute: 'a', previous: 1, value: 5}],
+            ]);
+        })
+
+        it('should have reactive flags', (done) => {
+            let m = create();
+            let vm = new Vue({
+                data: {m},
+                computed: {
+                    undoable() { return this.m.canUndo }
+                },
+            });
+
+            expect(vm.undoable).to.equal(false);
+            m.a = 5;
+
+            Vue.nextTick(() => {
+                expect(vm.undoable).to.equal(true);
+                done();
+            });
+        })
+    })
+
+    describe('changes', () => {
+        it('should return an empty array if nothing has changed', () => {
+            let m = new Model({a: 1, b: {c: 2}});
+            expect(m.changes()).to.deep.equal([]);
+        })
+
+        it('should return top-level changes', () => {
+            let m = new Model({a: 1, b: 2});
+            m.a = 3;
+
+            expect(m.changes()).to.deep.equal([{path: 'a', old: 1, new: 3}]);
+        })
+
+        it('should descend into plain objects', () => {
+            let m = new Model({address: {city: 'Auckland', zip: '1010'}});
+            m.address.city = 'Wellington';
+
+            expect(m.changes()).to.deep.equal([{path: 'address.city', old: 'Auckland', new: 'Wellington'}]);
+        })
+
+        it('should descend into arrays', () => {
+            let m = new Model({tags: ['a', 'b']});
+            m.tags.push('c');
+
+            expect(m.changes()).to.deep.equal([{path: 'tags.2', old: undefined, new: 'c'}]);
+        })
+
+        it('should include added and removed attributes', () => {
+            let m = new Model({a: 1});
+            m.set('b', 2);
+
+            expect(m.changes()).to.deep.equal([{path: 'b', old: undefined, new: 2}]);
+        })
+
+        it('should descend into nested models', () => {
+            let m = new Model({author: new Model({id: 1, name: 'Fred'})});
+            m.author.name = 'Bob';
+
+            expect(m.changes()).to.deep.equal([{path: 'author.name', old: 'Fred', new: 'Bob'}]);
+        })
+
+        it('should consider a different nested model as a change', () => {
+            let m = new Model({author: new Model({id: 1})});
+            let author = new Model({id: 2});
+            m.author = author;
+
+            let changes = m.changes();
+
+            expect(changes).to.have.lengthOf(1);
+            expect(changes[0].path).to.equal('author');
+            expect(changes[0].new).to.equal(author);
+        })
+
+        it('should descend into nested collections', () => {
+            let m = new Model({tasks: new Collection([new Model({id: 1, done: false}), new Model({id: 2, done: false})])});
+            m.tasks.models[1].done = true;
+
+            expect(m.changes()).to.deep.equal([{path: 'tasks.1.done', old: false, new: true}]);
+        })
+
+        it('should consider different models in a nested collection as a change', () => {
+            let m = new Model({tasks: new Collection([new Model({id: 1})])});
+            m.tasks.add({id: 2});
+
+            let changes = m.changes();
+
+            expect(changes).to.have.lengthOf(1);
+            expect(changes[0].path).to.equal('tasks');
+        })
+    })
+
+    describe('isDirty', () => {
+        it('should determine whether anything has changed', () => {
+            let m = new Model({a: 1});
+            expect(m.isDirty()).to.equal(false);
+
+            m.a = 2;
+            expect(m.isDirty()).to.equal(true);
+        })
+
+        it('should determine whether a path has changed', () => {
+            let m = new Model({address: {city: 'Auckland', zip: '1010'}, name: 'Fred'});
+            m.address.city = 'Wellington';
+
+            expect(m.isDirty('address')).to.equal(true);
+            expect(m.isDirty('address.city')).to.equal(true);
+            expect(m.isDirty('address.zip')).to.equal(false);
+            expect(m.isDirty('name')).to.equal(false);
+            expect(m.isDirty('addr')).to.equal(false);
+        })
+
+        it('should consider a path within a replaced value as changed', () => {
+            let m = new Model({address: null});
+            m.address = {city: 'Wellington'};
+
+            expect(m.isDirty('address.city')).to.equal(true);
+        })
+
+        it('should be reactive', (done) => {
+            let m = new Model({address: {city: 'Auckland'}});
+            let vm = new Vue({
+                data: {m},
+                computed: {
+                    dirty() { return this.m.isDirty('address.city') }
+                },
+            });
+
+            expect(vm.dirty).to.equal(false);
+            m.address.city = 'Wellington';
+
+            Vue.nextTick(() => {
+                expect(vm.dirty).to.equal(true);
+                done();
+            });
+        })
+    })
+
+    describe('isClean', () => {
+        it('should determine whether nothing has changed', () => {
+            let m = new Model({a: {b: 1}});
+            expect(m.isClean()).to.equal(true);
+
+            m.a.b = 2;
+            expect(m.isClean()).to.equal(false);
+
+            m.reset();
+            expect(m.isClean()).to.equal(true);
+        })
+    })
+
+    describe('patchFormat', () => {
+        let M = class extends Model {
+            defaults() { return {id: null, name: '', address: {city: '', zip: ''}, tags: []}}
+            routes()   { return {save: '/people/{id}'}}
+        }
+
+        it('should send changed attributes by default', () => {
+            let m = new M({id: 1, name: 'Fred'}, null, {patch: true});
+            m.name = 'Bob';
+
+            expect(m.getSaveData()).to.deep.equal({id: 1, name: 'Bob'});
+            expect(m.getSaveHeaders()).to.deep.equal({});
+        })
+
+        it('should send a JSON Patch document', () => {
+            let m = new M({id: 1, name: 'Fred', address: {city: 'Auckland', zip: '1010'}}, null, {
+                patch: true,
+                patchFormat: 'json-patch',
+            });
+
+            m.name = 'Bob';
+            m.address.city = 'Wellington';
+            m.tags = ['a'];
+
+            expect(m.getSaveData()).to.deep.equal([
+                {op: 'replace', path: '/name', value: 'Bob'},
+                {op: 'replace', path: '/address/city', value: 'Wellington'},
+                {op: 'replace', path: '/tags', value: ['a']},
+            ]);
+        })
+
+        it('should send a JSON Merge Patch document', () => {
+            let m = new M({id: 1, name: 'Fred', address: {city: 'Auckland', zip: '1010'}}, null, {
+                patch: true,
+                patchFormat: 'merge-patch',
+            });
+
+            m.address.city = 'Wellington';
+            m.unset('name');
+
+            expect(m.getSaveData()).to.deep.equal({name: '', address: {city: 'Wellington'}});
+        })
+
+        it('should use serialized attributes', () => {
+            let C = class extends M {
+                casts() { return {due_at: 'date'}}
+            }
+
+            let m = new C({id: 1, due_at: '2019-01-01'}, null, {patch: true, patchFormat: 'json-patch'});
+            m.due_at = '2019-01-02';
+
+            expect(m.getSaveData()).to.deep.equal([{op: 'replace', path: '/due_at', value: '2019-01-02'}]);
+        })
+
+        it('should send attributes when creating', () => {
+            let m = new M({name: 'Fred'}, null, {patch: true, patchFormat: 'json-patch'});
+
+            expect(m.getSaveData()).to.deep.equal(m.attributes);
+            expect(m.getSaveHeaders()).to.deep.equal({});
+        })
+
+        it('should send the patch content type', (done) => {
+            let m = new M({id: 1, name: 'Fred'}, null, {patch: true, patchFormat: 'merge-patch'});
+            m.name = 'Bob';
+
+            moxios.withMock(() => {
+                m.save().then(() => done()).catch(done);
+
+                moxios.wait(() => {
+                    let request = moxios.requests.mostRecent();
+
+                    expect(request.config.method).to.equal('patch');
+                    expect(request.headers['Content-Type']).to.equal('application/merge-patch+json');
+                    expect(JSON.parse(request.config.data)).to.deep.equal({name: 'Bob'});
+
+                    request.respondWith({status: 200});
+                })
+            })
+        })
+
+        it('should replace attributes with the resource returned by the server', (done) => {
+            let m = new Model({id: 1, a: 1, b: 2}, null, {patch: true, patchFormat: 'json-patch'});
+            m.routes = () => ({save: '/models/{id}'});
+            m.a = 5;
+
+            moxios.withMock(() => {
+                m.save().then(() => {
+                    expect(m.attributes).to.deep.equal({id: 1, a: 5});
+                    expect(m.$).to.deep.equal({id: 1, a: 5});
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 200,
+                        response: {id: 1, a: 5},
+                    });
+                })
+            })
+        })
+    })
+
+    describe('concurrency', () => {
+        let M = class extends Model {
+            defaults() { return {id: null, name: '', version: null}}
+            routes()   { return {fetch: '/people/{id}', save: '/people/{id}', delete: '/people/{id}'}}
+        }
+
+        it('should not send If-Match by default', () => {
+            let m = new M({id: 1, version: 3});
+
+            expect(m.getVersion()).to.be.null;
+            expect(m.getSaveHeaders()).to.deep.equal({});
+            expect(m.getDeleteHeaders()).to.deep.equal({});
+        })
+
+        it('should capture the ETag on fetch and send it on save', (done) => {
+            let m = new M({id: 1}, null, {useETag: true});
+
+            moxios.withMock(() => {
+                m.fetch().then(() => {
+                    expect(m.getVersion()).to.equal('"abc"');
+
+                    m.name = 'Bob';
+                    m.save();
+
+                    moxios.wait(() => {
+                        expect(moxios.requests.mostRecent().headers['If-Match']).to.equal('"abc"');
+                        done();
+                    })
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 200,
+                        response: {id: 1, name: 'Fred'},
+                        headers: {etag: '"abc"'},
+                    });
+                })
+            })
+        })
+
+        it('should update the ETag on save', (done) => {
+            let m = new M({id: 1}, null, {useETag: true});
+
+            moxios.withMock(() => {
+                m.save().then(() => {
+                    expect(m.getVersion()).to.equal('"def"');
+                    done();
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 200,
+                        headers: {etag: '"def"'},
+                    });
+                })
+            })
+        })
+
+        it('should send the version attribute on delete', (done) => {
+            let m = new M({id: 1, version: 3}, null, {versionAttribute: 'version'});
+
+            moxios.withMock(() => {
+                m.delete();
+
+                moxios.wait(() => {
+                    expect(moxios.requests.mostRecent().headers['If-Match']).to.equal('"3"');
+                    done();
+                })
+            })
+        })
+
+        it('should use the saved version', () => {
+            let m = new M({id: 1, version: 3}, null, {versionAttribute: 'version'});
+            m.version = 4;
+
+            expect(m.getVersion()).to.equal(3);
+        })
+
+        it('should not send If-Match when creating', () => {
+            let m = new M({version: 3}, null, {versionAttribute: 'version'});
+
+            expect(m.getSaveHeaders()).to.deep.equal({});
+        })
+
+        it('should reject with a conflict error on 409', (done) => {
+            let m = new M({id: 1, version: 3}, null, {versionAttribute: 'version'});
+            let conflicts = [];
+
+            m.on('conflict', (e) => conflicts.push(e.conflict));
+
+            moxios.withMock(() => {
+                m.save().catch((error) => {
+                    expect(error).to.be.an.instanceOf(ConflictError);
+                    expect(m.fatal).to.equal(false);
+                    expect(m.saving).to.equal(false);
+                    expect(m.conflict).to.deep.equal({version: 4, attributes: {id: 1, name: 'Bob', version: 4}});
+                    expect(conflicts).to.deep.equal([m.conflict]);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 409,
+                        response: {id: 1, name: 'Bob', version: 4},
+                    });
+                })
+            })
+        })
+
+        it('should set a conflict on 412 when deleting', (done) => {
+            let m = new M({id: 1}, null, {useETag: true});
+
+            moxios.withMock(() => {
+                m.delete().catch((error) => {
+                    expect(error).to.be.an.instanceOf(ConflictError);
+                    expect(m.fatal).to.equal(false);
+                    expect(m.deleting).to.equal(false);
+                    expect(m.conflict).to.deep.equal({version: '"xyz"', attributes: null});
+                    done();
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 412,
+                        headers: {etag: '"xyz"'},
+                    });
+                })
+            })
+        })
+
+        it('should clear the conflict when saved', (done) => {
+            let m = new M({id: 1});
+
+            moxios.withMock(() => {
+                m.save().catch(() => {
+                    expect(m.conflict).to.not.be.null;
+
+                    m.save().then(() => {
+                        expect(m.conflict).to.be.null;
+                        done();
+                    });
+
+                    moxios.wait(() => {
+                        moxios.requests.mostRecent().respondWith({status: 200});
+                    })
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({status: 409});
+                })
+            })
+        })
+
+        it('should still be fatal on other errors', (done) => {
+            let m = new M({id: 1}, null, {useETag: true});
+
+            moxios.withMock(() => {
+                m.save().catch((error) => {
+                    expect(error).to.not.be.an.instanceOf(ConflictError);
+                    expect(m.fatal).to.equal(true);
+                    expect(m.conflict).to.be.null;
+                    done();
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({status: 500});
+                })
+            })
+        })
+    })
+
+    describe('mergeStrategy', () => {
+        let M = class extends Model {
+            defaults() { return {id: null, name: '', email: '', age: null}}
+            routes()   { return {fetch: '/people/{id}'}}
+        }
+
+        let fetch = (m, data, done, callback) => {
+            moxios.withMock(() => {
+                m.fetch().then(() => {
+                    callback();
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({status: 200, response: data});
+                })
+            })
+        }
+
+        it('should overwrite local changes by default', (done) => {
+            let m = new M({id: 1, name: 'Fred', email: 'fred@example.com'});
+            m.name = 'Bob';
+
+            fetch(m, {id: 1, name: 'Fred', email: 'fred@example.org'}, done, () => {
+                expect(m.name).to.equal('Fred');
+                expect(m.email).to.equal('fred@example.org');
+                expect(m.conflicts).to.deep.equal([]);
+            });
+        })
+
+        it('should keep local changes', (done) => {
+            let m = new M({id: 1, name: 'Fred', email: 'fred@example.com'}, null, {mergeStrategy: 'keepLocal'});
+            m.name = 'Bob';
+
+            fetch(m, {id: 1, name: 'Frederick', email: 'fred@example.org'}, done, () => {
+                expect(m.name).to.equal('Bob');
+                expect(m.email).to.equal('fred@example.org');
+                expect(m.saved('name')).to.equal('Frederick');
+                expect(m.conflicts).to.deep.equal([]);
+            });
+        })
+
+        it('should merge non-conflicting changes', (done) => {
+            let m = new M({id: 1, name: 'Fred', email: 'fred@example.com'}, null, {mergeStrategy: 'threeWay'});
+            m.name = 'Bob';
+
+            fetch(m, {id: 1, name: 'Fred', email: 'fred@example.org'}, done, () => {
+                expect(m.name).to.equal('Bob');
+                expect(m.email).to.equal('fred@example.org');
+                expect(m.changed()).to.deep.equal(['name']);
+                expect(m.hasConflicts()).to.equal(false);
+            });
+        })
+
+        it('should not conflict when both sides made the same change', (done) => {
+            let m = new M({id: 1, name: 'Fred'}, null, {mergeStrategy: 'threeWay'});
+            m.name = 'Bob';
+
+            fetch(m, {id: 1, name: 'Bob'}, done, () => {
+                expect(m.name).to.equal('Bob');
+                expect(m.changed()).to.equal(false);
+                expect(m.hasConflicts()).to.equal(false);
+            });
+        })
+
+        it('should collect conflicting changes', (done) => {
+            let m = new M({id: 1, name: 'Fred', age: 30}, null, {mergeStrategy: 'threeWay'});
+            m.name = 'Bob';
+            m.age  = 31;
+
+            fetch(m, {id: 1, name: 'Frederick', age: 30}, done, () => {
+                expect(m.name).to.equal('Bob');
+                expect(m.age).to.equal(31);
+                expect(m.conflicts).to.deep.equal([
+                    {attribute: 'name', base: 'Fred', local: 'Bob', remote: 'Frederick'},
+                ]);
+            });
+        })
+
+        it('should resolve conflicts', (done) => {
+            let m = new M({id: 1, name: 'Fred', email: 'a', age: 30}, null, {mergeStrategy: 'threeWay'});
+            m.name  = 'Bob';
+            m.email = 'b';
+            m.age   = 31;
+
+            fetch(m, {id: 1, name: 'Frederick', email: 'c', age: 32}, done, () => {
+                expect(m.conflicts).to.have.length(3);
+
+                m.resolve('name', 'remote');
+                m.resolve('email', 'local');
+                m.resolve('age', 33);
+
+                expect(m.name).to.equal('Frederick');
+                expect(m.email).to.equal('b');
+                expect(m.age).to.equal(33);
+                expect(m.hasConflicts()).to.equal(false);
+            });
+        })
+
+        it('should keep local changes of related models', (done) => {
+            let P = class extends M {
+                defaults()  { return {id: null, name: '', address: null, friends: []}}
+                relations() { return {address: hasOne(M), friends: hasMany(M)}}
+            }
+
+            let m = new P({id: 1, address: {id: 2, name: 'Home'}, friends: [{id: 3, name: 'Bob'}]}, null, {mergeStrategy: 'keepLocal'});
+            let address = m.address;
+            let friend = m.friends.first();
+
+            address.name = 'Work';
+            friend.name = 'Robert';
+
+            fetch(m, {id: 1, name: 'Fred', address: {id: 2, name: 'House', age: 5}, friends: [{id: 3, name: 'Bobby', age: 40}, {id: 4}]}, done, () => {
+                expect(m.address).to.equal(address);
+                expect(address.name).to.equal('Work');
+                expect(address.age).to.equal(5);
+                expect(address.saved('name')).to.equal('House');
+
+                expect(m.friends.first()).to.equal(friend);
+                expect(m.friends.map('id')).to.deep.equal([3, 4]);
+                expect(friend.name).to.equal('Robert');
+                expect(friend.age).to.equal(40);
+            });
+        })
+
+        it('should not record local changes that are kept in the history', (done) => {
+            let m = new M({id: 1, name: 'Fred', email: 'a'}, null, {mergeStrategy: 'keepLocal', history: true});
+            m.name = 'Bob';
+
+            fetch(m, {id: 1, name: 'Fred', email: 'b'}, done, () => {
+                expect(m.canUndo).to.equal(false);
+                expect(m.name).to.equal('Bob');
+                expect(m.email).to.equal('b');
+            });
+        })
+
+        it('should only patch the given attributes', () => {
+            let m = new M({id: 1, name: 'Fred', email: 'a', age: 30}, null, {mergeStrategy: 'threeWay', history: true});
+            m.name  = 'Bob';
+            m.email = 'b';
+
+            m.patch({name: 'Frederick', age: 31});
+
+            expect(m.name).to.equal('Bob');
+            expect(m.email).to.equal('b');
+            expect(m.age).to.equal(31);
+            expect(m.saved('email')).to.equal('a');
+            expect(m.changed()).to.deep.equal(['name', 'email']);
+            expect(m.conflicts).to.deep.equal([
+                {attribute: 'name', base: 'Fred', local: 'Bob', remote: 'Frederick'},
+            ]);
+
+            m.undo();
+
+            expect(m.email).to.equal('a');
+            expect(m.age).to.equal(31);
+        })
+
+        it('should throw when resolving an attribute without a conflict', () => {
+            let m = new M({id: 1});
+
+            expect(() => m.resolve('name', 'local')).to.throw("Attribute 'name' does not have a conflict");
+        })
+
+        it('should clear conflicts that have been synced', (done) => {
+            let m = new M({id: 1, name: 'Fred', age: 30}, null, {mergeStrategy: 'threeWay'});
+            m.name = 'Bob';
+            m.age  = 31;
+
+            fetch(m, {id: 1, name: 'Frederick', age: 32}, done, () => {
+                m.sync('name');
+                expect(m.conflicts).to.deep.equal([]);
+            });
+        })
+
+        it('should be reactive', (done) => {
+            let m = new M({id: 1, name: 'Fred'}, null, {mergeStrategy: 'threeWay'});
+            let vm = new Vue({data: {m}, computed: {count() { return this.m.conflicts.length }}});
+
+            expect(vm.count).to.equal(0);
+            m.name = 'Bob';
+
+            fetch(m, {id: 1, name: 'Frederick'}, done, () => {
+                expect(vm.count).to.equal(1);
+            });
+        })
+    })
+
+    describe('optimistic', () => {
+        let M = class extends Model {
+            routes() { return {save: '/people/{id}', delete: '/people/{id}'}}
+        }
+
+        let respond = (status) => moxios.wait(() => {
+            moxios.requests.mostRecent().respondWith({status});
+        });
+
+        it('should not apply changes before the request by default', (done) => {
+            let a = new M({id: 1});
+            let b = new M({id: 2});
+            let c = new Collection([a, b]);
+
+            moxios.withMock(() => {
+                b.delete().then(() => {
+                    expect(c.models).to.deep.equal([a]);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    expect(c.models).to.deep.equal([a, b]);
+                    moxios.requests.mostRecent().respondWith({status: 200});
+                })
+            })
+        })
+
+        it('should remove the model from its collections before deleting', (done) => {
+            let a = new M({id: 1}, null, {optimistic: true});
+            let b = new M({id: 2}, null, {optimistic: true});
+            let c = new Collection([a, b]);
+
+            moxios.withMock(() => {
+                a.delete().then(() => {
+                    expect(c.models).to.deep.equal([b]);
+                    expect(a.collections).to.be.empty;
+                    done();
+                });
+
+                moxios.wait(() => {
+                    expect(c.models).to.deep.equal([b]);
+                    moxios.requests.mostRecent().respondWith({status: 200});
+                })
+            })
+        })
+
+        it('should restore the position of the model if the delete failed', (done) => {
+            let a = new M({id: 1});
+            let b = new M({id: 2}, null, {optimistic: true});
+            let d = new M({id: 3});
+            let c = new Collection([a, b, d], {history: true});
+
+            moxios.withMock(() => {
+                b.delete().catch(() => {
+                    expect(c.models).to.deep.equal([a, b, d]);
+                    expect(b.collections).to.deep.equal([c]);
+                    expect(c.canUndo).to.equal(false);
+                    done();
+                });
+
+                respond(500);
+            })
+        })
+
+        it('should add the model to its collections before creating', (done) => {
+            let c = new Collection();
+            let m = new M({name: 'Fred'}, c, {optimistic: true});
+
+            moxios.withMock(() => {
+                m.save().then(() => {
+                    expect(c.models).to.deep.equal([m]);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    expect(c.models).to.deep.equal([m]);
+                    moxios.requests.mostRecent().respondWith({status: 201, response: {id: 1}});
+                })
+            })
+        })
+
+        it('should remove the model again if the create failed', (done) => {
+            let c = new Collection();
+            let m = new M({name: 'Fred'}, c, {optimistic: true});
+
+            moxios.withMock(() => {
+                m.save().catch(() => {
+                    expect(c.models).to.be.empty;
+                    expect(m.collections).to.deep.equal([c]);
+                    done();
+                });
+
+                respond(500);
+            })
+        })
+    })
+
+    describe('softDelete', () => {
+        let M = class extends Model {
+            defaults() { return {id: null, name: '', deleted_at: null}}
+            routes()   { return {delete: '/people/{id}', restore: '/people/{id}/restore'}}
+        }
+
+        it('should clear and remove the model by default', (done) => {
+            let m = new M({id: 1, name: 'Fred'});
+            let c = new Collection([m]);
+
+            moxios.withMock(() => {
+                m.delete().then(() => {
+                    expect(c.models).to.be.empty;
+                    expect(m.name).to.equal('');
+                    done();
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({status: 200});
+                })
+            })
+        })
+
+        it('should mark the model as trashed', (done) => {
+            let m = new M({id: 1, name: 'Fred'}, null, {softDelete: true});
+            let c = new Collection([m]);
+
+            expect(m.isTrashed()).to.equal(false);
+
+            moxios.withMock(() => {
+                m.delete().then(() => {
+                    expect(c.models).to.deep.equal([m]);
+                    expect(m.name).to.equal('Fred');
+                    expect(m.deleted_at).to.equal('2019-01-01T00:00:00Z');
+                    expect(m.isTrashed()).to.equal(true);
+                    expect(m.changed()).to.equal(false);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 200,
+                        response: {id: 1, deleted_at: '2019-01-01T00:00:00Z'},
+                    });
+                })
+            })
+        })
+
+        it('should use the current time if the response has no deleted time', (done) => {
+            let m = new M({id: 1}, null, {softDelete: true, deletedAtAttribute: 'removed'});
+
+            moxios.withMock(() => {
+                m.delete().then(() => {
+                    expect(m.removed).to.be.a('string');
+                    expect(m.isTrashed()).to.equal(true);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({status: 204});
+                })
+            })
+        })
+
+        it('should restore a trashed model', (done) => {
+            let m = new M({id: 1, deleted_at: '2019-01-01T00:00:00Z'}, null, {softDelete: true});
+            let events = [];
+
+            m.on('restore', (e) => events.push(e.error));
+
+            moxios.withMock(() => {
+                m.restore().then(() => {
+                    expect(m.isTrashed()).to.equal(false);
+                    expect(m.deleted_at).to.be.null;
+                    expect(m.restoring).to.equal(false);
+                    expect(events).to.deep.equal([null]);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    let request = moxios.requests.mostRecent();
+
+                    expect(m.restoring).to.equal(true);
+                    expect(request.config.method).to.equal('post');
+                    expect(request.config.url).to.equal('/people/1/restore');
+
+                    request.respondWith({status: 200});
+                })
+            })
+        })
+
+        it('should keep the history of unsaved changes when trashed and restored', () => {
+            let transport = (config) => Promise.resolve({status: 200, data: {}, headers: {}});
+            let m = new M({id: 1, name: 'Fred'}, null, {softDelete: true, history: true, transport});
+
+            m.name = 'Barney';
+
+            return m.delete().then(() => {
+                expect(m.isTrashed()).to.equal(true);
+                expect(m.changed()).to.deep.equal(['name']);
+                expect(m.canUndo).to.equal(true);
+
+                return m.restore();
+            }).then(() => {
+                expect(m.isTrashed()).to.equal(false);
+                expect(m.changed()).to.deep.equal(['name']);
+
+                m.undo();
+
+                expect(m.name).to.equal('Fred');
+                expect(m.deleted_at).to.be.null;
+                expect(m.canUndo).to.equal(false);
+            });
+        })
+
+        it('should not restore a model that is not trashed', (done) => {
+            let m = new M({id: 1}, null, {softDelete: true});
+
+            moxios.withMock(() => {
+                m.restore().then((response) => {
+                    expect(response).to.be.null;
+                    expect(moxios.requests.count()).to.equal(0);
+                    done();
+                });
+            })
+        })
+
+        it('should be fatal if the restore failed', (done) => {
+            let m = new M({id: 1, deleted_at: '2019-01-01T00:00:00Z'}, null, {softDelete: true});
+
+            moxios.withMock(() => {
+                m.restore().catch(() => {
+                    expect(m.isTrashed()).to.equal(true);
+                    expect(m.restoring).to.equal(false);
+                    expect(m.fatal).to.equal(true);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({status: 500});
+                })
+            })
+        })
+    })
+
+    describe('cancel', () => {
+        let M = class extends Model {
+            defaults() { return {id: 1, name: null}}
+            routes()   { return {fetch: '/tasks/{id}', save: '/tasks', delete: '/tasks/{id}'}}
+        }
+
+        it('should reject a cancelled fetch and restore loading', (done) => {
+            let m = new M();
+
+            moxios.withMock(() => {
+                let request = m.fetch();
+
+                request.then(() => done(new Error('Fetch was not cancelled'))).catch((error) => {
+                    expect(error).to.be.an.instanceOf(CancelledError);
+                    expect(m.loading).to.equal(false);
+                    expect(m.fatal).to.equal(false);
+
+                    moxios.wait(() => {
+                        moxios.requests.mostRecent().respondWith({status: 200, response: {id: 1, name: 'Fred'}}).then(() => {
+                            expect(m.name).to.be.null;
+                            done();
+                        });
+                    });
+                });
+
+                moxios.wait(() => {
+                    expect(m.loading).to.equal(true);
+                    request.cancel();
+                    expect(m.loading).to.equal(false);
+                })
+            })
+        })
+
+        // Signals can't be created where `AbortController` is not supported.
+        let withAbortController = typeof AbortController === 'undefined' ? it.skip : it;
+
+        it('should cancel a request using a cancel token without AbortController', () => {
+            let configs = [];
+            let AbortController = global.AbortController;
+
+            // Never responds, so the request can only end by being cancelled.
+            let transport = (config) => {
+                configs.push(config);
+                return new Promise(() => {});
+            };
+
+            let m = new M({}, null, {transport});
+            let request;
+
+            delete global.AbortController;
+
+            try {
+                request = m.fetch();
+            } finally {
+                global.AbortController = AbortController;
+            }
+
+            return new Promise((resolve) => setTimeout(resolve)).then(() => {
+                expect(configs[0].signal).to.be.undefined;
+                expect(configs[0].cancelToken.reason).to.be.undefined;
+
+                request.cancel();
+
+                expect(configs[0].cancelToken.reason).to.not.be.undefined;
+                expect(m.loading).to.equal(false);
+
+                return request.then(() => assert.fail()).catch((error) => {
+                    expect(error).to.be.an.instanceOf(CancelledError);
+                });
+            });
+        })
+
+        withAbortController('should cancel a save using a signal', (done) => {
+            let m = new M();
+            let controller = new AbortController();
+
+            m.name = 'Fred';
+
+            moxios.withMock(() => {
+                m.save({signal: controller.signal}).catch((error) => {
+                    expect(error).to.be.an.instanceOf(CancelledError);
+                    expect(m.saving).to.equal(false);
+                    expect(m.fatal).to.equal(false);
+                    expect(m.changed()).to.deep.equal(['name']);
+                    done();
+                });
+
+                moxios.wait(() => {
+                    controller.abort();
+                })
+            })
+        })
+
+        withAbortController('should not make a request if the signal was already aborted', (done) => {
+            let m = new M();
+            let controller = new AbortController();
+
+            controller.abort();
+
+            moxios.withMock(() => {
+                m.delete({signal: controller.signal}).catch((error) => {
+                    expect(error).to.be.an.instanceOf(CancelledError);
+                    expect(m.deleting).to.equal(false);
+
+                    moxios.wait(() => {
+                        expect(moxios.requests.count()).to.equal(0);
+                        done();
+                    })
+                });
+            })
+        })
+
+        it('should roll back an optimistic save that was cancelled right away', () => {
+            let calls = 0;
+            let transport = () => {
+                calls++;
+                return Promise.resolve({status: 201, data: {id: 2}, headers: {}});
+            };
+
+            let c = new Collection();
+            let m = new M({name: 'Fred'}, c, {optimistic: true, transport});
+
+            let request = m.save();
+
+            request.cancel();
+
+            return request.then(() => assert.fail()).catch((error) => {
+                expect(error).to.be.an.instanceOf(CancelledError);
+            }).then(() => new Promise((resolve) => setTimeout(resolve))).then(() => {
+                expect(calls).to.equal(0);
+                expect(c.models).to.be.empty;
+                expect(m.collections).to.deep.equal([c]);
+                expect(m.saving).to.equal(false);
+            });
+        })
+
+        it('should not succeed if a redundant save was cancelled right away', () => {
+            let transport = () => assert.fail();
+
+            let c = new Collection();
+            let m = new M({}, c, {saveUnchanged: false, transport});
+            let saved = false;
+
+            m.on('save.success', () => saved = true);
+
+            let request = m.save();
+
+            request.cancel();
+
+            return request.then(() => assert.fail()).catch((error) => {
+                expect(error).to.be.an.instanceOf(CancelledError);
+            }).then(() => new Promise((resolve) => setTimeout(resolve))).then(() => {
+                expect(saved).to.equal(false);
+                expect(c.models).to.be.empty;
+            });
+        })
+
+        it('should not cancel a request that has completed', (done) => {
+            let m = new M();
+
+            moxios.withMock(() => {
+                let request = m.fetch();
+
+                request.then(() => {
+                    request.cancel();
+
+                    expect(m.name).to.equal('Fred');
+                    expect(m.loading).to.equal(false);
+                    done();
+                }).catch(done);
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({status: 200, response: {id: 1, name: 'Fred'}});
+                })
+            })
+        })
+
+        it('should cancel the previous fetch if enabled', (done) => {
+            let m = new M({}, null, {cancelPrevious: true});
+
+            moxios.withMock(() => {
+                let first = m.fetch();
+
+                first.catch((error) => {
+                    expect(error).to.be.an.instanceOf(CancelledError);
+                });
+
+                moxios.wait(() => {
+                    m.fetch().then(() => {
+                        expect(m.name).to.equal('Second');
+                        done();
+                    }).catch(done);
+
+                    moxios.wait(() => {
+                        expect(moxios.requests.count()).to.equal(2);
+                        expect(m.loading).to.equal(true);
+
+                        moxios.requests.at(1).respondWith({status: 200, response: {id: 1, name: 'Second'}});
+                    })
+                })
+            })
+        })
+    })
+
+    describe('retry', () => {
+        let M = class extends Model {
+            defaults() { return {id: 1, name: null}}
+            routes()   { return {fetch: '/tasks/{id}', save: '/tasks'}}
+        }
+
+        // Transport that responds with the given responses in order, where a
+        // response without a status is a network error.
+        let transport = (...responses) => {
+            let send = (config) => {
+                let response = responses[send.calls.length];
+
+                send.calls.push(config);
+
+                if (response.status >= 200 && response.status < 300) {
+                    return Promise.resolve({headers: {}, ...response});
+                }
+
+                return Promise.reject(Object.assign(new Error('Request failed'), {
+                    response: response.status ? {headers: {}, ...response} : undefined,
+                }));
+            };
+
+            send.calls = [];
+            return send;
+        }
+
+        let retry = {attempts: 3, delay: 1, jitter: false};
+
+        it('should retry a fetch that failed with a retryable status', () => {
+            let send = transport({status: 503}, {status: 502}, {status: 200, data: {id: 1, name: 'Fred'}});
+            let m = new M({}, null, {transport: send, retry});
+            let retries = [];
+
+            m.on('retry', ({attempt, attempts, delay}) => retries.push({attempt, attempts, delay}));
+
+            return m.fetch().then(() => {
+                expect(send.calls.length).to.equal(3);
+                expect(m.name).to.equal('Fred');
+                expect(m.fatal).to.equal(false);
+                expect(retries).to.deep.equal([
+                    {attempt: 2, attempts: 3, delay: 1},
+                    {attempt: 3, attempts: 3, delay: 2},
+                ]);
+            });
+        })
+
+        it('should retry a request that failed because of the network', () => {
+            let send = transport({}, {status: 200, data: {id: 1, name: 'Fred'}});
+            let m = new M({}, null, {transport: send, retry});
+
+            return m.fetch().then(() => {
+                expect(send.calls.length).to.equal(2);
+            });
+        })
+
+        it('should fail when there are no attempts left', () => {
+            let send = transport({status: 503}, {status: 503}, {status: 503});
+            let m = new M({}, null, {transport: send, retry});
+
+            return m.fetch().then(() => {
+                assert.fail();
+            }).catch((error) => {
+                expect(error.getResponse().getStatus()).to.equal(503);
+                expect(send.calls.length).to.equal(3);
+                expect(m.fatal).to.equal(true);
+                expect(m.loading).to.equal(false);
+            });
+        })
+
+        it('should not retry a status or method that is not retryable', () => {
+            let send = transport({status: 500}, {status: 404});
+            let m = new M({}, null, {transport: send, retry});
+
+            m.name = 'Fred';
+
+            return m.save().catch(() => m.fetch()).then(() => {
+                assert.fail();
+            }).catch((error) => {
+                expect(error.getResponse().getStatus()).to.equal(404);
+                expect(send.calls.length).to.equal(2);
+            });
+        })
+
+        it('should not retry if the server asks to wait longer than the maximum delay', () => {
+            let send = transport({status: 503, headers: {'retry-after': '86400'}}, {status: 200, data: {id: 1}});
+            let m = new M({}, null, {transport: send, retry: {...retry, maxDelay: 1000}});
+
+            return m.fetch().then(() => {
+                assert.fail();
+            }).catch((error) => {
+                expect(error.getResponse().getStatus()).to.equal(503);
+                expect(send.calls.length).to.equal(1);
+            });
+        })
+
+        it('should not retry by default', () => {
+            let send = transport({status: 503}, {status: 200, data: {id: 1}});
+            let m = new M({}, null, {transport: send});
+
+            return m.fetch().catch(() => {
+                expect(send.calls.length).to.equal(1);
+            });
+        })
+
+        it('should stop retrying when the request is cancelled', (done) => {
+            let send = transport({status: 503}, {status: 200, data: {id: 1, name: 'Fred'}});
+            let m = new M({}, null, {transport: send, retry: {attempts: 2, delay: 20}});
+            let request = m.fetch();
+
+            m.on('retry', () => request.cancel());
+
+            request.catch((error) => {
+                expect(error).to.be.an.instanceOf(CancelledError);
+
+                setTimeout(() => {
+                    expect(send.calls.length).to.equal(1);
+                    expect(m.loading).to.equal(false);
+                    done();
+                }, 40);
+            });
+        })
+
+        describe('getRetryDelay', () => {
+            let error = (status, headers = {}) => new RequestError(new Error(), new Response({status, headers}));
+
+            it('should double the delay with each attempt up to the maximum', () => {
+                let m = new M({}, null, {retry: {delay: 100, maxDelay: 300, jitter: false}});
+
+                expect(m.getRetryDelay(error(503), 1)).to.equal(100);
+                expect(m.getRetryDelay(error(503), 2)).to.equal(200);
+                expect(m.getRetryDelay(error(503), 3)).to.equal(300);
+            })
+
+            it('should randomize the second half of the delay', () => {
+                let m = new M({}, null, {retry: {delay: 100}});
+
+                _.times(10, () => {
+                    expect(m.getRetryDelay(error(503), 1)).to.be.within(50, 100);
+                });
+            })
+
+            it('should honour a Retry-After header in seconds', () => {
+                let m = new M();
+
+                expect(m.getRetryDelay(error(429, {'retry-after': '5'}), 1)).to.equal(5000);
+                expect(m.getRetryDelay(error(500, {'retry-after': '5'}), 1)).to.be.within(500, 1000);
+            })
+
+            it('should honour a Retry-After header with a date', () => {
+                let m = new M();
+                let date = new Date(Date.now() + 10000).toUTCString();
+
+                expect(m.getRetryDelay(error(503, {'retry-after': date}), 1)).to.be.within(8000, 10000);
+            })
+        })
     })
 })
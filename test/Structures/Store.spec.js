@@ -0,0 +1,182 @@
+import moxios from 'moxios'
+import {assert, expect} from 'chai'
+import {Model, Collection, Store} from '../../src/index'
+import {belongsTo, hasMany} from '../../src/Structures/Relation'
+
+describe('Store', () => {
+    let Task = class extends Model {
+        defaults() { return {id: null, name: ''}}
+    }
+
+    let Project = class extends Model {
+        defaults()  { return {id: null, owner: null, tasks: []}}
+        relations() { return {owner: belongsTo(Task), tasks: hasMany(Task)}}
+    }
+
+    describe('createModel', () => {
+        it('should create separate instances without a store', () => {
+            let a = new Collection([], {model: Task});
+            let b = new Collection([], {model: Task});
+
+            a.add({id: 1, name: 'Fred'});
+            b.add({id: 1, name: 'Fred'});
+
+            expect(a.first()).to.not.equal(b.first());
+        })
+
+        it('should reuse an instance that is in another collection', () => {
+            let store = new Store();
+            let a = new Collection([], {model: Task, store});
+            let b = new Collection([], {model: Task, store});
+
+            a.add({id: 1, name: 'Fred'});
+            b.add({id: 1, name: 'Bob'});
+
+            expect(a.first()).to.equal(b.first());
+            expect(a.first().name).to.equal('Bob');
+            expect(store.count(a.first())).to.equal(2);
+        })
+
+        it('should key instances by class', () => {
+            let Other = class extends Model {};
+            let store = new Store();
+            let a = new Collection([], {model: Task, store});
+            let b = new Collection([], {model: Other, store});
+
+            a.add({id: 1});
+            b.add({id: 1});
+
+            expect(a.first()).to.not.equal(b.first());
+            expect(store.size()).to.equal(2);
+        })
+    })
+
+    describe('add', () => {
+        it('should merge a model instance into the existing instance', () => {
+            let store = new Store();
+            let a = new Collection([], {store});
+            let b = new Collection([], {store});
+            let m = new Task({id: 1, name: 'Fred'});
+
+            a.add(m);
+            b.add(new Task({id: 1, name: 'Bob'}));
+
+            expect(b.models).to.deep.equal([m]);
+            expect(m.name).to.equal('Bob');
+        })
+
+        it('should only patch the given attributes of the existing instance', () => {
+            let T = class extends Model {
+                defaults() { return {id: null, name: '', done: false, notes: ''}}
+            }
+
+            let store = new Store();
+            let a = new Collection([], {model: T, store});
+            let b = new Collection([], {model: T, store});
+            let m = a.add({id: 1, name: 'Fred', done: true});
+
+            m.notes = 'Draft';
+            b.add({id: 1, name: 'Bob'});
+
+            expect(m.name).to.equal('Bob');
+            expect(m.done).to.equal(true);
+            expect(m.notes).to.equal('Draft');
+            expect(m.changed()).to.deep.equal(['notes']);
+            expect(m.saved('name')).to.equal('Bob');
+        })
+
+        it('should index models that are assigned an identifier later', () => {
+            let store = new Store();
+            let a = new Collection([], {model: Task, store});
+            let m = a.add({name: 'Fred'});
+
+            m.assign({id: 5, name: 'Fred'});
+
+            expect(store.find(Task, 5)).to.equal(m);
+        })
+    })
+
+    describe('release', () => {
+        it('should release models that are not in any collection', () => {
+            let store = new Store();
+            let a = new Collection([], {model: Task, store});
+            let b = new Collection([], {model: Task, store});
+            let m = a.add({id: 1});
+
+            b.add({id: 1});
+            a.remove(m);
+
+            expect(store.find(Task, 1)).to.equal(m);
+
+            b.remove(m);
+
+            expect(store.has(m)).to.equal(false);
+            expect(store.find(Task, 1)).to.be.undefined;
+            expect(store.size()).to.equal(0);
+        })
+
+        it('should not release models that are not retained', () => {
+            let store = new Store();
+            let m = new Task({id: 1});
+
+            store.release(m);
+
+            expect(store.count(m)).to.equal(0);
+        })
+    })
+
+    describe('relations', () => {
+        it('should hydrate related models using the store', () => {
+            let store = new Store();
+            let tasks = new Collection([], {model: Task, store});
+            let task = tasks.add({id: 1, name: 'Fred'});
+
+            let p = new Project({owner: 1, tasks: [{id: 1, name: 'Bob'}, {id: 2}]}, null, {store});
+
+            expect(p.owner).to.equal(task);
+            expect(p.tasks.first()).to.equal(task);
+            expect(task.name).to.equal('Bob');
+            expect(store.count(task)).to.equal(2);
+        })
+    })
+
+    describe('fetch', () => {
+        it('should reuse instances when a collection is fetched', (done) => {
+            let store = new Store();
+            let a = new Collection([], {model: Task, store});
+            let b = new class extends Collection {
+                routes() { return {fetch: '/tasks'}}
+            }([], {model: Task, store});
+
+            let m = a.add({id: 1, name: 'Fred'});
+
+            moxios.withMock(() => {
+                b.fetch().then(() => {
+                    expect(b.first()).to.equal(m);
+                    expect(m.name).to.equal('Bob');
+                    done();
+                });
+
+                moxios.wait(() => {
+                    moxios.requests.mostRecent().respondWith({
+                        status: 200,
+                        response: [{id: 1, name: 'Bob'}],
+                    });
+                })
+            })
+        })
+    })
+
+    describe('clear', () => {
+        it('should remove all models', () => {
+            let store = new Store();
+            let a = new Collection([], {model: Task, store});
+
+            a.add([{id: 1}, {id: 2}, {name: 'new'}]);
+            store.clear();
+
+            expect(store.size()).to.equal(0);
+            expect(store.find(Task, 1)).to.be.undefined;
+        })
+    })
+})
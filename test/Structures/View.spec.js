@@ -0,0 +1,136 @@
+import Vue from 'vue'
+import {assert, expect} from 'chai'
+import {Model, Collection, View} from '../../src/index'
+
+describe('View', () => {
+    let Task = class extends Model {
+        defaults() { return {id: null, name: '', done: false}}
+    }
+
+    let collection = () => new Collection([
+        new Task({id: 1, name: 'c', done: false}),
+        new Task({id: 2, name: 'a', done: true}),
+        new Task({id: 3, name: 'b', done: false}),
+    ]);
+
+    it('should filter and sort the models of the collection', () => {
+        let c = collection();
+        let v = c.view({filter: {done: false}, sort: 'name'});
+
+        expect(v).to.be.instanceof(View);
+        expect(v.map('id')).to.deep.equal([3, 1]);
+        expect(v.length).to.equal(2);
+        expect(v.first()).to.equal(c.find({id: 3}));
+    })
+
+    it('should keep the order of the collection without a sort', () => {
+        let v = collection().view({filter: (task) => task.id > 1});
+
+        expect(v.map('id')).to.deep.equal([2, 3]);
+    })
+
+    it('should insert added models at their position', () => {
+        let c = collection();
+        let v = c.view({filter: {done: false}, sort: 'name'});
+
+        c.add({id: 4, name: 'bb', done: false});
+        c.add({id: 5, name: 'aa', done: true});
+
+        expect(v.map('id')).to.deep.equal([3, 4, 1]);
+    })
+
+    it('should remove removed models', () => {
+        let c = collection();
+        let v = c.view({sort: 'name'});
+
+        c.remove(c.find({id: 3}));
+
+        expect(v.map('id')).to.deep.equal([2, 1]);
+        expect(v.has(c.find({id: 1}))).to.equal(true);
+    })
+
+    it('should move and filter models when they change', () => {
+        let c = collection();
+        let v = c.view({filter: {done: false}, sort: 'name'});
+
+        c.find({id: 1}).name = 'a';
+        expect(v.map('id')).to.deep.equal([1, 3]);
+
+        c.find({id: 3}).done = true;
+        expect(v.map('id')).to.deep.equal([1]);
+
+        c.find({id: 2}).done = false;
+        expect(v.map('id')).to.deep.equal([1, 2]);
+    })
+
+    it('should move and filter models when they are reset or cleared', () => {
+        let c = collection();
+        let v = c.view({filter: {done: false}, sort: 'name'});
+
+        let a = c.find({id: 1});
+        let b = c.find({id: 2});
+
+        a.done = true;
+        expect(v.map('id')).to.deep.equal([3]);
+
+        a.reset();
+        expect(v.map('id')).to.deep.equal([3, 1]);
+
+        b.clear();
+        expect(v.first()).to.equal(b);
+        expect(v.length).to.equal(3);
+    })
+
+    it('should follow the collection when it is sorted or replaced', () => {
+        let c = collection();
+        let v = c.view();
+
+        c.sort('name');
+        expect(v.map('id')).to.deep.equal([2, 3, 1]);
+
+        c.replace([{id: 6}, {id: 7}]);
+        expect(v.map('id')).to.deep.equal([6, 7]);
+    })
+
+    it('should follow models that are inserted back into the collection', () => {
+        let c = new Collection([new Task({id: 1}), new Task({id: 2})], {history: true});
+        let v = c.view();
+
+        c.remove(c.first());
+        expect(v.map('id')).to.deep.equal([2]);
+
+        c.undo();
+        expect(v.map('id')).to.deep.equal([1, 2]);
+    })
+
+    it('should change the filter and sort', () => {
+        let v = collection().view();
+
+        v.setFilter({done: false}).setSort((task) => -task.id);
+        expect(v.map('id')).to.deep.equal([3, 1]);
+
+        v.setFilter(null);
+        expect(v.map('id')).to.deep.equal([3, 2, 1]);
+    })
+
+    it('should stop following the collection when destroyed', () => {
+        let c = collection();
+        let v = c.view();
+
+        v.destroy();
+        c.add({id: 4});
+
+        expect(v.size()).to.equal(3);
+    })
+
+    it('should be reactive', () => {
+        let c = collection();
+        let vm = new Vue({data: {v: c.view({filter: {done: false}})}, computed: {
+            names() { return this.v.map('name') },
+        }});
+
+        expect(vm.names).to.deep.equal(['c', 'b']);
+        c.find({id: 2}).done = false;
+        expect(vm.names).to.deep.equal(['c', 'a', 'b']);
+    })
+})
@@ -10,16 +10,32 @@ process.on('unhandledRejection', (error, promise) => {
 // Structures
 require('./Structures/Model.spec.js');
 require('./Structures/Collection.spec.js');
+require('./Structures/Store.spec.js');
+require('./Structures/View.spec.js');
+require('./Structures/Grouping.spec.js');
 
 // Validation
 require('./Validation/Rule.spec.js');
 require('./Validation/Rules.spec.js');
 require('./Validation/Messages.spec.js');
 
+// Casts
+require('./Casts/Casts.spec.js');
+
+// Config
+require('./Config/Config.spec.js');
+
 // HTTP
 require('./HTTP/ProxyResponse.spec.js');
+require('./HTTP/Patch.spec.js');
+require('./HTTP/Query.spec.js');
+require('./HTTP/Middleware.spec.js');
+require('./HTTP/Transport.spec.js');
 
 // Errors
+require('./Errors/CancelledError.spec.js');
+require('./Errors/ConflictError.spec.js');
 require('./Errors/RequestError.spec.js');
 require('./Errors/ResponseError.spec.js');
+require('./Errors/UniqueIndexError.spec.js');
 require('./Errors/ValidationError.spec.js');